@@ -0,0 +1,221 @@
+const { validationResult } = require('express-validator');
+const adminService = require('../services/adminService');
+const { sendError } = require('../utils/ClientError');
+
+// @desc    Search users
+// @route   GET /api/admin/users?q=&role=&status=&suspended=&emailVerified=&page=&limit=
+// @access  Private (Admins only)
+exports.listUsers = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        res.json(await adminService.listUsers(req.query));
+    } catch (error) {
+        sendError(res, error, 'Admin list users error');
+    }
+};
+
+// @desc    Search service requests
+// @route   GET /api/admin/requests?status=&category=&seeker=&provider=&q=&from=&to=&page=&limit=
+// @access  Private (Admins only)
+exports.listRequests = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        res.json(await adminService.listRequests(req.query));
+    } catch (error) {
+        sendError(res, error, 'Admin list requests error');
+    }
+};
+
+// @desc    Suspend an account and end all of its sessions
+// @route   PATCH /api/admin/users/:id/suspend
+// @access  Private (Admins only)
+exports.suspendUser = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const user = await adminService.suspendUser(req.user, req.params.id, req.body.reason);
+        res.json(user);
+    } catch (error) {
+        sendError(res, error, 'Suspend user error');
+    }
+};
+
+// @desc    Lift a suspension
+// @route   PATCH /api/admin/users/:id/unsuspend
+// @access  Private (Admins only)
+exports.unsuspendUser = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const user = await adminService.unsuspendUser(req.user, req.params.id, req.body.reason);
+        res.json(user);
+    } catch (error) {
+        sendError(res, error, 'Unsuspend user error');
+    }
+};
+
+// @desc    Cancel a stuck job (accepted, en-route, arrived or in-progress) and free its provider
+// @route   PATCH /api/admin/requests/:id/force-cancel
+// @access  Private (Admins only)
+exports.forceCancelRequest = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const request = await adminService.forceCancelRequest(req.user, req.params.id, req.body.reason);
+        res.json(request);
+    } catch (error) {
+        sendError(res, error, 'Force cancel request error');
+    }
+};
+
+// @desc    Settle a disputed request as completed or cancelled
+// @route   PATCH /api/admin/requests/:id/resolve-dispute
+// @access  Private (Admins only)
+exports.resolveDispute = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const { outcome, reason } = req.body;
+        res.json(await adminService.resolveDispute(req.user, req.params.id, outcome, reason));
+    } catch (error) {
+        sendError(res, error, 'Resolve dispute error');
+    }
+};
+
+// @desc    Move a provider stuck in-progress back to online or offline
+// @route   PATCH /api/admin/providers/:id/reset-status
+// @access  Private (Admins only)
+exports.resetProviderStatus = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const { status = 'online', reason } = req.body;
+        res.json(await adminService.resetProviderStatus(req.user, req.params.id, status, reason));
+    } catch (error) {
+        sendError(res, error, 'Reset provider status error');
+    }
+};
+
+// @desc    Request counts per status and per category
+// @route   GET /api/admin/stats?from=&to=
+// @access  Private (Admins only)
+exports.getStats = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        res.json(await adminService.getStats(req.query));
+    } catch (error) {
+        sendError(res, error, 'Admin stats error');
+    }
+};
+
+// @desc    Read the admin audit log
+// @route   GET /api/admin/audit-log?action=&admin=&targetId=&page=&limit=
+// @access  Private (Admins only)
+exports.listAuditLog = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        res.json(await adminService.listAuditLog(req.query));
+    } catch (error) {
+        sendError(res, error, 'Admin audit log error');
+    }
+};
+
+// @desc    The provider verification queue
+// @route   GET /api/admin/verifications?status=&page=&limit=
+// @access  Private (Admins only)
+exports.listVerifications = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        res.json(await adminService.listVerifications(req.query));
+    } catch (error) {
+        sendError(res, error, 'Admin list verifications error');
+    }
+};
+
+// @desc    Download one document of a verification request
+// @route   GET /api/admin/verifications/:id/documents/:documentId
+// @access  Private (Admins only)
+exports.getVerificationDocument = async (req, res) => {
+    try {
+        const { stream, document } = await adminService.openVerificationDocument(req.params.id, req.params.documentId);
+
+        res.set('Content-Type', document.mimeType);
+        res.set('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(document.originalName || document.kind)}`);
+        res.set('Cache-Control', 'private, no-store');
+        stream.on('error', (err) => {
+            console.error('Verification document stream error:', err);
+            res.destroy(err);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        sendError(res, error, 'Admin verification document error');
+    }
+};
+
+// @desc    Approve a verification request (optionally only some of its skills)
+// @route   PATCH /api/admin/verifications/:id/approve
+// @access  Private (Admins only)
+exports.approveVerification = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const { skills, note } = req.body;
+        res.json(await adminService.reviewVerification(req.user, req.params.id, 'approved', { skills, note }));
+    } catch (error) {
+        sendError(res, error, 'Approve verification error');
+    }
+};
+
+// @desc    Reject a verification request with a reason
+// @route   PATCH /api/admin/verifications/:id/reject
+// @access  Private (Admins only)
+exports.rejectVerification = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        res.json(await adminService.reviewVerification(req.user, req.params.id, 'rejected', { note: req.body.reason }));
+    } catch (error) {
+        sendError(res, error, 'Reject verification error');
+    }
+};
@@ -1,7 +1,16 @@
 const User = require('../models/UserModel');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { validationResult } = require('express-validator');
+const { changeProviderStatus, takeProviderOffline } = require('../services/providerStatusService');
+const tokenService = require('../services/tokenService');
+const accountEmailService = require('../services/accountEmailService');
+const loginProtection = require('../services/loginProtectionService');
+const { publishToUser, publishTokenRevoked } = require('../services/eventBus');
+const { disconnectUser } = require('../sockets/io');
+const { ClientError, sendError } = require('../utils/ClientError');
+
+// Compared against when the email is unknown, so login timing doesn't reveal registered emails
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('spotwise-dummy-password', 10);
 
 // Register a new user
 exports.register = async (req, res) => {
@@ -13,6 +22,10 @@ exports.register = async (req, res) => {
 
     const { userName, email, password, role } = req.body;
 
+    // `role: 'both'` (or a roles array) creates a dual-role account that starts out as a seeker
+    const roles = req.body.roles || (role === 'both' ? ['seeker', 'provider'] : [role]);
+    const activeRole = roles.includes('seeker') ? 'seeker' : roles[0];
+
     try {
         // Check if user already exists
         let user = await User.findOne({ email });
@@ -25,30 +38,19 @@ exports.register = async (req, res) => {
             userName,
             email,
             password,
-            role
+            roles: [...new Set(roles)],
+            activeRole
         });
 
         // Save user to database (password hashing is handled in the model)
         await user.save();
 
-        // Create JWT payload
-        const payload = {
-            user: {
-                id: user.id,
-                role: user.role
-            }
-        };
-
-        // Sign JWT token
-        jwt.sign(
-            payload,
-            process.env.JWT_SECRET,
-            { expiresIn: '24h' },  // Token expires in 1 hour
-            (err, token) => {
-                if (err) throw err;
-                res.status(201).json({ token });
-            }
-        );
+        accountEmailService.sendVerificationEmail(user)
+            .catch(err => console.error('Error sending verification email:', err));
+
+        // Issue a short-lived access token and a refresh token for this device
+        const tokens = await tokenService.issueTokens(user);
+        res.status(201).json({ ...tokens, roles: user.roles, role: user.activeRole, emailVerified: false });
     } catch (err) {
         console.error(err.message);
         res.status(500).send('Server error');
@@ -59,53 +61,59 @@ exports.register = async (req, res) => {
 // @route   POST /api/auth/login
 // @access  Public
 exports.login = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
     const { email, password } = req.body;
+    const attempt = { email, ip: req.ip, userAgent: req.get('User-Agent') };
 
     try {
+        await loginProtection.assertLoginAllowed(attempt);
+
         // Check if user exists
-        let user = await User.findOne({ email });
-        if (!user) {
+        const user = await User.findOne({ email });
+        attempt.user = user;
+
+        // Verify password; unknown emails are compared against a dummy hash so both
+        // cases take as long and get the same response
+        const isMatch = await bcrypt.compare(String(password), user ? user.password : DUMMY_PASSWORD_HASH);
+        if (!user || !isMatch) {
+            await loginProtection.recordFailedLogin(attempt, user ? 'bad-password' : 'unknown-email');
             return res.status(400).json({ message: 'Invalid credentials' });
         }
 
-        // Verify password
-        const isMatch = await bcrypt.compare(password, user.password);
-        if (!isMatch) {
-            return res.status(400).json({ message: 'Invalid credentials' });
+        await loginProtection.recordSuccessfulLogin(attempt);
+
+        if (user.suspendedAt) {
+            return res.status(403).json({
+                message: 'Your account has been suspended',
+                reason: user.suspensionReason || null
+            });
         }
 
-        // If user is a provider, update status to online
-        if (user.role === 'provider') {
-            user.status = 'online';
-            await user.save();
+        // If provider is offline, bring them online (an in-progress job keeps its status)
+        if (user.activeRole === 'provider' && (user.status || 'offline') === 'offline') {
+            await changeProviderStatus(user, 'online');
         }
 
-        // Create and return JWT token
-        const payload = {
-            user: {
-                id: user.id,
-                role: user.role
-            }
-        };
-
-        jwt.sign(
-            payload,
-            process.env.JWT_SECRET,
-            { expiresIn: '24h' },
-            (err, token) => {
-                if (err) throw err;
-                res.json({ 
-                    token,
-                    userId: user.id,
-                    userName: user.userName,
-                    role: user.role,
-                    status: user.status || 'offline'
-                });
-            }
-        );
-    } catch (err) {
-        console.error(err.message);
-        res.status(500).json({ message: 'Server error' });
+        // Create and return the access and refresh tokens
+        const tokens = await tokenService.issueTokens(user);
+        res.json({
+            ...tokens,
+            userId: user.id,
+            userName: user.userName,
+            role: user.activeRole,
+            roles: user.roles,
+            status: user.status || 'offline',
+            emailVerified: Boolean(user.emailVerified)
+        });
+    } catch (error) {
+        if (error instanceof ClientError && error.details && error.details.retryAfter) {
+            res.set('Retry-After', String(error.details.retryAfter));
+        }
+        sendError(res, error, 'Login error');
     }
 };
 
@@ -122,22 +130,191 @@ exports.getUser = async (req, res) => {
     }
 };
 
-// @desc    Logout user (if they're a provider, set status to offline)
-// @route   POST /api/auth/logout
+// @desc    Switch the role a dual-role user acts in and reissue their access token
+// @route   PATCH /api/auth/active-role
 // @access  Private
-exports.logout = async (req, res) => {
+exports.switchActiveRole = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
     try {
-        // If user is a provider, update status to offline
+        const { role } = req.body;
         const user = await User.findById(req.user.id);
-        
-        if (user && user.role === 'provider') {
-            user.status = 'offline';
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (!user.hasRole(role)) {
+            return res.status(403).json({ message: `Your account does not have the ${role} role` });
+        }
+
+        if (user.activeRole !== role) {
+            if (user.activeRole === 'provider') {
+                // Stop matching the user as a provider; fails with 409 while a job is in progress
+                await changeProviderStatus(user, 'offline');
+            }
+
+            user.activeRole = role;
             await user.save();
+
+            if (role === 'provider') {
+                await changeProviderStatus(user, 'online');
+            }
         }
-        
+
+        // The old token still names the previous role
+        await tokenService.revokeAccessToken(req.auth);
+        publishTokenRevoked(req.user.id, req.auth.jti);
+        publishToUser(user._id, 'activeRoleChanged', { role: user.activeRole });
+
+        res.json({
+            token: tokenService.signAccessToken(user),
+            role: user.activeRole,
+            roles: user.roles,
+            status: user.status || 'offline'
+        });
+    } catch (error) {
+        sendError(res, error, 'Switch active role error');
+    }
+};
+
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refresh = async (req, res) => {
+    try {
+        const { token, refreshToken } = await tokenService.rotateRefreshToken(req.body.refreshToken);
+        res.json({ token, refreshToken });
+    } catch (error) {
+        sendError(res, error, 'Refresh token error');
+    }
+};
+
+// @desc    Logout user: revoke this access token and its refresh token (providers go offline)
+// @route   POST /api/auth/logout
+// @access  Private
+exports.logout = async (req, res) => {
+    try {
+        await tokenService.revokeAccessToken(req.auth);
+        publishTokenRevoked(req.user.id, req.auth.jti); // Close the event stream this token opened
+        await tokenService.revokeRefreshToken(req.body.refreshToken, req.user.id);
+        await takeProviderOffline(req.user.id);
+
         res.json({ message: 'Logged out successfully' });
     } catch (err) {
         console.error(err.message);
         res.status(500).json({ message: 'Server error' });
     }
 };
+
+// @desc    Logout user from every device
+// @route   POST /api/auth/logout-all
+// @access  Private
+exports.logoutAll = async (req, res) => {
+    try {
+        await tokenService.revokeAllForUser(req.user.id);
+        await takeProviderOffline(req.user.id);
+
+        // Close the live connections the revoked tokens opened
+        publishToUser(req.user.id, 'sessionRevoked', { reason: 'logout-all' });
+        disconnectUser(req.user.id);
+
+        res.json({ message: 'Logged out from all devices' });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// @desc    Email a password reset link (the response never reveals whether the address exists)
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const user = await User.findOne({ email: req.body.email });
+        if (user) {
+            await accountEmailService.sendPasswordResetEmail(user);
+        }
+
+        res.json({ message: 'If an account exists for that email, a reset link has been sent.' });
+    } catch (error) {
+        sendError(res, error, 'Forgot password error');
+    }
+};
+
+// @desc    Set a new password with a reset token; signs the user out everywhere
+// @route   POST /api/auth/reset-password
+// @access  Public
+exports.resetPassword = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const user = await tokenService.verifyPasswordResetToken(req.body.token);
+
+        user.password = req.body.password; // Hashed by the model
+        user.passwordChangedAt = new Date();
+        await user.save();
+
+        await tokenService.revokeAllForUser(user.id);
+        await loginProtection.clearLoginLimits(user.email);
+
+        res.json({ message: 'Password has been reset. Please log in with your new password.' });
+    } catch (error) {
+        sendError(res, error, 'Reset password error');
+    }
+};
+
+// @desc    Confirm an email address from the link in the verification email
+// @route   GET /api/auth/verify-email?token=
+// @access  Public
+exports.verifyEmail = async (req, res) => {
+    // Opened from an email, so the result is shown on the login page
+    const redirect = (verified) => res.redirect(`${accountEmailService.APP_URL}/login.html?emailVerified=${verified ? 1 : 0}`);
+
+    try {
+        const { userId, email } = tokenService.verifyEmailVerificationToken(req.query.token);
+
+        // The address must still be the one the link was sent to
+        const user = await User.findOneAndUpdate(
+            { _id: userId, email },
+            [{ $set: { emailVerified: true, emailVerifiedAt: { $ifNull: ['$emailVerifiedAt', '$$NOW'] } } }],
+            { new: true }
+        );
+
+        redirect(Boolean(user));
+    } catch (error) {
+        if (!(error instanceof ClientError)) {
+            console.error('Verify email error:', error);
+        }
+        redirect(false);
+    }
+};
+
+// @desc    Send the verification email again
+// @route   POST /api/auth/resend-verification
+// @access  Private
+exports.resendVerification = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (user.emailVerified) {
+            return res.status(400).json({ message: 'Email address is already verified' });
+        }
+
+        await accountEmailService.sendVerificationEmail(user);
+        res.json({ message: 'Verification email sent' });
+    } catch (error) {
+        sendError(res, error, 'Resend verification error');
+    }
+};
@@ -0,0 +1,15 @@
+const categoryService = require('../services/categoryService');
+const { sendError } = require('../utils/ClientError');
+
+// @desc    The service category catalogue as a tree
+// @route   GET /api/categories
+// @access  Public
+exports.getCategories = async (req, res) => {
+    try {
+        const categories = await categoryService.listCategories();
+        res.set('Cache-Control', 'public, max-age=300');
+        res.json({ categories });
+    } catch (error) {
+        sendError(res, error, 'Get categories error');
+    }
+};
@@ -1,90 +1,58 @@
-const Chat = require('../models/ChatModel');
-const ServiceRequest = require('../models/ServiceRequestModel');
+const User = require('../models/UserModel');
+const chatService = require('../services/chatService');
+const { sendError } = require('../utils/ClientError');
 
 // Initialize chat for a service request
 exports.initializeChat = async (req, res) => {
     try {
         const { requestId } = req.params;
-        const serviceRequest = await ServiceRequest.findById(requestId);
+        const { chat, created } = await chatService.getOrCreateChat(requestId, req.user.id);
 
-        if (!serviceRequest) {
-            return res.status(404).json({ message: 'Service request not found' });
-        }
-
-        // Check if chat already exists
-        let chat = await Chat.findOne({
-            serviceRequest: requestId,
-            provider: serviceRequest.provider,
-            seeker: serviceRequest.seeker
-        });
+        res.status(created ? 201 : 200).json(chat);
+    } catch (error) {
+        sendError(res, error, 'Chat initialization error');
+    }
+};
 
-        if (chat) {
-            return res.status(200).json(chat);
-        }
+// Get chat history, newest page first (?before=<messageId>&limit=<n>)
+exports.getChatHistory = async (req, res) => {
+    try {
+        const chat = await chatService.findChatForUser(req.params.chatId, req.user.id);
+        await chat.populate([
+            { path: 'provider', select: 'userName' },
+            { path: 'seeker', select: 'userName' }
+        ]);
 
-        // Create new chat
-        chat = new Chat({
-            serviceRequest: requestId,
-            provider: serviceRequest.provider,
-            seeker: serviceRequest.seeker,
-            messages: []
-        });
+        const { messages, nextCursor } = await chatService.listMessages(chat, req.query);
 
-        await chat.save();
-        res.status(201).json(chat);
+        res.status(200).json({ chat, messages, nextCursor });
     } catch (error) {
-        console.error('Chat initialization error:', error);
-        res.status(500).json({ message: 'Server error' });
+        sendError(res, error, 'Get chat history error');
     }
 };
 
-// Get chat history
-exports.getChatHistory = async (req, res) => {
+// Send a message
+exports.sendMessage = async (req, res) => {
     try {
-        const { chatId } = req.params;
-        const chat = await Chat.findById(chatId)
-            .populate('messages.sender', 'userName')
-            .populate('provider', 'userName')
-            .populate('seeker', 'userName');
-
-        if (!chat) {
-            return res.status(404).json({ message: 'Chat not found' });
-        }
+        const chat = await chatService.findChatForUser(req.params.chatId, req.user.id);
+        const sender = await User.findById(req.user.id).select('userName');
 
-        // Verify user is part of the chat
-        if (chat.provider.toString() !== req.user.id && 
-            chat.seeker.toString() !== req.user.id) {
-            return res.status(403).json({ message: 'Not authorized to view this chat' });
-        }
+        const message = await chatService.postMessage(chat, sender, req.body.content);
 
-        res.status(200).json(chat);
+        res.status(201).json(message);
     } catch (error) {
-        console.error('Get chat history error:', error);
-        res.status(500).json({ message: 'Server error' });
+        sendError(res, error, 'Send message error');
     }
 };
 
 // Mark messages as read
 exports.markMessagesAsRead = async (req, res) => {
     try {
-        const { chatId } = req.params;
-        const chat = await Chat.findById(chatId);
-
-        if (!chat) {
-            return res.status(404).json({ message: 'Chat not found' });
-        }
+        const chat = await chatService.findChatForUser(req.params.chatId, req.user.id);
+        const messageIds = await chatService.markRead(chat, req.user.id);
 
-        // Mark unread messages as read
-        chat.messages.forEach(message => {
-            if (message.sender.toString() !== req.user.id && !message.read) {
-                message.read = true;
-            }
-        });
-
-        await chat.save();
-        res.status(200).json({ message: 'Messages marked as read' });
+        res.status(200).json({ message: 'Messages marked as read', messageIds });
     } catch (error) {
-        console.error('Mark messages as read error:', error);
-        res.status(500).json({ message: 'Server error' });
+        sendError(res, error, 'Mark messages as read error');
     }
-};
\ No newline at end of file
+};
@@ -0,0 +1,120 @@
+const { validationResult } = require('express-validator');
+const providerLocationService = require('../services/providerLocationService');
+const { sendError } = require('../utils/ClientError');
+
+// @desc    Store the provider's live position and forward it to seekers in range
+// @route   POST /api/locations
+// @access  Private (Providers only)
+exports.recordLocation = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        if (req.user.role !== 'provider') {
+            return res.status(403).json({ message: 'Only providers can share their location' });
+        }
+
+        const { lat, lng, accuracy, heading, speed } = req.body;
+        const result = await providerLocationService.recordProviderLocation(req.user.id, {
+            location: { lat, lng }, accuracy, heading, speed
+        });
+
+        res.status(result.throttled ? 202 : 200).json(result);
+    } catch (error) {
+        sendError(res, error, 'Record location error');
+    }
+};
+
+// @desc    Online providers around a point, nearest first
+// @route   GET /api/locations/providers/nearby?lat=&lng=&radius=
+// @access  Private
+exports.getNearbyProviders = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const { lat, lng, radius } = req.query;
+        const providers = await providerLocationService.findNearbyProviders({ lat, lng }, radius);
+
+        res.json({ providers });
+    } catch (error) {
+        sendError(res, error, 'Find nearby providers error');
+    }
+};
+
+// Location settings and history belong to the provider whichever role they are using
+const isProvider = (req) => (req.user.roles || []).includes('provider');
+
+// @desc    Who sees the provider's location, and how long positions are kept
+// @route   GET /api/locations/privacy
+// @access  Private (Providers only)
+exports.getLocationPrivacy = async (req, res) => {
+    try {
+        if (!isProvider(req)) {
+            return res.status(403).json({ message: 'Only providers have location settings' });
+        }
+
+        res.json(await providerLocationService.getLocationPrivacy(req.user.id));
+    } catch (error) {
+        sendError(res, error, 'Get location privacy error');
+    }
+};
+
+// @desc    Choose who sees the provider's location: nobody, assigned seekers or nearby seekers
+// @route   PATCH /api/locations/privacy
+// @access  Private (Providers only)
+exports.updateLocationPrivacy = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        if (!isProvider(req)) {
+            return res.status(403).json({ message: 'Only providers have location settings' });
+        }
+
+        res.json(await providerLocationService.setLocationSharing(req.user.id, req.body.locationSharing));
+    } catch (error) {
+        sendError(res, error, 'Update location privacy error');
+    }
+};
+
+// @desc    Download the provider's stored location history as JSON
+// @route   GET /api/locations/history/export
+// @access  Private (Providers only)
+exports.exportLocationHistory = async (req, res) => {
+    try {
+        if (!isProvider(req)) {
+            return res.status(403).json({ message: 'Only providers have a location history' });
+        }
+
+        const data = await providerLocationService.exportLocationHistory(req.user.id);
+
+        res.set('Content-Disposition', 'attachment; filename="spotwise-location-history.json"');
+        res.json(data);
+    } catch (error) {
+        sendError(res, error, 'Export location history error');
+    }
+};
+
+// @desc    Delete the provider's stored location history
+// @route   DELETE /api/locations/history
+// @access  Private (Providers only)
+exports.deleteLocationHistory = async (req, res) => {
+    try {
+        if (!isProvider(req)) {
+            return res.status(403).json({ message: 'Only providers have a location history' });
+        }
+
+        const { deleted } = await providerLocationService.deleteLocationHistory(req.user.id);
+
+        res.json({ message: 'Your location history has been deleted', deleted });
+    } catch (error) {
+        sendError(res, error, 'Delete location history error');
+    }
+};
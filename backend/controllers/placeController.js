@@ -0,0 +1,78 @@
+const { validationResult } = require('express-validator');
+const savedPlaceService = require('../services/savedPlaceService');
+const { sendError } = require('../utils/ClientError');
+
+// Saved places belong to the seeker whichever role they are using
+const isSeeker = (req) => (req.user.roles || []).includes('seeker');
+
+const placeFields = ({ label, location, formattedAddress, accessNotes }) => ({ label, location, formattedAddress, accessNotes });
+
+// @desc    List the seeker's saved places
+// @route   GET /api/places
+// @access  Private (Seekers only)
+exports.getPlaces = async (req, res) => {
+    try {
+        if (!isSeeker(req)) {
+            return res.status(403).json({ message: 'Only seekers can save places' });
+        }
+
+        const places = await savedPlaceService.listPlaces(req.user.id);
+
+        res.json({ places });
+    } catch (error) {
+        sendError(res, error, 'Get saved places error');
+    }
+};
+
+// @desc    Save a place (label, location, formatted address, access notes)
+// @route   POST /api/places
+// @access  Private (Seekers only)
+exports.createPlace = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        if (!isSeeker(req)) {
+            return res.status(403).json({ message: 'Only seekers can save places' });
+        }
+
+        const place = await savedPlaceService.createPlace(req.user.id, placeFields(req.body));
+
+        res.status(201).json(place);
+    } catch (error) {
+        sendError(res, error, 'Create saved place error');
+    }
+};
+
+// @desc    Edit a saved place; requests already made there are not changed
+// @route   PATCH /api/places/:id
+// @access  Private (The seeker who saved it)
+exports.updatePlace = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const place = await savedPlaceService.updatePlace(req.user.id, req.params.id, placeFields(req.body));
+
+        res.json(place);
+    } catch (error) {
+        sendError(res, error, 'Update saved place error');
+    }
+};
+
+// @desc    Delete a saved place
+// @route   DELETE /api/places/:id
+// @access  Private (The seeker who saved it)
+exports.deletePlace = async (req, res) => {
+    try {
+        await savedPlaceService.deletePlace(req.user.id, req.params.id);
+
+        res.json({ message: 'Saved place deleted' });
+    } catch (error) {
+        sendError(res, error, 'Delete saved place error');
+    }
+};
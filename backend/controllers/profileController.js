@@ -1,5 +1,7 @@
 const User = require('../models/UserModel'); // Assuming User schema is in this path
 const mongoose = require('mongoose');
+const categoryService = require('../services/categoryService');
+const { sendError } = require('../utils/ClientError');
 
 // Get User Profile
 const getProfile = async (req, res) => {
@@ -37,16 +39,18 @@ const updateProfile = async (req, res) => {
         user.address = address || user.address; // Update address if provided
         user.location = location || user.location;
         // Update skills only for providers
-        if (user.role === 'provider') {
-            user.skills = skills || user.skills; // Update skills if provided
+        if (user.hasRole('provider')) {
+            // Skills are service categories; names and synonyms are stored as their slugs
+            user.skills = skills ? await categoryService.assertSkills(skills) : user.skills;
+            // A skill that is no longer claimed stops being verified
+            user.verifiedSkills = user.verifiedSkills.filter(skill => user.skills.includes(skill));
         }
 
         await user.save(); // Save the updated user details
 
         return res.status(200).json({ message: 'Profile updated successfully' });
     } catch (error) {
-        console.error(error);
-        return res.status(500).json({ message: 'Server error' });
+        sendError(res, error, 'Error updating profile');
     }
 };
 
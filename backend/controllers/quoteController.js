@@ -0,0 +1,84 @@
+const { validationResult } = require('express-validator');
+const User = require('../models/UserModel');
+const quoteService = require('../services/quoteService');
+const { sendError } = require('../utils/ClientError');
+
+// @desc    Send or revise a quote on a pending request
+// @route   POST /api/quotes/request/:requestId
+// @access  Private (Providers only)
+exports.submitQuote = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        if (req.user.role !== 'provider') {
+            return res.status(403).json({ message: 'Only providers can send quotes' });
+        }
+
+        const provider = await User.findById(req.user.id).select('status emailVerified');
+        if (!provider) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const { amount, currency, estimatedDuration, note } = req.body;
+        const quote = await quoteService.submitQuote(req.params.requestId, provider, { amount, currency, estimatedDuration, note });
+
+        res.status(quote.revision > 1 ? 200 : 201).json(quote);
+    } catch (error) {
+        sendError(res, error, 'Submit quote error');
+    }
+};
+
+// @desc    List the quotes on a request
+// @route   GET /api/quotes/request/:requestId
+// @access  Private (The request's seeker, or a provider for their own quote)
+exports.getRequestQuotes = async (req, res) => {
+    try {
+        const quotes = await quoteService.listQuotes(req.params.requestId, req.user);
+
+        res.json({ quotes });
+    } catch (error) {
+        sendError(res, error, 'Get quotes error');
+    }
+};
+
+// @desc    Accept a quote and assign its provider to the request
+// @route   PATCH /api/quotes/:quoteId/accept
+// @access  Private (The request's seeker)
+exports.acceptQuote = async (req, res) => {
+    try {
+        const { request, quote } = await quoteService.acceptQuote(req.params.quoteId, req.user.id);
+
+        res.json({ message: 'Quote accepted', request, quote });
+    } catch (error) {
+        sendError(res, error, 'Accept quote error');
+    }
+};
+
+// @desc    Decline a quote
+// @route   PATCH /api/quotes/:quoteId/reject
+// @access  Private (The request's seeker)
+exports.rejectQuote = async (req, res) => {
+    try {
+        const quote = await quoteService.rejectQuote(req.params.quoteId, req.user.id);
+
+        res.json({ message: 'Quote declined', quote });
+    } catch (error) {
+        sendError(res, error, 'Reject quote error');
+    }
+};
+
+// @desc    Withdraw a pending quote
+// @route   PATCH /api/quotes/:quoteId/withdraw
+// @access  Private (The provider who sent it)
+exports.withdrawQuote = async (req, res) => {
+    try {
+        const quote = await quoteService.withdrawQuote(req.params.quoteId, req.user.id);
+
+        res.json({ message: 'Quote withdrawn', quote });
+    } catch (error) {
+        sendError(res, error, 'Withdraw quote error');
+    }
+};
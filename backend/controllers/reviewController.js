@@ -0,0 +1,35 @@
+const { validationResult } = require('express-validator');
+const reviewService = require('../services/reviewService');
+const { sendError } = require('../utils/ClientError');
+
+// @desc    Review the other party of a completed service request
+// @route   POST /api/service-requests/review/:id
+// @access  Private (The request's seeker or provider)
+exports.createReview = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const { score, comment, tags } = req.body;
+        const { review, rating } = await reviewService.createReview(req.params.id, req.user.id, { score, comment, tags });
+
+        res.status(201).json({ review, rating });
+    } catch (error) {
+        sendError(res, error, 'Create review error');
+    }
+};
+
+// @desc    Get the reviews a user received and their rating (?page=<n>&limit=<n>)
+// @route   GET /api/users/:id/reviews
+// @access  Private
+exports.getUserReviews = async (req, res) => {
+    try {
+        const result = await reviewService.listReviews(req.params.id, req.query);
+
+        res.json(result);
+    } catch (error) {
+        sendError(res, error, 'Get user reviews error');
+    }
+};
@@ -1,39 +1,151 @@
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
 const ServiceRequest = require('../models/ServiceRequestModel');
 const User = require('../models/UserModel');
+const { normalizeRadius } = require('../utils/geo');
+const { scheduleExpiry } = require('../jobs/requestExpiryJob');
+const { changeProviderStatus, releaseProvider } = require('../services/providerStatusService');
+const { generatePin, verifyPin, pinFields, MAX_PIN_ATTEMPTS } = require('../services/pinService');
+const { findReviewedRequestIds } = require('../services/reviewService');
+const { assignRequest, setOffForRequest, withdrawFromRequest, EARLY_START_MINUTES } = require('../services/requestAssignmentService');
+const { refreshProviderReliability } = require('../services/reliabilityService');
+const { getJobProgress, discardJobTrail } = require('../services/jobTrackingService');
+const lifecycle = require('../services/requestLifecycleService');
+const quoteService = require('../services/quoteService');
+const categoryService = require('../services/categoryService');
+const attachmentService = require('../services/attachmentService');
+const savedPlaceService = require('../services/savedPlaceService');
+const serviceAreaService = require('../services/serviceAreaService');
+const { publishToUser } = require('../services/eventBus');
+const { ClientError, sendError } = require('../utils/ClientError');
+const { pagination } = require('../utils/pagination');
+const { emitToUser, emitRequestUpdate, joinRequestRoom, serializeRequest } = require('../sockets/io');
+
+// Most upcoming scheduled requests listed at once
+const MAX_UPCOMING_REQUESTS = 50;
+
+const UNVERIFIED_PROVIDER_MESSAGE = 'Verify your email address to start receiving service requests';
+
+// Limits on the time window of scheduled requests
+const SCHEDULE_MIN_LEAD_MINUTES = 30;
+const SCHEDULE_MAX_WINDOW_HOURS = 12;
+const SCHEDULE_MAX_ADVANCE_DAYS = 30;
+
+// Validate the requested window of a scheduled request; returns null for immediate requests
+const parseScheduledWindow = (scheduledStart, scheduledEnd) => {
+    if (!scheduledStart) return null;
+
+    const start = new Date(scheduledStart);
+    const end = new Date(scheduledEnd);
+    const now = Date.now();
+
+    if (start.getTime() < now + SCHEDULE_MIN_LEAD_MINUTES * 60 * 1000) {
+        throw new ClientError(`Scheduled requests must start at least ${SCHEDULE_MIN_LEAD_MINUTES} minutes from now`);
+    }
+    if (start.getTime() > now + SCHEDULE_MAX_ADVANCE_DAYS * 24 * 60 * 60 * 1000) {
+        throw new ClientError(`Scheduled requests can be booked at most ${SCHEDULE_MAX_ADVANCE_DAYS} days ahead`);
+    }
+    if (end <= start) {
+        throw new ClientError('The time window must end after it starts');
+    }
+    if (end.getTime() - start.getTime() > SCHEDULE_MAX_WINDOW_HOURS * 60 * 60 * 1000) {
+        throw new ClientError(`The time window cannot be longer than ${SCHEDULE_MAX_WINDOW_HOURS} hours`);
+    }
+
+    return { start, end };
+};
+
+// Push a newRequestNotification to online providers whose skills match the request, whose
+// service areas (or, without areas, default radius) cover it and who work at the time it is for
+// (`excludeId`: a provider who just handed the request back)
+const notifyNearbyProviders = async (request, excludeId) => {
+    const providers = await User.find({
+        _id: { $nin: excludeId ? [excludeId] : [] },
+        activeRole: 'provider',
+        status: 'online',
+        ...serviceAreaService.eligibleProvidersFilter(request)
+    }).select('_id workingHours');
+    const when = serviceAreaService.serviceTime(request);
+    const available = providers.filter(provider => serviceAreaService.isWorkingAt(provider.workingHours, when));
+
+    const categoryName = await categoryService.categoryName(request.category);
+    const data = {
+        message: request.isScheduled()
+            ? `New scheduled ${categoryName} request near you for ${request.scheduledWindow.start.toLocaleString()}`
+            : `New ${categoryName} request near you`,
+        request: serializeRequest(request)
+    };
+    if (data.request.address) delete data.request.address.accessNotes; // For the assigned provider only
+    available.forEach(provider => emitToUser(provider._id, 'newRequestNotification', data));
+};
 
 // Create a new service request
+// Passing scheduledStart/scheduledEnd books the service for a future time window
+// instead of asking for a provider right now. Sent as multipart, the body can carry
+// photos of the problem in `attachments`. The location is either `savedPlaceId` (one of
+// the seeker's saved places) or `location` with an optional formattedAddress/accessNotes;
+// the address is copied into the request.
 exports.createRequest = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
     try {
         const userId = req.user.id;
         console.log(userId)
-        const { category, description, contactNumber, location, duration, additionalDetails } = req.body;
+        const { category, description, contactNumber, duration, additionalDetails, scheduledStart, scheduledEnd } = req.body;
         
         // Ensure user is a seeker
         if (req.user.role !== 'seeker') {
             return res.status(403).json({ message: 'Only seekers can create service requests' });
         }
 
+        const scheduledWindow = parseScheduledWindow(scheduledStart, scheduledEnd);
+        const resolvedCategory = await categoryService.assertCategory(category); // Accepts a slug, name or synonym
+        const { location, address } = await savedPlaceService.resolveRequestAddress(userId, req.body);
+
+        // Photos are re-encoded without their metadata (EXIF, GPS) and stored before the request is saved
+        const attachments = await attachmentService.storeImages(req.files);
+
         const newRequest = new ServiceRequest({
             seeker: userId,
-            category,
+            category: resolvedCategory.slug,
+            categoryPath: resolvedCategory.path,
             description,
             contactNumber, // Use contactNumber from request body
             location,
-            duration, // Ensure duration is provided
+            address,
+            duration: scheduledWindow ? undefined : duration, // Scheduled requests stay open until their window starts
+            scheduledWindow,
             additionalDetails,
+            attachments
         });
         console.log(req.user)
         
 
-        const savedRequest = await newRequest.save();
+        let savedRequest;
+        try {
+            savedRequest = await newRequest.save();
+        } catch (error) {
+            await attachmentService.removeAttachments(attachments);
+            throw error;
+        }
+
+        scheduleExpiry(savedRequest.expirationTime);
+        joinRequestRoom(userId, savedRequest._id);
+        notifyNearbyProviders(savedRequest).catch(err => console.error('Error notifying providers:', err));
+
         res.status(201).json(savedRequest);
     } catch (error) {
-        console.error('Error creating service request:', error);
-        res.status(500).json({ message: 'Server error' });
+        sendError(res, error, 'Error creating service request');
     }
 };
 
 // Fetch all active service requests (visible to providers based on skills)
+// Query: radius (meters, default 5 km, capped server-side), page, limit
+// Results are sorted nearest first and carry distanceMeters. A provider with service areas
+// sees the requests inside them instead of within the radius, and none outside working hours.
 exports.getActiveRequests = async (req, res) => {
     try {
         if (req.user.role !== 'provider') {
@@ -42,11 +154,13 @@ exports.getActiveRequests = async (req, res) => {
         const user = await User.findById(req.user.id).select('-password')
         const skills = user.skills;
         const location = user.location;
-        console.log('User Location:', location); // Add this line to debug
-        console.log(skills)
-        const radius = 1000; // Radius in kilometers
-         // Check provider's status
-         if (user.status === 'in-progress') {
+
+        if (!user.emailVerified) {
+            return res.status(403).json({ message: UNVERIFIED_PROVIDER_MESSAGE, emailVerified: false });
+        }
+
+        // Check provider's status
+        if (user.status === 'in-progress') {
             return res.status(400).json({ message: 'You have an ongoing request in progress.' });
         }
 
@@ -55,22 +169,72 @@ exports.getActiveRequests = async (req, res) => {
             return res.status(400).json({ message: 'Invalid location' });
         }
 
-        // Fetch active requests within range and matching provider skills
-        const activeRequests = await ServiceRequest.find({
-            category: { $in: skills },
-            location: {
-                $geoWithin: {
-                    $centerSphere: [
-                        [location.coordinates[0], location.coordinates[1]], // Seeker's coordinates
-                        radius / 6378.1 // Radius in radians
-                    ]
+        const { pageNumber: page, pageSize: limit, skip } = pagination(req.query);
+        const areaFilter = serviceAreaService.requestAreaFilter(user);
+        const radius = areaFilter ? null : normalizeRadius(req.query.radius);
+
+        if (!serviceAreaService.isWorkingAt(user.workingHours)) {
+            return res.status(200).json({
+                requests: [],
+                radius,
+                serviceAreas: Boolean(areaFilter),
+                outsideWorkingHours: true,
+                page,
+                limit,
+                total: 0,
+                hasMore: false
+            });
+        }
+
+        const query = {
+            categoryPath: { $in: skills || [] },
+            seeker: { $ne: user._id }, // A dual-role user's own requests
+            expirationTime: { $gt: new Date() },
+            status: { $in: lifecycle.OPEN_STATUSES },
+            'scheduledWindow.start': { $exists: false } // Scheduled requests are listed in getUpcomingRequests
+        };
+        if (areaFilter) query.location = areaFilter;
+
+        // Fetch active requests within range and matching provider skills, nearest first
+        const [result] = await ServiceRequest.aggregate([
+            {
+                $geoNear: {
+                    near: { type: 'Point', coordinates: location.coordinates },
+                    distanceField: 'distanceMeters',
+                    ...(areaFilter ? {} : { maxDistance: radius }),
+                    spherical: true,
+                    query
                 }
             },
-            expirationTime: { $gte: new Date() }, // Current date
-            status: 'pending'
-        }).populate('seeker', 'userName email contactNumber');
+            { $project: { pinHash: 0, 'attachments.storageKey': 0, 'attachments.thumbnailKey': 0, 'address.accessNotes': 0 } },
+            {
+                $facet: {
+                    requests: [{ $skip: skip }, { $limit: limit }],
+                    total: [{ $count: 'count' }]
+                }
+            }
+        ]);
+
+        const requests = await ServiceRequest.populate(result.requests, {
+            path: 'seeker',
+            select: 'userName email contactNumber rating'
+        });
+        requests.forEach(request => {
+            request.distanceMeters = Math.round(request.distanceMeters);
+        });
 
-        res.status(200).json(activeRequests);
+        const total = result.total.length > 0 ? result.total[0].count : 0;
+
+        res.status(200).json({
+            requests,
+            radius,
+            serviceAreas: Boolean(areaFilter),
+            outsideWorkingHours: false,
+            page,
+            limit,
+            total,
+            hasMore: page * limit < total
+        });
     } catch (error) {
         console.error('Error fetching active requests:', error);
         res.status(500).json({ message: 'Server error' });
@@ -78,73 +242,324 @@ exports.getActiveRequests = async (req, res) => {
 };
 
 
-// Accept a service request
+// Accept a service request at no stated price
+// Immediate requests are claimed and the provider moves to in-progress (busy); scheduled
+// requests are booked for their window. Race handling and rollback live in
+// requestAssignmentService.
 exports.acceptRequest = async (req, res) => {
     try {
         const requestId = req.params.id;
-        console.log(requestId)
-        const user = await User.findById(req.user.id).select('status')
+        const providerId = req.user.id;
+
         // Ensure the user is a provider
         if (req.user.role !== 'provider') {
             return res.status(403).json({ message: 'Only providers can accept requests' });
         }
 
-        if (user.status === 'in-progress') {
-        return res.status(400).json({ message: 'You have an active request in progress. Please complete it before accepting a new request.' });
+        if (!mongoose.isValidObjectId(requestId)) {
+            return res.status(404).json({ message: 'Service request not found' });
+        }
+
+        const user = await User.findById(providerId).select('status');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
         }
-      
-        // Find and update the request
-        const request = await ServiceRequest.findById(requestId);
-        if (!request) return res.status(404).json({ message: 'Service request not found' });
 
-        if (request.status !== 'pending') {
-            return res.status(400).json({ message: 'Request is no longer active' });
+        const target = await ServiceRequest.findById(requestId);
+        if (!target) {
+            return res.status(404).json({ message: 'Service request not found' });
+        }
+
+        // A booking for later does not clash with the job the provider is on now
+        const scheduled = target.isScheduled();
+        if (!scheduled && user.status === 'in-progress') {
+            return res.status(409).json({ message: 'You have an active request in progress. Please complete it before accepting a new request.' });
         }
 
-        request.status = 'in-progress';
-        request.provider = req.user.id;
-        request.generatedPin = Math.floor(100000 + Math.random() * 900000); // Generate 6-digit PIN
-         
-        user.status = 'in-progress'; // Set status to in-progress
-        await user.save();
+        const allowedStatuses = scheduled ? ['online', 'active', 'in-progress'] : ['online', 'active'];
+        if (!allowedStatuses.includes(user.status)) {
+            return res.status(400).json({ message: 'You must be online to accept requests' });
+        }
 
-        await request.save();
-        res.status(200).json({ message: 'Request accepted', request });
+        const request = await assignRequest(target, user);
+
+        // Quotes other providers sent for this request can no longer be accepted
+        await quoteService.closeQuotes(request._id);
+
+        res.status(200).json({ message: scheduled ? 'Request booked' : 'Request accepted', request });
     } catch (error) {
-        console.error('Error accepting request:', error);
-        res.status(500).json({ message: 'Server error' });
+        sendError(res, error, 'Error accepting request');
+    }
+};
+
+// Fetch scheduled requests for a provider: open ones nearby that fit around the
+// provider's existing bookings, and the provider's own booked jobs
+// Query: radius (meters, default 5 km, capped server-side)
+exports.getUpcomingRequests = async (req, res) => {
+    try {
+        if (req.user.role !== 'provider') {
+            return res.status(403).json({ message: 'Only providers can view upcoming requests' });
+        }
+
+        const user = await User.findById(req.user.id).select('skills location emailVerified serviceAreas workingHours');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        if (!user.emailVerified) {
+            return res.status(403).json({ message: UNVERIFIED_PROVIDER_MESSAGE, emailVerified: false });
+        }
+
+        if (!user.location || !user.location.coordinates || user.location.coordinates.length !== 2) {
+            return res.status(400).json({ message: 'Invalid location' });
+        }
+
+        const booked = await ServiceRequest.find({ provider: user._id, status: 'accepted', 'scheduledWindow.start': { $exists: true } })
+            .sort({ 'scheduledWindow.start': 1 })
+            .populate('seeker', 'userName contactNumber rating');
+
+        const query = {
+            categoryPath: { $in: user.skills || [] },
+            seeker: { $ne: user._id },
+            expirationTime: { $gt: new Date() },
+            status: { $in: lifecycle.OPEN_STATUSES },
+            'scheduledWindow.start': { $exists: true }
+        };
+
+        // Leave out windows that overlap a job the provider has already booked
+        if (booked.length > 0) {
+            query.$nor = booked.map(request => ({
+                'scheduledWindow.start': { $lt: request.scheduledWindow.end },
+                'scheduledWindow.end': { $gt: request.scheduledWindow.start }
+            }));
+        }
+
+        // Within the provider's service areas when they have some, otherwise within the radius
+        const areaFilter = serviceAreaService.requestAreaFilter(user);
+        if (areaFilter) query.location = areaFilter;
+
+        const radius = areaFilter ? null : normalizeRadius(req.query.radius);
+        const matching = await ServiceRequest.aggregate([
+            {
+                $geoNear: {
+                    near: { type: 'Point', coordinates: user.location.coordinates },
+                    distanceField: 'distanceMeters',
+                    ...(areaFilter ? {} : { maxDistance: radius }),
+                    spherical: true,
+                    query
+                }
+            },
+            { $sort: { 'scheduledWindow.start': 1 } },
+            { $limit: MAX_UPCOMING_REQUESTS },
+            { $project: { pinHash: 0, 'attachments.storageKey': 0, 'attachments.thumbnailKey': 0, 'address.accessNotes': 0 } }
+        ]);
+        // Only windows that start while the provider works
+        const available = matching.filter(request =>
+            serviceAreaService.isWorkingAt(user.workingHours, request.scheduledWindow.start));
+
+        await ServiceRequest.populate(available, { path: 'seeker', select: 'userName rating' });
+        available.forEach(request => {
+            request.distanceMeters = Math.round(request.distanceMeters);
+        });
+
+        res.status(200).json({
+            available,
+            booked,
+            radius,
+            serviceAreas: Boolean(areaFilter),
+            earlyStartMinutes: EARLY_START_MINUTES
+        });
+    } catch (error) {
+        sendError(res, error, 'Error fetching upcoming requests');
+    }
+};
+
+// The assigned provider sets off for an accepted job. Booked scheduled jobs start here:
+// the provider must be free and the seeker receives the completion PIN.
+exports.setOffForRequest = async (req, res) => {
+    try {
+        if (req.user.role !== 'provider') {
+            return res.status(403).json({ message: 'Only providers can update jobs' });
+        }
+
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: 'Service request not found' });
+        }
+
+        const user = await User.findById(req.user.id).select('status');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const target = await ServiceRequest.findById(req.params.id).select('scheduledWindow');
+        if (!target) {
+            return res.status(404).json({ message: 'Service request not found' });
+        }
+
+        if (target.isScheduled()) {
+            if (user.status === 'in-progress') {
+                return res.status(409).json({ message: 'You have an active request in progress. Please complete it before starting another job.' });
+            }
+
+            if (!['online', 'active'].includes(user.status)) {
+                return res.status(400).json({ message: 'You must be online to start a job' });
+            }
+        }
+
+        const request = await setOffForRequest(target._id, user);
+
+        res.status(200).json({ message: 'On the way', request });
+    } catch (error) {
+        sendError(res, error, 'Error setting off for request');
+    }
+};
+
+// Move the assigned provider's job one step on (en-route → arrived → in-progress)
+const advanceJob = async (req, res, status, message) => {
+    if (req.user.role !== 'provider') {
+        return res.status(403).json({ message: 'Only providers can update jobs' });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: 'Service request not found' });
+    }
+
+    const request = await ServiceRequest.findById(req.params.id);
+    if (!request) {
+        return res.status(404).json({ message: 'Service request not found' });
+    }
+
+    const updated = await lifecycle.transition(request, status, req.user);
+    emitRequestUpdate(updated);
+
+    res.status(200).json({ message, request: updated });
+};
+
+// The assigned provider has arrived at the job location
+exports.markArrived = async (req, res) => {
+    try {
+        await advanceJob(req, res, 'arrived', 'Marked as arrived');
+    } catch (error) {
+        sendError(res, error, 'Error marking arrival');
+    }
+};
+
+// The assigned provider starts working on the job; it is completed with the seeker's PIN
+exports.startRequest = async (req, res) => {
+    try {
+        await advanceJob(req, res, 'in-progress', 'Job started');
+    } catch (error) {
+        sendError(res, error, 'Error starting request');
     }
 };
 
 // Update request status to 'completed'
+// Only the assigned provider may submit the PIN. Each attempt is reserved with an
+// atomic $inc before the PIN is checked, so parallel guesses cannot exceed
+// MAX_PIN_ATTEMPTS; reaching the limit locks the PIN until the seeker issues a new one.
 exports.completeRequest = async (req, res) => {
     try {
         const requestId = req.params.id;
+        const providerId = req.user.id;
         const { pin } = req.body;
 
-        // Find the service request
-        const request = await ServiceRequest.findById(requestId);
-        if (!request) return res.status(404).json({ message: 'Service request not found' });
+        if (!mongoose.isValidObjectId(requestId)) {
+            return res.status(404).json({ message: 'Service request not found' });
+        }
+
+        // Reserve one verification attempt
+        const request = await ServiceRequest.findOneAndUpdate(
+            {
+                _id: requestId,
+                provider: providerId,
+                status: 'in-progress',
+                pinLockedAt: null,
+                pinAttempts: { $lt: MAX_PIN_ATTEMPTS }
+            },
+            { $inc: { pinAttempts: 1 } },
+            { new: true }
+        ).select('+pinHash');
+
+        if (!request) {
+            const current = await ServiceRequest.findById(requestId);
+            if (!current) return res.status(404).json({ message: 'Service request not found' });
+
+            if (!current.provider || current.provider.toString() !== providerId) {
+                return res.status(403).json({ message: 'Only the assigned provider can complete this request' });
+            }
+            if (current.status !== 'in-progress') {
+                return res.status(409).json({ message: `Request is ${current.status}, not in progress` });
+            }
+            return res.status(423).json({ message: 'Too many incorrect PINs. Ask the seeker to generate a new PIN.' });
+        }
+
+        const attemptsRemaining = MAX_PIN_ATTEMPTS - request.pinAttempts;
+
+        if (!request.pinExpiresAt || request.pinExpiresAt <= new Date()) {
+            return res.status(410).json({ message: 'PIN has expired. Ask the seeker to generate a new PIN.' });
+        }
 
         // Validate PIN
-        if (request.generatedPin !== pin) {
-            return res.status(400).json({ message: 'Invalid PIN' });
+        if (!(await verifyPin(pin, request.pinHash))) {
+            if (attemptsRemaining <= 0) {
+                await ServiceRequest.updateOne({ _id: request._id }, { pinLockedAt: new Date() });
+                publishToUser(request.seeker, 'pinLocked', {
+                    requestId: request._id,
+                    message: 'Too many incorrect PINs were entered for your request. Generate a new PIN to share with the provider.'
+                });
+                return res.status(423).json({ message: 'Too many incorrect PINs. Ask the seeker to generate a new PIN.' });
+            }
+
+            return res.status(400).json({ message: 'Invalid PIN', attemptsRemaining });
         }
 
-        request.status = 'completed';
-        await request.save();
+        const completed = await lifecycle.transition(request, 'completed', req.user, {
+            unset: { pinHash: '', pinExpiresAt: '' }
+        });
+
         // Update provider's status
-        const user = await User.findById(req.user.id);
-        user.status = 'online'; // or 'active' based on your logic
-        await user.save();
+        const provider = await User.findById(providerId).select('status');
+        if (provider) {
+            await changeProviderStatus(provider, 'online');
+        }
+
+        await discardJobTrail(completed._id);
+        emitRequestUpdate(completed);
+        refreshProviderReliability(providerId).catch(err => console.error('Error refreshing provider reliability:', err));
 
-        res.status(200).json({ message: 'Request completed successfully', request });
+        res.status(200).json({ message: 'Request completed successfully', request: completed });
     } catch (error) {
-        console.error('Error completing request:', error);
-        res.status(500).json({ message: 'Server error' });
+        sendError(res, error, 'Error completing request');
     }
 };
 
+// Attachment details for clients; the files themselves are fetched through getAttachment
+const summarizeAttachments = (request) => (request.attachments || []).map(attachment => ({
+    _id: attachment._id,
+    originalName: attachment.originalName,
+    mimeType: attachment.mimeType,
+    width: attachment.width,
+    height: attachment.height
+}));
+
+// One step of a request's timeline. Admins appear by role only, and a provider never
+// sees which other providers quoted on or held the request.
+const formatTimelineEntry = (item, viewerId, viewerRole) => {
+    const actorId = item.actor ? String(item.actor._id || item.actor) : null;
+    const hidden = item.actorRole === 'admin'
+        || (viewerRole === 'provider' && item.actorRole === 'provider' && actorId !== String(viewerId));
+
+    return {
+        status: item.status,
+        from: item.from || null,
+        actorRole: item.actorRole || null,
+        actor: actorId && !hidden ? { _id: actorId, name: item.actor.userName } : null,
+        reason: item.reason || null,
+        timestamp: item.timestamp
+    };
+};
+
+// Request history for the active role, each request with its full status timeline
 exports.getRequestHistory = async (req, res) => {
     try {
         const userId = req.user.id; // Authenticated user's ID
@@ -155,9 +570,11 @@ exports.getRequestHistory = async (req, res) => {
         if (userRole === 'seeker') {
             // Get all requests where the user is the seeker
             history = await ServiceRequest.find({ seeker: userId })
-                .populate('provider', 'userName contactNumber') // Populate provider's details
-                .select('category description contactNumber location status history createdAt expirationTime generatedPin') // Add generatedPin to selected fields
+                .populate('provider', 'userName contactNumber identityVerified verifiedSkills') // Populate provider's details
+                .populate('history.actor', 'userName')
+                .select('category description contactNumber location status history createdAt expirationTime scheduledWindow agreedPrice pinGeneratedAt pinExpiresAt pinLockedAt attachments') // PIN state only, the PIN itself is never stored
                 .exec();
+            const reviewed = await findReviewedRequestIds(history.map(request => request._id), userId);
 
             const formattedHistory = history.map(request => ({
                 _id: request._id,
@@ -168,17 +585,23 @@ exports.getRequestHistory = async (req, res) => {
                 status: request.status,
                 provider: request.provider ? {
                     name: request.provider.userName,
-                    contactNumber: request.provider.contactNumber
+                    contactNumber: request.provider.contactNumber,
+                    identityVerified: Boolean(request.provider.identityVerified)
                 } : null,
                 history: request.history ? request.history.map(item => ({
-                    status: item.status,
-                    provider: item.provider, // ID of provider who changed the status
-                    timestamp: item.timestamp
+                    ...formatTimelineEntry(item, userId, 'seeker'),
+                    provider: item.provider // ID of the provider on the request at the time
                 })) : [],
+                attachments: summarizeAttachments(request),
                 createdAt: request.createdAt,
                 expirationTime: request.expirationTime,
-                // Only include PIN for in-progress requests
-                generatedPin: request.status === 'in-progress' ? request.generatedPin : undefined
+                scheduledWindow: request.isScheduled() ? request.scheduledWindow : null,
+                agreedPrice: request.agreedPrice && request.agreedPrice.amount !== undefined ? request.agreedPrice : null,
+                // PIN state while a provider is on the job (the PIN is delivered once via pinGenerated)
+                pinExpiresAt: request.pinGeneratedAt && lifecycle.JOB_STATUSES.includes(request.status) ? request.pinExpiresAt : undefined,
+                pinLocked: request.pinGeneratedAt && lifecycle.JOB_STATUSES.includes(request.status) ? Boolean(request.pinLockedAt) : undefined,
+                reviewable: request.status === 'completed' && Boolean(request.provider),
+                reviewed: reviewed.has(request._id.toString())
             }));
 
             return res.status(200).json({
@@ -190,8 +613,10 @@ exports.getRequestHistory = async (req, res) => {
             // Get all requests where the user is the provider
             history = await ServiceRequest.find({ 'history.provider': userId })
                 .populate('seeker', 'userName contactNumber') // Populate seeker's details
-                .select('category description contactNumber location status history createdAt expirationTime') // Select relevant fields
+                .populate('history.actor', 'userName')
+                .select('category description contactNumber location status history createdAt expirationTime scheduledWindow agreedPrice provider attachments') // Select relevant fields
                 .exec();
+            const reviewed = await findReviewedRequestIds(history.map(request => request._id), userId);
 
             const formattedHistory = history.map(request => ({
                 _id: request._id,
@@ -204,12 +629,15 @@ exports.getRequestHistory = async (req, res) => {
                     name: request.seeker.userName,
                     contactNumber: request.seeker.contactNumber
                 } : null,
-                history: request.history.filter(item => String(item.provider) === String(userId)).map(item => ({
-                    status: item.status,
-                    timestamp: item.timestamp
-                })),
+                history: request.history.map(item => formatTimelineEntry(item, userId, 'provider')),
+                attachments: summarizeAttachments(request),
                 createdAt: request.createdAt,
-                expirationTime: request.expirationTime
+                expirationTime: request.expirationTime,
+                scheduledWindow: request.isScheduled() ? request.scheduledWindow : null,
+                agreedPrice: request.agreedPrice && request.agreedPrice.amount !== undefined ? request.agreedPrice : null,
+                // Only the provider who completed the job reviews its seeker
+                reviewable: request.status === 'completed' && String(request.provider) === String(userId),
+                reviewed: reviewed.has(request._id.toString())
             }));
 
             return res.status(200).json({
@@ -225,31 +653,75 @@ exports.getRequestHistory = async (req, res) => {
     }
 };
 
-// Get verification PIN for a specific request
-exports.getRequestPin = async (req, res) => {
+// Load a request with a provider on the job for its seeker, or send the matching error response
+const findSeekerPinRequest = async (req, res) => {
+    const requestId = req.params.id;
+
+    if (!mongoose.isValidObjectId(requestId)) {
+        res.status(404).json({ message: 'Request not found' });
+        return null;
+    }
+
+    const request = await ServiceRequest.findById(requestId);
+
+    if (!request) {
+        res.status(404).json({ message: 'Request not found' });
+        return null;
+    }
+
+    // Only allow seeker to manage the PIN of their own request
+    if (request.seeker.toString() !== req.user.id) {
+        res.status(403).json({ message: 'Not authorized to access this request' });
+        return null;
+    }
+
+    // PINs are issued when the provider takes the job (booked jobs: when they set off)
+    if (!lifecycle.JOB_STATUSES.includes(request.status) || !request.pinGeneratedAt) {
+        res.status(400).json({ message: 'PIN is only available once a provider is on the job' });
+        return null;
+    }
+
+    return request;
+};
+
+// Where the provider is on the seeker's job: position, distance and ETA from their live location
+// (null until the provider shares a position on the job)
+exports.getJobTracking = async (req, res) => {
     try {
-        const requestId = req.params.id;
-        const userId = req.user.id;
-        
-        const request = await ServiceRequest.findById(requestId);
-        
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: 'Request not found' });
+        }
+
+        const request = await ServiceRequest.findById(req.params.id).select('seeker location status');
         if (!request) {
             return res.status(404).json({ message: 'Request not found' });
         }
-        
-        // Only allow seeker to fetch PIN for their own request
-        if (request.seeker.toString() !== userId) {
+        if (request.seeker.toString() !== req.user.id) {
             return res.status(403).json({ message: 'Not authorized to access this request' });
         }
-        
-        // Only return PIN if request is in-progress
-        if (request.status !== 'in-progress') {
-            return res.status(400).json({ message: 'PIN is only available for in-progress requests' });
+        if (!lifecycle.JOB_STATUSES.includes(request.status)) {
+            return res.status(400).json({ message: 'Tracking is only available while a provider is on the job' });
         }
-        
+
+        res.json({ tracking: await getJobProgress(request) });
+    } catch (error) {
+        sendError(res, error, 'Error fetching job tracking');
+    }
+};
+
+// Get the verification PIN state for a specific request (the PIN itself is only stored hashed)
+exports.getRequestPin = async (req, res) => {
+    try {
+        const request = await findSeekerPinRequest(req, res);
+        if (!request) return;
+
         res.json({
             requestId: request._id,
-            generatedPin: request.generatedPin
+            pinGeneratedAt: request.pinGeneratedAt,
+            pinExpiresAt: request.pinExpiresAt,
+            expired: !request.pinExpiresAt || request.pinExpiresAt <= new Date(),
+            locked: Boolean(request.pinLockedAt),
+            attemptsRemaining: Math.max(MAX_PIN_ATTEMPTS - request.pinAttempts, 0)
         });
         
     } catch (error) {
@@ -258,50 +730,197 @@ exports.getRequestPin = async (req, res) => {
     }
 };
 
-// Cancel a service request (only by the seeker who created it)
-exports.cancelRequest = async (req, res) => {
+// Issue a new verification PIN (seekers only); replaces the old PIN and clears any lockout
+exports.regenerateRequestPin = async (req, res) => {
     try {
-        console.log(`Request ID: ${req.params.id}`); // Log the request ID
-        console.log(`User Info: ${JSON.stringify(req.user)}`); // Log the user info
+        const request = await findSeekerPinRequest(req, res);
+        if (!request) return;
+
+        const issuedPin = await generatePin();
+        const updated = await ServiceRequest.findOneAndUpdate(
+            { _id: request._id, status: { $in: lifecycle.JOB_STATUSES }, pinGeneratedAt: { $ne: null } },
+            { $set: pinFields(issuedPin), $inc: { __v: 1 } },
+            { new: true }
+        );
+        if (!updated) {
+            return res.status(409).json({ message: 'The job is no longer under way' });
+        }
 
-        const requestId = req.params.id;
-        console.log(`Request ID: ${requestId}`); // Log the request ID
+        // Other open sessions of the seeker replace their cached PIN
+        const pinData = {
+            requestId: updated._id,
+            pin: issuedPin.pin,
+            expiresAt: issuedPin.pinExpiresAt
+        };
+        publishToUser(updated.seeker, 'pinGenerated', pinData);
 
-        const user = await User.findById(req.user.id).select('status role');
-        console.log(`User Info: ${JSON.stringify(user)}`); // Log the user info
+        res.status(201).json(pinData);
+    } catch (error) {
+        console.error('Error regenerating request PIN:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
 
+// Cancel a service request (only by the seeker who created it)
+// Open requests and accepted jobs the provider has not set off for yet can be cancelled;
+// a provider who was holding an immediate job is freed.
+exports.cancelRequest = async (req, res) => {
+    try {
         // Ensure the user is a seeker
         if (req.user.role !== 'seeker') {
-            console.log('User is not a seeker'); // Log role mismatch
             return res.status(403).json({ message: 'Only seekers can cancel requests' });
         }
 
-        // Find the request
-        const request = await ServiceRequest.findById(requestId);
-        console.log(`Service Request: ${JSON.stringify(request)}`); // Log the service request
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: 'Service request not found' });
+        }
 
+        const request = await ServiceRequest.findById(req.params.id);
         if (!request) {
-            console.log('Service request not found'); // Log missing request
             return res.status(404).json({ message: 'Service request not found' });
         }
 
-        if (request.status !== 'pending') {
-            console.log(`Request status is not pending: ${request.status}`); // Log invalid status
-            return res.status(400).json({ message: 'Request is in progress and cannot be cancelled.' });
+        // Once the provider is on the way only an admin can cancel
+        if (![...lifecycle.OPEN_STATUSES, 'accepted'].includes(request.status)) {
+            return res.status(400).json({ message: `The request is ${request.status} and can no longer be cancelled.` });
         }
 
-        // Update request status to cancelled
-        request.status = 'cancelled';
-        console.log('Request status updated to cancelled'); // Log status update
+        const cancelled = await lifecycle.transition(request, 'cancelled', req.user, { reason: req.body && req.body.reason });
 
-        // Save the updated request
-        await request.save();
-        console.log('Request saved successfully'); // Log successful save
+        if (cancelled.provider && lifecycle.isActiveJob(request)) {
+            await releaseProvider(cancelled.provider);
+        }
+        await quoteService.closeQuotes(cancelled._id);
+        await discardJobTrail(cancelled._id);
+        emitRequestUpdate(cancelled);
 
         res.status(200).json({ message: 'Request cancelled successfully' });
     } catch (error) {
-        console.error('Error cancelling request:', error); // Log the error
-        res.status(500).json({ message: 'Server error' });
+        sendError(res, error, 'Error cancelling request');
     }
 };
 
+// The assigned provider can't make it: hand an accepted job back (before work starts) with
+// a reason. The request is re-matched with other providers and the withdrawal counts
+// against the provider's reliability.
+exports.withdrawFromRequest = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        if (req.user.role !== 'provider') {
+            return res.status(403).json({ message: 'Only providers can withdraw from requests' });
+        }
+
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: 'Service request not found' });
+        }
+
+        const provider = await User.findById(req.user.id).select('status');
+        if (!provider) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const { request, job } = await withdrawFromRequest(req.params.id, provider, req.body.reason);
+
+        await quoteService.releaseAcceptedQuote(job.acceptedQuote);
+        await discardJobTrail(request._id);
+        const reliability = await refreshProviderReliability(provider._id);
+
+        scheduleExpiry(request.expirationTime);
+        notifyNearbyProviders(request, provider._id).catch(err => console.error('Error notifying providers:', err));
+
+        res.status(200).json({ message: 'You have withdrawn from this request', reliability });
+    } catch (error) {
+        sendError(res, error, 'Error withdrawing from request');
+    }
+};
+
+// Report a problem with a job, while it is under way or shortly after it was completed
+// (seeker or assigned provider). An admin resolves the dispute.
+exports.disputeRequest = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: 'Service request not found' });
+        }
+
+        const request = await ServiceRequest.findById(req.params.id);
+        if (!request) {
+            return res.status(404).json({ message: 'Service request not found' });
+        }
+
+        const disputed = await lifecycle.transition(request, 'disputed', req.user, { reason: req.body.reason });
+
+        // A job disputed while under way is over for the provider
+        if (request.status === 'in-progress') {
+            await releaseProvider(disputed.provider);
+            await discardJobTrail(disputed._id);
+        }
+
+        const otherParty = disputed.seeker.toString() === req.user.id ? disputed.provider : disputed.seeker;
+        publishToUser(otherParty, 'requestDisputed', {
+            requestId: disputed._id,
+            category: disputed.category,
+            reason: req.body.reason
+        });
+        emitRequestUpdate(disputed);
+
+        res.status(200).json({ message: 'The request has been disputed. An admin will review it.', request: disputed });
+    } catch (error) {
+        sendError(res, error, 'Error disputing request');
+    }
+};
+
+
+// @desc    Download a photo attached to a request (?size=thumbnail for the small version)
+// @route   GET /api/service-requests/:id/attachments/:attachmentId
+// @access  Private (The request's seeker and provider; any provider while it is open)
+exports.getAttachment = async (req, res) => {
+    try {
+        const { id, attachmentId } = req.params;
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(404).json({ message: 'Service request not found' });
+        }
+
+        const request = await ServiceRequest.findById(id).select('seeker provider status attachments');
+        if (!request) {
+            return res.status(404).json({ message: 'Service request not found' });
+        }
+
+        const isParty = request.seeker.toString() === req.user.id
+            || (request.provider && request.provider.toString() === req.user.id);
+        const isOpenToProviders = lifecycle.OPEN_STATUSES.includes(request.status) && req.user.role === 'provider';
+        // The admin role is re-checked against the database, as adminMiddleware does, so a
+        // revoked or suspended admin loses access before their token expires
+        const isAdmin = !isParty && !isOpenToProviders && (req.user.roles || []).includes('admin')
+            && Boolean(await User.exists({ _id: req.user.id, roles: 'admin', suspendedAt: null }));
+        if (!isParty && !isOpenToProviders && !isAdmin) {
+            return res.status(403).json({ message: 'You cannot view the photos of this request' });
+        }
+
+        const attachment = request.attachments.id(attachmentId);
+        if (!attachment) {
+            return res.status(404).json({ message: 'Attachment not found' });
+        }
+
+        const variant = req.query.size === 'thumbnail' ? 'thumbnail' : 'original';
+        const { stream, mimeType } = await attachmentService.openAttachment(attachment, variant);
+
+        res.set('Content-Type', mimeType);
+        res.set('Cache-Control', 'private, max-age=86400');
+        stream.on('error', (err) => {
+            console.error('Attachment stream error:', err);
+            res.destroy(err);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        sendError(res, error, 'Get attachment error');
+    }
+};
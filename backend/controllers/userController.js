@@ -1,51 +1,37 @@
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { validationResult } = require('express-validator');
-const config = require('config');
-
-const User = require('../models/User');
-
-// @desc    Register a new user
-// @route   POST /api/users
-// @access  Public
-exports.registerUser = async (req, res) => {
-    // ...existing code...
-};
+const User = require('../models/UserModel');
+const { changeProviderStatus } = require('../services/providerStatusService');
+const serviceAreaService = require('../services/serviceAreaService');
+const { sendError } = require('../utils/ClientError');
 
 // @desc    Update provider status
 // @route   PATCH /api/users/status
 // @access  Private (Providers only)
 exports.updateProviderStatus = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
     try {
-        const user = await User.findById(req.user.id);
+        const user = await User.findById(req.user.id).select('activeRole status');
         
         // Check if user exists
         if (!user) {
             return res.status(404).json({ message: 'User not found' });
         }
         
-        // Check if user is a provider
-        if (user.role !== 'provider') {
+        // Check if user is acting as a provider
+        if (user.activeRole !== 'provider') {
             return res.status(403).json({ message: 'Only providers can update their status' });
         }
         
-        // Get status from request body
-        const { status } = req.body;
-        
-        // Validate status
-        const validStatuses = ['online', 'offline', 'active', 'in-progress'];
-        if (!validStatuses.includes(status)) {
-            return res.status(400).json({ message: 'Invalid status value' });
-        }
-        
-        // Update user status
-        user.status = status;
-        await user.save();
+        // Validates the transition and pushes it to the SSE stream
+        const status = await changeProviderStatus(user, req.body.status);
         
-        return res.json({ status: user.status });
+        return res.json({ status });
     } catch (error) {
-        console.error('Update provider status error:', error.message);
-        return res.status(500).json({ message: 'Server error' });
+        return sendError(res, error, 'Update provider status error');
     }
 };
 
@@ -61,8 +47,8 @@ exports.getProviderStatus = async (req, res) => {
             return res.status(404).json({ message: 'User not found' });
         }
         
-        // Check if user is a provider
-        if (user.role !== 'provider') {
+        // Check if user is acting as a provider
+        if (user.activeRole !== 'provider') {
             return res.status(403).json({ message: 'Only providers have status' });
         }
         
@@ -72,3 +58,48 @@ exports.getProviderStatus = async (req, res) => {
         return res.status(500).json({ message: 'Server error' });
     }
 };
+
+// @desc    Get the provider's service areas and working hours
+// @route   GET /api/users/availability
+// @access  Private (Providers only)
+exports.getAvailability = async (req, res) => {
+    try {
+        res.json(await serviceAreaService.getAvailability(req.user.id));
+    } catch (error) {
+        sendError(res, error, 'Get availability error');
+    }
+};
+
+// @desc    Replace the provider's service areas (GeoJSON polygons); an empty list
+//          goes back to matching within a radius of their location
+// @route   PUT /api/users/service-areas
+// @access  Private (Providers only)
+exports.updateServiceAreas = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        res.json(await serviceAreaService.setServiceAreas(req.user.id, req.body.serviceAreas));
+    } catch (error) {
+        sendError(res, error, 'Update service areas error');
+    }
+};
+
+// @desc    Replace the provider's weekly working hours and exceptions (holidays, breaks)
+// @route   PUT /api/users/working-hours
+// @access  Private (Providers only)
+exports.updateWorkingHours = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const { timezone, weekly, exceptions } = req.body;
+        res.json(await serviceAreaService.setWorkingHours(req.user.id, { timezone, weekly, exceptions }));
+    } catch (error) {
+        sendError(res, error, 'Update working hours error');
+    }
+};
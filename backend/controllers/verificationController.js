@@ -0,0 +1,50 @@
+const User = require('../models/UserModel');
+const verificationService = require('../services/providerVerificationService');
+const { sendError } = require('../utils/ClientError');
+
+// @desc    Upload verification documents (ID, trade licences) for admin review
+// @route   POST /api/verification
+// @access  Private (Providers only)
+exports.submitVerification = async (req, res) => {
+    try {
+        if (req.user.role !== 'provider') {
+            return res.status(403).json({ message: 'Only providers can request verification' });
+        }
+
+        const provider = await User.findById(req.user.id).select('skills verifiedSkills identityVerified');
+        if (!provider) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const request = await verificationService.submitVerification(provider, req.files, req.body.skills);
+        res.status(201).json(request);
+    } catch (error) {
+        sendError(res, error, 'Submit verification error');
+    }
+};
+
+// @desc    Verification status and past requests of the logged in provider
+// @route   GET /api/verification
+// @access  Private (Providers only)
+exports.getMyVerification = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('roles skills verifiedSkills identityVerified identityVerifiedAt');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (!user.hasRole('provider')) {
+            return res.status(403).json({ message: 'Only providers can request verification' });
+        }
+
+        const requests = await verificationService.listProviderVerifications(user._id);
+        res.json({
+            identityVerified: user.identityVerified,
+            identityVerifiedAt: user.identityVerifiedAt,
+            skills: user.skills,
+            verifiedSkills: user.verifiedSkills,
+            requests
+        });
+    } catch (error) {
+        sendError(res, error, 'Get verification error');
+    }
+};
@@ -0,0 +1,35 @@
+const { purgeExpiredLocations } = require('../services/providerLocationService');
+
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+let timer = null;
+
+// Delete provider positions kept longer than the retention period (LOCATION_RETENTION_DAYS)
+const run = async () => {
+    try {
+        const deleted = await purgeExpiredLocations();
+        if (deleted > 0) {
+            console.log(`Purged ${deleted} expired location records`);
+        }
+    } catch (error) {
+        console.error('Error purging expired locations:', error);
+    } finally {
+        if (timer) {
+            timer = setTimeout(run, CHECK_INTERVAL_MS);
+            timer.unref();
+        }
+    }
+};
+
+const startLocationRetentionJob = () => {
+    if (timer) return;
+    timer = setTimeout(run, 0);
+    timer.unref();
+};
+
+const stopLocationRetentionJob = () => {
+    clearTimeout(timer);
+    timer = null;
+};
+
+module.exports = { startLocationRetentionJob, stopLocationRetentionJob };
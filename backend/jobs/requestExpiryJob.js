@@ -0,0 +1,109 @@
+const ServiceRequest = require('../models/ServiceRequestModel');
+const { publishToUser } = require('../services/eventBus');
+const { closeQuotes } = require('../services/quoteService');
+const lifecycle = require('../services/requestLifecycleService');
+const { ClientError } = require('../utils/ClientError');
+const { emitRequestUpdate } = require('../sockets/io');
+
+// Upper bound on how long the job sleeps, so requests created by other
+// server instances are still expired on time
+const MAX_SLEEP_MS = 60 * 1000;
+
+// Requests that lapse at expirationTime: open ones, and booked scheduled jobs never set off for
+const EXPIRING = {
+    $or: [
+        { status: { $in: lifecycle.OPEN_STATUSES } },
+        { status: 'accepted', 'scheduledWindow.start': { $exists: true } }
+    ]
+};
+
+let timer = null;
+let nextRunAt = null;
+let running = false;
+let started = false;
+
+// Tell the seeker their request expired and refresh both parties' views
+const notifyExpired = (request) => {
+    publishToUser(request.seeker, 'requestExpired', {
+        requestId: request._id,
+        category: request.category,
+        expiredAt: request.expirationTime,
+        booked: Boolean(request.provider) // A booked scheduled job that was never started
+    });
+    emitRequestUpdate(request);
+};
+
+// Arm the timer for `runAt` (a Date), capped at MAX_SLEEP_MS from now
+const schedule = (runAt) => {
+    if (!started) return;
+
+    const delay = runAt
+        ? Math.min(Math.max(runAt.getTime() - Date.now(), 0), MAX_SLEEP_MS)
+        : MAX_SLEEP_MS;
+
+    clearTimeout(timer);
+    nextRunAt = Date.now() + delay;
+    timer = setTimeout(run, delay);
+    timer.unref();
+};
+
+// Expire every open request (and every booked scheduled request that was never
+// started) whose expirationTime has passed, then sleep until the next one is due
+const run = async () => {
+    running = true;
+    let nextExpiration = null;
+
+    try {
+        const now = new Date();
+
+        // Each transition is conditional on the request still being open, so a
+        // request accepted or cancelled in the meantime is never expired and two
+        // instances never expire the same request twice
+        const skipped = [];
+        let request;
+        while ((request = await ServiceRequest.findOne({ ...EXPIRING, _id: { $nin: skipped }, expirationTime: { $lte: now } })
+            .sort({ expirationTime: 1 }))) {
+            try {
+                const expired = await lifecycle.transition(request, 'expired', lifecycle.SYSTEM);
+                notifyExpired(expired);
+                await closeQuotes(expired._id);
+            } catch (error) {
+                if (!(error instanceof ClientError)) throw error;
+                skipped.push(request._id); // Moved on by another instance or a provider
+            }
+        }
+
+        const next = await ServiceRequest.findOne({ ...EXPIRING, expirationTime: { $gt: now } })
+            .sort({ expirationTime: 1 })
+            .select('expirationTime');
+        nextExpiration = next ? next.expirationTime : null;
+    } catch (error) {
+        console.error('Error expiring service requests:', error);
+    } finally {
+        running = false;
+        schedule(nextExpiration);
+    }
+};
+
+// Wake the job earlier when a request expires before the next scheduled run
+const scheduleExpiry = (expirationTime) => {
+    if (!started || running || !expirationTime) return;
+    if (expirationTime.getTime() < nextRunAt) {
+        schedule(expirationTime);
+    }
+};
+
+const startRequestExpiryJob = () => {
+    if (started) return;
+    started = true;
+    run();
+};
+
+const stopRequestExpiryJob = () => {
+    started = false;
+    clearTimeout(timer);
+    timer = null;
+    nextRunAt = null;
+};
+
+module.exports = { startRequestExpiryJob, stopRequestExpiryJob, scheduleExpiry };
@@ -0,0 +1,58 @@
+const ServiceRequest = require('../models/ServiceRequestModel');
+const { publishToUser } = require('../services/eventBus');
+
+// How long before a booked window starts both parties are reminded
+const REMINDER_LEAD_MINUTES = Number(process.env.SCHEDULE_REMINDER_MINUTES) || 60;
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+
+const notifyReminder = (request) => {
+    const data = {
+        requestId: request._id,
+        category: request.category,
+        windowStart: request.scheduledWindow.start,
+        windowEnd: request.scheduledWindow.end
+    };
+    publishToUser(request.seeker, 'scheduledReminder', data);
+    publishToUser(request.provider, 'scheduledReminder', data);
+};
+
+// Remind the seeker and provider of every booked job starting within the lead time
+const run = async () => {
+    try {
+        const now = new Date();
+        const horizon = new Date(now.getTime() + REMINDER_LEAD_MINUTES * 60 * 1000);
+
+        // reminderSentAt is claimed atomically, so each reminder goes out once even
+        // with several server instances
+        let request;
+        while ((request = await ServiceRequest.findOneAndUpdate(
+            { status: 'accepted', reminderSentAt: null, 'scheduledWindow.start': { $lte: horizon } },
+            { $set: { reminderSentAt: now }, $inc: { __v: 1 } },
+            { new: true, sort: { 'scheduledWindow.start': 1 } }
+        ))) {
+            notifyReminder(request);
+        }
+    } catch (error) {
+        console.error('Error sending scheduled request reminders:', error);
+    } finally {
+        if (timer) {
+            timer = setTimeout(run, CHECK_INTERVAL_MS);
+            timer.unref();
+        }
+    }
+};
+
+const startScheduledReminderJob = () => {
+    if (timer) return;
+    timer = setTimeout(run, 0);
+    timer.unref();
+};
+
+const stopScheduledReminderJob = () => {
+    clearTimeout(timer);
+    timer = null;
+};
+
+module.exports = { startScheduledReminderJob, stopScheduledReminderJob };
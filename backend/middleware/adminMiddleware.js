@@ -0,0 +1,17 @@
+const User = require('../models/UserModel');
+
+// Use after authMiddleware. The admin role is re-checked against the database on every
+// request, so revoking it (or suspending the admin) takes effect without waiting for
+// the access token to expire.
+module.exports = async function (req, res, next) {
+    try {
+        const user = await User.findById(req.user.id).select('roles suspendedAt');
+        if (!user || !user.hasRole('admin') || user.suspendedAt) {
+            return res.status(403).json({ message: 'Admin access required' });
+        }
+        next();
+    } catch (err) {
+        console.error('Admin check error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
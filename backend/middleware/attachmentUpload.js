@@ -0,0 +1,54 @@
+const multer = require('multer');
+
+const MAX_ATTACHMENTS = Number(process.env.MAX_REQUEST_ATTACHMENTS) || 5;
+const MAX_ATTACHMENT_MB = Number(process.env.MAX_ATTACHMENT_MB) || 8;
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Photos of the problem, sent as the multipart field `attachments`
+const upload = multer({
+    storage: multer.memoryStorage(), // Re-encoded by attachmentService before anything is stored
+    limits: { fileSize: MAX_ATTACHMENT_MB * 1024 * 1024, files: MAX_ATTACHMENTS },
+    fileFilter: (req, file, cb) => {
+        if (!IMAGE_TYPES.includes(file.mimetype)) {
+            return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+        }
+        cb(null, true);
+    }
+}).array('attachments', MAX_ATTACHMENTS);
+
+const uploadErrorMessage = (err) => {
+    switch (err.code) {
+        case 'LIMIT_FILE_SIZE':
+            return `Each photo must be ${MAX_ATTACHMENT_MB} MB or smaller`;
+        case 'LIMIT_FILE_COUNT':
+            return `You can attach up to ${MAX_ATTACHMENTS} photos`;
+        case 'LIMIT_UNEXPECTED_FILE':
+            return `Attach up to ${MAX_ATTACHMENTS} photos as JPEG, PNG or WebP images`;
+        default:
+            return 'Could not read the uploaded photos';
+    }
+};
+
+// Accepts both JSON and multipart bodies. Multipart fields arrive as strings, so the
+// JSON-encoded `location` object is decoded here for the validators that follow.
+module.exports = function (req, res, next) {
+    if (!req.is('multipart/form-data')) return next();
+
+    upload(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            return res.status(400).json({ message: uploadErrorMessage(err) });
+        }
+        if (err) return next(err);
+
+        if (typeof req.body.location === 'string') {
+            try {
+                req.body.location = JSON.parse(req.body.location);
+            } catch (parseError) {
+                return res.status(400).json({ message: 'Location must be a JSON object' });
+            }
+        }
+        next();
+    });
+};
+
+module.exports.MAX_ATTACHMENTS = MAX_ATTACHMENTS;
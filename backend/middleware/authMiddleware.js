@@ -1,7 +1,8 @@
 const jwt = require('jsonwebtoken');
-const User = require('../models/UserModel')
+const { verifyAccessToken } = require('../services/tokenService');
+const { ClientError } = require('../utils/ClientError');
 
-module.exports = function (req, res, next) {
+module.exports = async function (req, res, next) {
     // Get token from header
     const authHeader = req.header('Authorization');
 
@@ -12,13 +13,21 @@ module.exports = function (req, res, next) {
 
     const token = authHeader.split(' ')[1];  // Extract token after 'Bearer'
 
+    let decoded;
     try {
-        // Verify token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded.user;
-        next();
+        // Verify token and check it against the revocation list
+        decoded = await verifyAccessToken(token);
     } catch (err) {
+        // Anything but a bad, expired or revoked token is a server fault
+        if (!(err instanceof jwt.JsonWebTokenError) && !(err instanceof ClientError)) {
+            console.error('Token revocation check error:', err);
+            return res.status(500).json({ message: 'Server error' });
+        }
         console.error('JWT verification error:', err.message);
-        res.status(401).json({ message: 'Token is not valid' });
+        return res.status(401).json({ message: 'Token is not valid' });
     }
+
+    req.user = decoded.user;
+    req.auth = decoded; // Full payload (jti, exp) so logout can revoke this token
+    next();
 };
@@ -0,0 +1,40 @@
+const multer = require('multer');
+const { EXTENSIONS } = require('../services/documentStorage');
+
+const MAX_DOCUMENT_MB = Number(process.env.MAX_DOCUMENT_MB) || 5;
+
+// Verification documents arrive as multipart fields `idDocument` and `tradeLicence`
+const upload = multer({
+    storage: multer.memoryStorage(), // Kept in memory until the storage backend has them
+    limits: { fileSize: MAX_DOCUMENT_MB * 1024 * 1024, files: 4 },
+    fileFilter: (req, file, cb) => {
+        if (!EXTENSIONS[file.mimetype]) {
+            return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+        }
+        cb(null, true);
+    }
+}).fields([
+    { name: 'idDocument', maxCount: 1 },
+    { name: 'tradeLicence', maxCount: 3 }
+]);
+
+const uploadErrorMessage = (err) => {
+    switch (err.code) {
+        case 'LIMIT_FILE_SIZE':
+            return `Each document must be ${MAX_DOCUMENT_MB} MB or smaller`;
+        case 'LIMIT_FILE_COUNT':
+        case 'LIMIT_UNEXPECTED_FILE':
+            return 'Upload one ID document and up to three trade licences as PDF, JPEG, PNG or WebP files';
+        default:
+            return 'Could not read the uploaded documents';
+    }
+};
+
+module.exports = function (req, res, next) {
+    upload(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            return res.status(400).json({ message: uploadErrorMessage(err) });
+        }
+        next(err);
+    });
+};
@@ -0,0 +1,115 @@
+const Category = require('../models/CategoryModel');
+const ServiceRequest = require('../models/ServiceRequestModel');
+const User = require('../models/UserModel');
+const categoryService = require('../services/categoryService');
+
+// The catalogue a fresh database starts with
+const DEFAULT_CATEGORIES = [
+    { slug: 'plumbing', name: 'Plumbing', icon: 'fa-tint', synonyms: ['plumber', 'pipes'], children: [
+        { slug: 'leak-repair', name: 'Leak repair', synonyms: ['leak', 'leaking pipe'] },
+        { slug: 'drain-cleaning', name: 'Drain cleaning', synonyms: ['blocked drain', 'unclog'] },
+        { slug: 'tap-installation', name: 'Tap installation', synonyms: ['faucet', 'tap'] }
+    ] },
+    { slug: 'electrical', name: 'Electrical', icon: 'fa-bolt', synonyms: ['electrician', 'electric'], children: [
+        { slug: 'fan-installation', name: 'Fan installation', synonyms: ['ceiling fan'] },
+        { slug: 'wiring-repair', name: 'Wiring repair', synonyms: ['wiring', 'rewiring'] },
+        { slug: 'light-fitting', name: 'Light fitting', synonyms: ['lighting', 'lamp'] }
+    ] },
+    { slug: 'carpentry', name: 'Carpentry', icon: 'fa-wrench', synonyms: ['carpenter', 'woodwork'], children: [
+        { slug: 'furniture-assembly', name: 'Furniture assembly', synonyms: ['flat pack'] },
+        { slug: 'door-repair', name: 'Door repair', synonyms: ['door'] }
+    ] },
+    { slug: 'cleaning', name: 'Cleaning', icon: 'fa-shower', synonyms: ['cleaner', 'housekeeping'], children: [
+        { slug: 'deep-cleaning', name: 'Deep cleaning' },
+        { slug: 'window-cleaning', name: 'Window cleaning', synonyms: ['windows'] }
+    ] },
+    { slug: 'gardening', name: 'Gardening', icon: 'fa-leaf', synonyms: ['gardener', 'landscaping'], children: [
+        { slug: 'lawn-mowing', name: 'Lawn mowing', synonyms: ['mowing', 'grass cutting'] },
+        { slug: 'hedge-trimming', name: 'Hedge trimming', synonyms: ['hedges'] }
+    ] },
+    { slug: 'painting', name: 'Painting', icon: 'fa-paint-brush', synonyms: ['painter', 'decorating'], children: [
+        { slug: 'interior-painting', name: 'Interior painting' },
+        { slug: 'exterior-painting', name: 'Exterior painting' }
+    ] }
+];
+
+// Insert the default categories that are missing; existing ones keep any edits
+const seedCategories = async () => {
+    const operations = [];
+    DEFAULT_CATEGORIES.forEach(({ children = [], ...category }, index) => {
+        [{ ...category, parent: null, sortOrder: index }, ...children.map((child, childIndex) => ({
+            icon: category.icon,
+            ...child,
+            parent: category.slug,
+            sortOrder: childIndex
+        }))].forEach(entry => operations.push({
+            updateOne: { filter: { slug: entry.slug }, update: { $setOnInsert: entry }, upsert: true }
+        }));
+    });
+
+    const result = await Category.bulkWrite(operations);
+    categoryService.invalidateCache();
+    return result.upsertedCount;
+};
+
+// Map every distinct legacy value to a category slug (values that match nothing are left alone)
+const resolveLegacyValues = async (values) => {
+    const mapping = [];
+    for (const value of values) {
+        const category = await categoryService.resolveCategory(value);
+        if (category && category.slug !== value) mapping.push([value, category.slug]);
+    }
+    return mapping;
+};
+
+// Rewrite an array field of free-text values to slugs, dropping duplicates it creates
+const migrateArrayField = async (field, mapping) => {
+    if (mapping.length === 0) return 0;
+
+    const branches = mapping.map(([from, to]) => ({ case: { $eq: ['$$value', from] }, then: to }));
+    const result = await User.collection.updateMany(
+        { [field]: { $in: mapping.map(([from]) => from) } },
+        [{
+            $set: {
+                [field]: {
+                    $setUnion: [{ $map: { input: `$${field}`, as: 'value', in: { $switch: { branches, default: '$$value' } } } }]
+                }
+            }
+        }]
+    );
+    return result.modifiedCount;
+};
+
+// Turn the free-text categories and skills written before the catalogue existed into
+// slugs, and give every request the category path hierarchical matching needs.
+// Safe to run repeatedly.
+const migrateCategoryReferences = async () => {
+    const categories = await ServiceRequest.collection.distinct('category', { categoryPath: { $exists: false } });
+    let requests = 0;
+    for (const value of categories) {
+        const category = await categoryService.resolveCategory(value);
+        const slug = category ? category.slug : value; // Unknown values still match providers listing them verbatim
+        const result = await ServiceRequest.collection.updateMany(
+            { category: value, categoryPath: { $exists: false } },
+            { $set: { category: slug, categoryPath: await categoryService.categoryPath(slug) } }
+        );
+        requests += result.modifiedCount;
+    }
+
+    const skills = await User.collection.distinct('skills');
+    const skillMapping = await resolveLegacyValues(skills);
+    const users = await migrateArrayField('skills', skillMapping);
+    await migrateArrayField('verifiedSkills', skillMapping);
+
+    if (requests > 0 || users > 0) {
+        console.log(`Migrated categories of ${requests} requests and skills of ${users} users`);
+    }
+    return { requests, users };
+};
+
+const migrateCategories = async () => {
+    await seedCategories();
+    return migrateCategoryReferences();
+};
+
+module.exports = { DEFAULT_CATEGORIES, seedCategories, migrateCategoryReferences, migrateCategories };
@@ -0,0 +1,21 @@
+const Chat = require('../models/ChatModel');
+
+// Chats used to be unique per service request; they are now unique per request and provider,
+// so the old index has to go before a reassigned request can get its new chat.
+// Safe to run repeatedly.
+const migrateChatAssignments = async () => {
+    const indexes = await Chat.collection.indexes().catch(error => {
+        if (error.codeName === 'NamespaceNotFound') return []; // No chats yet
+        throw error;
+    });
+
+    const legacy = indexes.find(index => index.name === 'serviceRequest_1' && index.unique);
+    if (!legacy) return false;
+
+    await Chat.collection.dropIndex(legacy.name);
+    await Chat.createIndexes();
+    console.log('Migrated chats to one per request assignment');
+    return true;
+};
+
+module.exports = { migrateChatAssignments };
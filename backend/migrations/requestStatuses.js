@@ -0,0 +1,17 @@
+const ServiceRequest = require('../models/ServiceRequestModel');
+
+// Booked scheduled requests used to have their own `scheduled` status; in the request
+// lifecycle they are `accepted` until the provider sets off. Safe to run repeatedly.
+const migrateRequestStatuses = async () => {
+    const result = await ServiceRequest.collection.updateMany(
+        { status: 'scheduled' },
+        { $set: { status: 'accepted' }, $inc: { __v: 1 } }
+    );
+
+    if (result.modifiedCount > 0) {
+        console.log(`Migrated ${result.modifiedCount} booked requests from scheduled to accepted`);
+    }
+    return result.modifiedCount;
+};
+
+module.exports = { migrateRequestStatuses };
@@ -0,0 +1,20 @@
+const User = require('../models/UserModel');
+
+// Move accounts created before dual-role support from the single `role` field to
+// `roles` + `activeRole`. Safe to run repeatedly: migrated users are skipped.
+const migrateUserRoles = async () => {
+    const result = await User.collection.updateMany(
+        { roles: { $exists: false }, role: { $in: User.ROLES } },
+        [
+            { $set: { roles: ['$role'], activeRole: '$role' } },
+            { $unset: 'role' }
+        ]
+    );
+
+    if (result.modifiedCount > 0) {
+        console.log(`Migrated ${result.modifiedCount} users to roles/activeRole`);
+    }
+    return result.modifiedCount;
+};
+
+module.exports = { migrateUserRoles };
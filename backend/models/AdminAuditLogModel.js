@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const ADMIN_ACTIONS = [
+    'suspend-user', 'unsuspend-user', 'force-cancel-request', 'resolve-dispute', 'reset-provider-status',
+    'approve-verification', 'reject-verification',
+    'action-failed' // An action logged above that did not take effect; details.entry points at it
+];
+
+// One entry per admin action. Entries are append-only: every update or delete
+// through the model is refused.
+const adminAuditLogSchema = new mongoose.Schema({
+    admin: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, immutable: true },
+    action: { type: String, enum: ADMIN_ACTIONS, required: true, immutable: true },
+    targetType: { type: String, enum: ['User', 'Request', 'VerificationRequest'], required: true, immutable: true },
+    targetId: { type: mongoose.Schema.Types.ObjectId, required: true, refPath: 'targetType', immutable: true },
+    reason: { type: String, trim: true, maxlength: 500, immutable: true },
+    details: { type: mongoose.Schema.Types.Mixed, immutable: true }, // State before and after the action
+    createdAt: { type: Date, default: Date.now, immutable: true }
+}, { versionKey: false });
+
+adminAuditLogSchema.index({ createdAt: -1 });
+adminAuditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+adminAuditLogSchema.index({ admin: 1, createdAt: -1 });
+
+const refuseChange = function () {
+    throw new Error('Admin audit log entries are immutable');
+};
+
+adminAuditLogSchema.pre('save', function (next) {
+    if (!this.isNew) return next(new Error('Admin audit log entries are immutable'));
+    next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+    adminAuditLogSchema.pre(operation, { document: false, query: true }, refuseChange);
+});
+adminAuditLogSchema.pre('deleteOne', { document: true, query: false }, refuseChange);
+
+const AdminAuditLog = mongoose.model('AdminAuditLog', adminAuditLogSchema);
+
+module.exports = AdminAuditLog;
+module.exports.ADMIN_ACTIONS = ADMIN_ACTIONS;
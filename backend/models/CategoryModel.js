@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// A service category. Requests store the slug in `category` and providers list slugs in
+// `skills`; categories nest (Electrical → Fan installation) and a provider skilled in a
+// parent category is matched with requests for any of its children.
+const categorySchema = new mongoose.Schema({
+    slug: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [SLUG_PATTERN, 'Slug may only contain lowercase letters, digits and dashes']
+    },
+    name: { type: String, required: true, trim: true, maxlength: 80 },
+    parent: { type: String, default: null }, // Slug of the parent category, null at the top level
+    // Other words people use for it ("plumber", "pipes"); matched case-insensitively
+    synonyms: { type: [{ type: String, lowercase: true, trim: true }], default: [] },
+    icon: { type: String, trim: true }, // Font Awesome class, e.g. "fa-bolt"
+    sortOrder: { type: Number, default: 0 },
+    active: { type: Boolean, default: true } // Retired categories stay for old requests but can't be picked
+}, {
+    timestamps: true
+});
+
+categorySchema.index({ parent: 1, sortOrder: 1 });
+
+const Category = mongoose.model('Category', categorySchema);
+
+module.exports = Category;
+module.exports.SLUG_PATTERN = SLUG_PATTERN;
@@ -1,14 +1,21 @@
 const mongoose = require('mongoose');
 
+// One chat per assignment of a service request, between its seeker and the assigned provider.
+// A provider who withdraws loses the chat; whoever takes the request over starts a new one.
 const chatSchema = new mongoose.Schema({
-    request: { type: mongoose.Schema.Types.ObjectId, ref: 'Request', required: true }, // Reference to the request
-    messages: [{
-        sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-        content: { type: String, required: true },
-        timestamp: { type: Date, default: Date.now }
-    }]
+    serviceRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'Request', required: true },
+    seeker: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    provider: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    lastMessageAt: { type: Date }
 }, { timestamps: true });
 
+chatSchema.index({ serviceRequest: 1, provider: 1 }, { unique: true });
+
+// Check whether a user is one of the two parties of the chat
+chatSchema.methods.hasParticipant = function (userId) {
+    return this.seeker.toString() === userId || this.provider.toString() === userId;
+};
+
 const Chat = mongoose.model('Chat', chatSchema);
 
 module.exports = Chat;
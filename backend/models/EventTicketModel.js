@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Single-use ticket that opens one /api/events stream, so the access token never
+// appears in a URL. Only the hash is stored and the ticket is deleted when used.
+// The stream lives only as long as the access token the ticket was issued for.
+const eventTicketSchema = new mongoose.Schema({
+    ticketHash: { type: String, required: true, unique: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    tokenId: { type: String }, // jti of that access token
+    tokenIssuedAt: { type: Date, required: true },
+    tokenExpiresAt: { type: Date, required: true },
+    expiresAt: { type: Date, required: true }
+});
+
+eventTicketSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('EventTicket', eventTicketSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const FAILED_LOGIN_REASONS = ['unknown-email', 'bad-password', 'locked', 'rate-limited'];
+const RETENTION_DAYS = Number(process.env.FAILED_LOGIN_RETENTION_DAYS) || 90;
+
+// Audit record of a rejected login attempt
+const failedLoginSchema = new mongoose.Schema({
+    email: { type: String, required: true, lowercase: true, trim: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Set when the email belongs to an account
+    ip: { type: String },
+    userAgent: { type: String },
+    reason: { type: String, enum: FAILED_LOGIN_REASONS, required: true },
+    createdAt: { type: Date, default: Date.now, expires: RETENTION_DAYS * 24 * 60 * 60 }
+});
+
+failedLoginSchema.index({ user: 1, createdAt: -1 });
+failedLoginSchema.index({ ip: 1, createdAt: -1 });
+
+const FailedLogin = mongoose.model('FailedLogin', failedLoginSchema);
+
+module.exports = FailedLogin;
+module.exports.FAILED_LOGIN_REASONS = FAILED_LOGIN_REASONS;
@@ -1,5 +1,10 @@
 const mongoose = require('mongoose');
 
+const MAX_SAVED_PLACES = 20;
+const MAX_LABEL_LENGTH = 50;
+const MAX_ADDRESS_LENGTH = 300;
+const MAX_ACCESS_NOTES_LENGTH = 500;
+
 // Provider location schema with live tracking
 const providerLocationSchema = new mongoose.Schema({
     provider: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Reference to the provider (User)
@@ -7,21 +12,76 @@ const providerLocationSchema = new mongoose.Schema({
         type: { type: String, enum: ['Point'], default: 'Point' }, // GeoJSON format
         coordinates: { type: [Number], required: true } // [longitude, latitude]
     },
+    accuracy: { type: Number, min: 0 }, // Reported accuracy radius in meters
+    heading: { type: Number, min: 0, max: 360 }, // Degrees clockwise from north
+    speed: { type: Number, min: 0 }, // Reported speed in m/s
+    blurred: { type: Boolean, default: false }, // Snapped to the blur grid: the provider was not on a job
     updatedAt: { type: Date, default: Date.now } // Timestamp for location updates
 }, { timestamps: true });
 
+providerLocationSchema.index({ provider: 1 }, { unique: true }); // One live position per provider
 providerLocationSchema.index({ location: '2dsphere' }); // 2dsphere index for geospatial queries
+providerLocationSchema.index({ updatedAt: 1 }); // Retention purge
 
-// Seeker location schema (static, chosen once)
+// A seeker's saved place (Home, Office, ...) to request services at without picking it on the map
 const seekerLocationSchema = new mongoose.Schema({
     seeker: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Reference to the seeker (User)
+    label: { type: String, required: true, trim: true, maxlength: MAX_LABEL_LENGTH },
     location: {
         type: { type: String, enum: ['Point'], default: 'Point' }, // GeoJSON format
-        coordinates: { type: [Number], required: true } // [longitude, latitude] chosen once
-    }
+        coordinates: { type: [Number], required: true } // [longitude, latitude]
+    },
+    formattedAddress: { type: String, trim: true, maxlength: MAX_ADDRESS_LENGTH },
+    accessNotes: { type: String, trim: true, maxlength: MAX_ACCESS_NOTES_LENGTH } // Gate code, floor, parking...
+}, { timestamps: true });
+
+// Labels are unique per seeker, ignoring case
+seekerLocationSchema.index({ seeker: 1, label: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+// Recent positions of the provider on one job, streamed to its seeker and discarded when the job ends
+const jobTrailSchema = new mongoose.Schema({
+    request: { type: mongoose.Schema.Types.ObjectId, ref: 'Request', required: true },
+    provider: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    seeker: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    points: [{
+        _id: false,
+        coordinates: { type: [Number], required: true }, // [longitude, latitude]
+        speed: { type: Number, min: 0 }, // Speed reported by the device, m/s
+        recordedAt: { type: Date, required: true }
+    }],
+    arrivingSoonAt: { type: Date }, // The provider entered the "arriving soon" geofence
+    arrivedAt: { type: Date } // The provider reached the request location
+}, { timestamps: true });
+
+jobTrailSchema.index({ request: 1 }, { unique: true });
+jobTrailSchema.index({ updatedAt: 1 }); // Retention purge of trails left behind
+
+// Positions a provider shared, kept for the retention period so they can export or delete them.
+// Positions shared while just online are stored blurred; on a job they are exact.
+const locationHistorySchema = new mongoose.Schema({
+    provider: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    coordinates: { type: [Number], required: true }, // [longitude, latitude]
+    accuracy: { type: Number, min: 0 },
+    blurred: { type: Boolean, default: false },
+    request: { type: mongoose.Schema.Types.ObjectId, ref: 'Request' }, // The job they were on, if any
+    recordedAt: { type: Date, required: true }
 });
 
+locationHistorySchema.index({ provider: 1, recordedAt: -1 });
+locationHistorySchema.index({ recordedAt: 1 }); // Retention purge
+
 const ProviderLocation = mongoose.model('ProviderLocation', providerLocationSchema);
 const SeekerLocation = mongoose.model('SeekerLocation', seekerLocationSchema);
+const JobTrail = mongoose.model('JobTrail', jobTrailSchema);
+const LocationHistory = mongoose.model('LocationHistory', locationHistorySchema);
 
-module.exports = { ProviderLocation, SeekerLocation };
+module.exports = {
+    ProviderLocation,
+    SeekerLocation,
+    JobTrail,
+    LocationHistory,
+    MAX_SAVED_PLACES,
+    MAX_LABEL_LENGTH,
+    MAX_ADDRESS_LENGTH,
+    MAX_ACCESS_NOTES_LENGTH
+};
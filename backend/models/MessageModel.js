@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const MAX_MESSAGE_LENGTH = 2000;
+
+// Chat messages live in their own collection so history can be paged by _id
+const messageSchema = new mongoose.Schema({
+    chat: { type: mongoose.Schema.Types.ObjectId, ref: 'Chat', required: true },
+    sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    content: { type: String, required: true, trim: true, maxlength: MAX_MESSAGE_LENGTH },
+    timestamp: { type: Date, default: Date.now },
+    read: { type: Boolean, default: false },
+    readAt: { type: Date }
+});
+
+messageSchema.index({ chat: 1, _id: -1 }); // Cursor pagination, newest first
+messageSchema.index({ chat: 1, sender: 1, read: 1 }); // Read receipts
+
+const Message = mongoose.model('Message', messageSchema);
+
+module.exports = Message;
+module.exports.MAX_MESSAGE_LENGTH = MAX_MESSAGE_LENGTH;
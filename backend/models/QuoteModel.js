@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const MAX_NOTE_LENGTH = 500;
+const QUOTE_STATUSES = ['pending', 'accepted', 'rejected', 'withdrawn'];
+
+// A provider's price offer on a pending request. Each provider has at most one quote
+// per request and revises it in place while it is pending.
+const quoteSchema = new mongoose.Schema({
+    serviceRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'Request', required: true },
+    provider: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    amount: { type: Number, required: true, min: 0 },
+    currency: { type: String, required: true, uppercase: true, match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'] },
+    estimatedDuration: { type: Number, required: true, min: 1 }, // Minutes the job is expected to take
+    note: { type: String, trim: true, maxlength: MAX_NOTE_LENGTH },
+    status: { type: String, enum: QUOTE_STATUSES, default: 'pending' },
+    revision: { type: Number, default: 1 }, // Bumped each time the provider revises the quote
+    respondedAt: { type: Date } // When the quote was accepted, rejected or withdrawn
+}, { timestamps: true });
+
+quoteSchema.index({ serviceRequest: 1, provider: 1 }, { unique: true });
+quoteSchema.index({ serviceRequest: 1, status: 1, amount: 1 }); // Competing quotes, cheapest first
+
+const Quote = mongoose.model('Quote', quoteSchema);
+
+module.exports = Quote;
+module.exports.MAX_NOTE_LENGTH = MAX_NOTE_LENGTH;
+module.exports.QUOTE_STATUSES = QUOTE_STATUSES;
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// A server-side refresh token. Only the SHA-256 hash of the token is stored.
+// Every refresh rotates the token; all tokens rotated from the same login share a family,
+// so presenting a token that was already rotated away revokes the whole session.
+const refreshTokenSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    family: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    replacedBy: { type: String } // Hash of the token this one was rotated into
+}, { timestamps: true });
+
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB drops expired tokens
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const MAX_COMMENT_LENGTH = 1000;
+const MAX_TAGS = 5;
+
+// Tags a reviewer can pick, per role of the person being reviewed
+const REVIEW_TAGS = {
+    provider: ['punctual', 'professional', 'friendly', 'skilled', 'good-value', 'clean-work', 'late', 'unprofessional', 'poor-quality'],
+    seeker: ['punctual', 'friendly', 'clear-instructions', 'easy-to-find', 'late', 'unresponsive', 'rude']
+};
+
+// One review per party per completed request: the seeker rates the provider and vice versa
+const reviewSchema = new mongoose.Schema({
+    serviceRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'Request', required: true },
+    reviewer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    reviewee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    revieweeRole: { type: String, enum: ['seeker', 'provider'], required: true },
+    score: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 5,
+        validate: { validator: Number.isInteger, message: 'Score must be a whole number' }
+    },
+    comment: { type: String, trim: true, maxlength: MAX_COMMENT_LENGTH },
+    tags: {
+        type: [String],
+        validate: {
+            validator: (tags) => tags.length <= MAX_TAGS,
+            message: `A review can have at most ${MAX_TAGS} tags`
+        }
+    }
+}, { timestamps: true });
+
+reviewSchema.index({ serviceRequest: 1, reviewer: 1 }, { unique: true }); // Each party reviews once
+reviewSchema.index({ reviewee: 1, createdAt: -1 }); // Review listing and rating aggregation
+
+const Review = mongoose.model('Review', reviewSchema);
+
+module.exports = Review;
+module.exports.REVIEW_TAGS = REVIEW_TAGS;
+module.exports.MAX_COMMENT_LENGTH = MAX_COMMENT_LENGTH;
+module.exports.MAX_TAGS = MAX_TAGS;
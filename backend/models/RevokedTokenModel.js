@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Access tokens that must be rejected before they expire. An entry either names a
+// single token by its jti (logout) or rejects every token a user was issued up to
+// `issuedBefore` (logout from all devices; `iat` is in whole seconds, so inclusive). Entries are kept until the tokens they
+// cover would have expired anyway.
+const revokedTokenSchema = new mongoose.Schema({
+    jti: { type: String },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    issuedBefore: { type: Date },
+    expiresAt: { type: Date, required: true }
+});
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+revokedTokenSchema.index({ jti: 1 }, { unique: true, partialFilterExpression: { jti: { $type: 'string' } } });
+revokedTokenSchema.index({ user: 1, issuedBefore: -1 });
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
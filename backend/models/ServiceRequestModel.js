@@ -1,95 +1,120 @@
 const mongoose = require('mongoose');
 
+// Lifecycle: pending → quoted → accepted → en-route → arrived → in-progress → completed,
+// plus cancelled, expired and disputed; a provider who withdraws sends the request back
+// to pending. Transitions go through requestLifecycleService.
+const STATUSES = ['pending', 'quoted', 'accepted', 'en-route', 'arrived', 'in-progress', 'completed', 'cancelled', 'expired', 'disputed'];
+const ACTOR_ROLES = ['seeker', 'provider', 'admin', 'system'];
+
+// A photo of the problem; the files live in documentStorage and are served through the API
+const attachmentSchema = new mongoose.Schema({
+    storageKey: { type: String, required: true },
+    thumbnailKey: { type: String, required: true },
+    originalName: { type: String, trim: true, maxlength: 255 },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    width: { type: Number },
+    height: { type: Number },
+    uploadedAt: { type: Date, default: Date.now }
+});
+
+// Storage keys stay on the server
+attachmentSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.storageKey;
+        delete ret.thumbnailKey;
+        return ret;
+    }
+});
+
 const requestSchema = new mongoose.Schema({
     seeker: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    category: { type: String, required: true },
+    category: { type: String, required: true }, // Category slug
+    // The category and its ancestors (e.g. ['electrical', 'fan-installation']), so a
+    // provider skilled in a parent category matches requests for its children
+    categoryPath: { type: [String], default: undefined },
     description: { type: String, required: true },
     contactNumber: { type: String, required: true },
     location: {
         type: { type: String, enum: ['Point'], default: 'Point' },
         coordinates: { type: [Number], required: true } // [longitude, latitude]
     },
-    duration: { type: Number, required: true }, // Duration in minutes for request validity
+    // Where the service happens, copied when the request is created so later edits to the
+    // seeker's saved place don't rewrite it. Access notes are only shown to the assigned provider.
+    address: {
+        label: { type: String },
+        formattedAddress: { type: String },
+        accessNotes: { type: String },
+        savedPlace: { type: mongoose.Schema.Types.ObjectId, ref: 'SeekerLocation' }
+    },
+    // Duration in minutes for request validity (immediate requests only)
+    duration: { type: Number, required: function() { return !this.isScheduled(); } },
+    // Set for requests booked ahead of time: the service must happen within this window
+    scheduledWindow: {
+        start: { type: Date },
+        end: { type: Date }
+    },
+    reminderSentAt: { type: Date }, // When the reminder before the window start went out
     additionalDetails: { type: String },
+    attachments: { type: [attachmentSchema], default: [] },
     provider: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    status: { type: String, enum: ['pending', 'in-progress', 'completed', 'cancelled','expired'], default: 'pending' },
-    generatedPin: { type: String },
+    acceptedQuote: { type: mongoose.Schema.Types.ObjectId, ref: 'Quote' }, // Set when the seeker accepted a quote
+    agreedPrice: {
+        amount: { type: Number },
+        currency: { type: String }
+    },
+    // An `accepted` scheduled request is booked and waiting for its window
+    status: { type: String, enum: STATUSES, default: 'pending' },
+    // Completion PIN: only a bcrypt hash is stored, the seeker gets the PIN when it is issued
+    pinHash: { type: String, select: false },
     pinGeneratedAt: { type: Date },
+    pinExpiresAt: { type: Date },
+    pinAttempts: { type: Number, default: 0 }, // Failed verifications since the PIN was issued
+    pinLockedAt: { type: Date }, // Set once MAX_PIN_ATTEMPTS is reached; the seeker must issue a new PIN
+    // One entry per status transition: who made it, when and why
     history: [{
-        provider: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-        status: { type: String, enum: ['accepted', 'completed'] },
+        provider: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Provider on the request at the time
+        status: { type: String, enum: [...STATUSES, 'started'] }, // `started`: entries written before the lifecycle existed
+        from: { type: String, enum: STATUSES },
+        actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Unset for system transitions
+        actorRole: { type: String, enum: ACTOR_ROLES },
+        reason: { type: String, trim: true, maxlength: 500 },
         timestamp: { type: Date, default: Date.now }
     }],
     createdAt: { type: Date, default: Date.now },
     expirationTime: { type: Date } // Add expirationTime field
-}, { timestamps: true });
-
-// Middleware to set expirationTime based on duration
-requestSchema.pre('save', function(next) {
-    this.expirationTime = new Date(Date.now() + this.duration * 60 * 1000); // Convert minutes to milliseconds
-    next();
-});
-requestSchema.pre('find', async function(next) {
-    const currentTime = new Date();
-    
-    try {
-        // Update all requests with an expired expirationTime
-        await this.model.updateMany(
-            { expirationTime: { $lt: currentTime }, status: { $ne: 'expired' } }, // Filter for expired requests that aren't already 'expired'
-            { status: 'expired' }
-        );
-        next();
-    } catch (error) {
-        console.error('Error updating expired requests:', error);
-        next(error); // Pass the error to the next middleware or route handler
-    }
+}, {
+    timestamps: true,
+    // save() fails with a VersionError if the request changed since it was loaded;
+    // atomic updates that change the request must $inc __v to take part in this
+    optimisticConcurrency: true
 });
 
+requestSchema.methods.isScheduled = function() {
+    return Boolean(this.scheduledWindow && this.scheduledWindow.start);
+};
 
+// Middleware to set expirationTime (only when the request is created or its validity
+// changes, so later saves don't push the expiry back). A scheduled request stays open
+// for bookings until its window starts; an immediate one for `duration` minutes.
 requestSchema.pre('save', function(next) {
-    // Check if the status field has been modified
-    if (this.isModified('status')) {
-        // Custom logic for when the status changes to 'in-progress'
-        if (this.status === 'in-progress') {
-            
-            this.history.push({
-                provider: this.provider || null,  // Record provider if available
-                status: 'accepted',               // Add 'accepted' to history for 'in-progress' status
-                timestamp: new Date()             // Add the current timestamp
-            });
-        }
-
-        // Custom logic for when the status changes to 'completed'
-        if (this.status === 'completed') {
-            this.history.push({
-                provider: this.provider || null,  // Record provider if available
-                status: 'completed',              // Add 'completed' to history
-                timestamp: new Date()             // Add the current timestamp
-            });
-        }
+    if (this.isNew || this.isModified('duration') || this.isModified('scheduledWindow')) {
+        this.expirationTime = this.isScheduled()
+            ? this.scheduledWindow.start
+            : new Date(Date.now() + this.duration * 60 * 1000); // Convert minutes to milliseconds
     }
-
     next();
 });
 
-
-requestSchema.pre('findOne', async function(next) {
-    const currentTime = new Date();
-    
-    try {
-        // Update a single request that may be expired
-        await this.model.updateOne(
-            { expirationTime: { $lt: currentTime }, status: { $ne: 'expired' } }, // Only update if not already 'expired'
-            { status: 'expired' }
-        );
-        next();
-    } catch (error) {
-        console.error('Error updating expired request:', error);
-        next(error); // Pass the error to the next middleware or route handler
-    }
-});
-
+// Used by the expiry job to find the next pending request to expire
+requestSchema.index({ status: 1, expirationTime: 1 });
+requestSchema.index({ status: 1, categoryPath: 1 });
+requestSchema.index({ location: '2dsphere' }); // Required by $geoNear in getActiveRequests
+requestSchema.index({ status: 1, 'scheduledWindow.start': 1 }); // Upcoming scheduled requests and reminders
+requestSchema.index({ 'history.provider': 1 }); // Provider history and reliability
 
 const Request = mongoose.model('Request', requestSchema);
 
 module.exports = Request;
+module.exports.STATUSES = STATUSES;
+module.exports.ACTOR_ROLES = ACTOR_ROLES;
@@ -1,6 +1,37 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+const ROLES = ['seeker', 'provider', 'admin'];
+const SIGNUP_ROLES = ['seeker', 'provider']; // Admins are appointed, never self-registered
+// Who sees a provider's live location: nobody, the seekers of their jobs, or also nearby seekers
+const LOCATION_SHARING = ['nobody', 'assigned', 'nearby'];
+
+// A named polygon the provider works in; requests outside all of them are not offered
+const serviceAreaSchema = new mongoose.Schema({
+    name: { type: String, trim: true, maxlength: 50 },
+    area: {
+        type: { type: String, enum: ['Polygon'], default: 'Polygon' },
+        coordinates: { type: [[[Number]]], required: true } // GeoJSON rings of [longitude, latitude]
+    }
+});
+
+// Weekly hours in the provider's time zone ("HH:MM", day 0 = Sunday), and one-off periods
+// off such as holidays and breaks. Without weekly hours the provider is always available.
+const workingHoursSchema = new mongoose.Schema({
+    timezone: { type: String, default: 'UTC' },
+    weekly: [{
+        _id: false,
+        day: { type: Number, min: 0, max: 6, required: true },
+        start: { type: String, required: true },
+        end: { type: String, required: true }
+    }],
+    exceptions: [{
+        start: { type: Date, required: true },
+        end: { type: Date, required: true },
+        note: { type: String, trim: true, maxlength: 100 }
+    }]
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
     userName: {
         type: String,
@@ -23,10 +54,23 @@ const userSchema = new mongoose.Schema({
             'Please enter a valid 10-digit contact number'
         ]
     },
-    role: {
+    // A user may both hire help and take jobs; activeRole is the one they are acting in
+    // now, and it is the role carried in their access token
+    roles: {
+        type: [{ type: String, enum: ROLES }],
+        validate: {
+            validator: (roles) => roles.length > 0 && new Set(roles).size === roles.length,
+            message: 'A user needs at least one role, each listed once'
+        }
+    },
+    activeRole: {
         type: String,
-        enum: ['seeker', 'provider'],
-        required: true
+        enum: ROLES,
+        required: true,
+        validate: {
+            validator: function (role) { return this.roles.includes(role); },
+            message: 'Active role must be one of the user\'s roles'
+        }
     },
     address: {
         street: { type: String },
@@ -37,8 +81,13 @@ const userSchema = new mongoose.Schema({
     },
     skills: {
         type: [String],
-        required: function() { return this.role === 'provider'; }
+        required: function() { return this.roles.includes('provider'); }
     },
+    // Skills an admin confirmed from the provider's documents; `skills` are the ones claimed
+    verifiedSkills: { type: [String], default: [] },
+    // Set when an admin approves the provider's ID document; shown as a "verified" badge
+    identityVerified: { type: Boolean, default: false },
+    identityVerifiedAt: { type: Date },
     password: {
         type: String,
         required: true,
@@ -46,13 +95,40 @@ const userSchema = new mongoose.Schema({
     },
     location: {
         type: { type: String, enum: ['Point'], default: 'Point' },
-        coordinates: { type: [Number], required: function() { return this.role === 'provider'; } } // [longitude, latitude] for seeker's location
+        coordinates: { type: [Number], required: function() { return this.roles.includes('provider'); } } // [longitude, latitude] for seeker's location
     },
     status: {
         type: String,
         enum: ['offline', 'online', 'active', 'in-progress'],
         default: 'offline', // Initial status for new providers
     },
+    // Set once the user opens the link from their verification email; unverified
+    // providers are left out of request matching
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date },
+    passwordChangedAt: { type: Date },
+    // Set by an admin; a suspended user cannot log in or refresh their session
+    suspendedAt: { type: Date },
+    suspensionReason: { type: String, trim: true, maxlength: 500 },
+    // Aggregate of the reviews this user received, recomputed whenever a review is added
+    rating: {
+        average: { type: Number, default: 0 },
+        count: { type: Number, default: 0 }
+    },
+    // Providers: jobs accepted and withdrawn from, recomputed from request history;
+    // score is the percentage of accepted jobs not withdrawn from (null before the first job)
+    reliability: {
+        accepted: { type: Number, default: 0 },
+        withdrawn: { type: Number, default: 0 },
+        score: { type: Number, default: null }
+    },
+    locationSharing: { type: String, enum: LOCATION_SHARING, default: 'nearby' },
+    // Seekers: how many places they saved, so the limit holds when places are saved concurrently
+    // (set on the first save; see savedPlaceService)
+    savedPlaceCount: { type: Number, min: 0 },
+    // Providers: where and when they take work (see serviceAreaService)
+    serviceAreas: { type: [serviceAreaSchema], default: undefined },
+    workingHours: { type: workingHoursSchema },
 }, {
     timestamps: true
 });
@@ -64,11 +140,20 @@ userSchema.pre('save', async function (next) {
     next();
 });
 
+userSchema.index({ 'serviceAreas.area': '2dsphere' }); // Providers whose areas contain a request
+
 // Schema method to check password validity
 userSchema.methods.comparePassword = function (candidatePassword) {
     return bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.methods.hasRole = function (role) {
+    return this.roles.includes(role);
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
+module.exports.ROLES = ROLES;
+module.exports.SIGNUP_ROLES = SIGNUP_ROLES;
+module.exports.LOCATION_SHARING = LOCATION_SHARING;
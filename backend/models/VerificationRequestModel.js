@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const DOCUMENT_KINDS = ['id', 'trade-licence'];
+
+const documentSchema = new mongoose.Schema({
+    kind: { type: String, enum: DOCUMENT_KINDS, required: true },
+    storageKey: { type: String, required: true, select: false }, // Where documentStorage keeps the file
+    originalName: { type: String, trim: true, maxlength: 255 },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true }
+});
+
+// The storage key is never sent to clients; admins open documents through the API
+documentSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.storageKey;
+        return ret;
+    }
+});
+
+// A provider's request to have their identity and skills checked by an admin
+const verificationRequestSchema = new mongoose.Schema({
+    provider: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    documents: {
+        type: [documentSchema],
+        validate: {
+            validator: (documents) => documents.length > 0,
+            message: 'At least one document is required'
+        }
+    },
+    skills: { type: [String], default: [] }, // Claimed skills the provider asks to have verified
+    status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+    approvedSkills: { type: [String], default: [] },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
+    reviewNote: { type: String, trim: true, maxlength: 500 } // Reason for a rejection, or a note on an approval
+}, {
+    timestamps: true
+});
+
+// The admin queue is worked oldest first
+verificationRequestSchema.index({ status: 1, createdAt: 1 });
+// A provider has at most one request waiting for review
+verificationRequestSchema.index(
+    { provider: 1 },
+    { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+const VerificationRequest = mongoose.model('VerificationRequest', verificationRequestSchema);
+
+module.exports = VerificationRequest;
+module.exports.DOCUMENT_KINDS = DOCUMENT_KINDS;
@@ -0,0 +1,132 @@
+const express = require('express');
+const { check, param, query } = require('express-validator');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const authMiddleware = require('../middleware/authMiddleware');
+const adminMiddleware = require('../middleware/adminMiddleware');
+const User = require('../models/UserModel');
+const ServiceRequest = require('../models/ServiceRequestModel');
+const AdminAuditLog = require('../models/AdminAuditLogModel');
+
+// Every admin route needs a valid token and the admin role
+router.use(authMiddleware, adminMiddleware);
+
+const paging = [
+    query('page', 'Page must be a positive integer').optional().isInt({ min: 1 }),
+    query('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 })
+];
+
+const dateRange = [
+    query('from', 'From must be a date').optional().isISO8601(),
+    query('to', 'To must be a date').optional().isISO8601()
+];
+
+const validId = param('id', 'Invalid id').isMongoId();
+const reason = check('reason', 'Reason cannot exceed 500 characters').optional().isString().isLength({ max: 500 });
+
+// @route   GET /api/admin/users
+// @desc    Search users by name or email, role, status and suspension
+// @access  Private (Admins only)
+router.get('/users', [
+    ...paging,
+    query('role', `Role must be one of ${User.ROLES.join(', ')}`).optional().isIn(User.ROLES),
+    query('suspended', 'Suspended must be true or false').optional().isIn(['true', 'false']),
+    query('emailVerified', 'Email verified must be true or false').optional().isIn(['true', 'false'])
+], adminController.listUsers);
+
+// @route   GET /api/admin/requests
+// @desc    Search service requests
+// @access  Private (Admins only)
+router.get('/requests', [
+    ...paging,
+    ...dateRange,
+    query('status', 'Invalid status').optional().isIn(ServiceRequest.schema.path('status').enumValues),
+    query('seeker', 'Invalid seeker id').optional().isMongoId(),
+    query('provider', 'Invalid provider id').optional().isMongoId()
+], adminController.listRequests);
+
+// @route   PATCH /api/admin/users/:id/suspend
+// @desc    Suspend an account; its sessions end immediately
+// @access  Private (Admins only)
+router.patch('/users/:id/suspend', [
+    validId,
+    check('reason', 'A reason is required').isString().trim().notEmpty().isLength({ max: 500 })
+], adminController.suspendUser);
+
+// @route   PATCH /api/admin/users/:id/unsuspend
+// @desc    Lift a suspension
+// @access  Private (Admins only)
+router.patch('/users/:id/unsuspend', [validId, reason], adminController.unsuspendUser);
+
+// @route   PATCH /api/admin/requests/:id/force-cancel
+// @desc    Cancel a stuck job (accepted, en-route, arrived or in-progress)
+// @access  Private (Admins only)
+router.patch('/requests/:id/force-cancel', [
+    validId,
+    check('reason', 'A reason is required').isString().trim().notEmpty().isLength({ max: 500 })
+], adminController.forceCancelRequest);
+
+// @route   PATCH /api/admin/requests/:id/resolve-dispute
+// @desc    Settle a disputed request as completed or cancelled
+// @access  Private (Admins only)
+router.patch('/requests/:id/resolve-dispute', [
+    validId,
+    check('outcome', 'Outcome must be completed or cancelled').isIn(['completed', 'cancelled']),
+    check('reason', 'A reason is required').isString().trim().notEmpty().isLength({ max: 500 })
+], adminController.resolveDispute);
+
+// @route   PATCH /api/admin/providers/:id/reset-status
+// @desc    Move a provider stuck in-progress back to online or offline
+// @access  Private (Admins only)
+router.patch('/providers/:id/reset-status', [
+    validId,
+    check('status', 'Status must be online or offline').optional().isIn(['online', 'offline']),
+    reason
+], adminController.resetProviderStatus);
+
+// @route   GET /api/admin/stats
+// @desc    Request counts per status and per category
+// @access  Private (Admins only)
+router.get('/stats', dateRange, adminController.getStats);
+
+// @route   GET /api/admin/audit-log
+// @desc    Read the admin audit log
+// @access  Private (Admins only)
+router.get('/audit-log', [
+    ...paging,
+    query('action', 'Invalid action').optional().isIn(AdminAuditLog.ADMIN_ACTIONS),
+    query('admin', 'Invalid admin id').optional().isMongoId(),
+    query('targetId', 'Invalid target id').optional().isMongoId()
+], adminController.listAuditLog);
+
+// @route   GET /api/admin/verifications
+// @desc    Provider verification queue (pending by default, oldest first)
+// @access  Private (Admins only)
+router.get('/verifications', [
+    ...paging,
+    query('status', 'Status must be pending, approved or rejected').optional().isIn(['pending', 'approved', 'rejected'])
+], adminController.listVerifications);
+
+// @route   GET /api/admin/verifications/:id/documents/:documentId
+// @desc    View an uploaded verification document
+// @access  Private (Admins only)
+router.get('/verifications/:id/documents/:documentId', adminController.getVerificationDocument);
+
+// @route   PATCH /api/admin/verifications/:id/approve
+// @desc    Approve a verification request; `skills` narrows the skills approved
+// @access  Private (Admins only)
+router.patch('/verifications/:id/approve', [
+    validId,
+    check('skills', 'Skills must be a list').optional().isArray(),
+    check('note', 'Note cannot exceed 500 characters').optional().isString().isLength({ max: 500 })
+], adminController.approveVerification);
+
+// @route   PATCH /api/admin/verifications/:id/reject
+// @desc    Reject a verification request
+// @access  Private (Admins only)
+router.patch('/verifications/:id/reject', [
+    validId,
+    check('reason', 'A reason is required').isString().trim().notEmpty().isLength({ max: 500 })
+], adminController.rejectVerification);
+
+module.exports = router;
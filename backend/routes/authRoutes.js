@@ -1,5 +1,6 @@
 const express = require('express');
-const { check } = require('express-validator');
+const { check, body } = require('express-validator');
+const User = require('../models/UserModel');
 const authController = require('../controllers/authController');
 const authMiddleware = require('../middleware/authMiddleware');
 const router = express.Router();
@@ -13,7 +14,11 @@ router.post(
         check('userName', 'Username is required').not().isEmpty(),
         check('email', 'Please include a valid email').isEmail(),
         check('password', 'Password must be at least 6 characters').isLength({ min: 6 }),
-        check('role', 'Role must be seeker, provider, or both').isIn(['seeker', 'provider'])
+        check('role', 'Role must be seeker, provider, or both')
+            .if(body('roles').not().exists())
+            .isIn(['seeker', 'provider', 'both']),
+        check('roles', 'Roles must be a non-empty list').optional().isArray({ min: 1 }),
+        check('roles.*', 'Each role must be seeker or provider').isIn(User.SIGNUP_ROLES)
     ],
     authController.register
 );
@@ -30,11 +35,62 @@ router.post(
     authController.login
 );
 
+// @route   POST /api/auth/refresh
+// @desc    Rotate the refresh token and get a new access token
+// @access  Public
+router.post('/refresh', authController.refresh);
+
 // @route   POST /api/auth/logout
 // @desc    Logout user
 // @access  Private
 router.post('/logout', authMiddleware, authController.logout);
 
+// @route   POST /api/auth/logout-all
+// @desc    Logout user from every device
+// @access  Private
+router.post('/logout-all', authMiddleware, authController.logoutAll);
+
+// @route   PATCH /api/auth/active-role
+// @desc    Switch the active role of a dual-role account and get a new token
+// @access  Private
+router.patch(
+    '/active-role',
+    authMiddleware,
+    [check('role', `Role must be one of: ${User.ROLES.join(', ')}`).isIn(User.ROLES)],
+    authController.switchActiveRole
+);
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post(
+    '/forgot-password',
+    [check('email', 'Please include a valid email').isEmail()],
+    authController.forgotPassword
+);
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token
+// @access  Public
+router.post(
+    '/reset-password',
+    [
+        check('token', 'Reset token is required').isString().notEmpty(),
+        check('password', 'Password must be at least 6 characters').isLength({ min: 6 })
+    ],
+    authController.resetPassword
+);
+
+// @route   GET /api/auth/verify-email
+// @desc    Confirm an email address from the verification link
+// @access  Public
+router.get('/verify-email', authController.verifyEmail);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send the verification email again
+// @access  Private
+router.post('/resend-verification', authMiddleware, authController.resendVerification);
+
 // @route   GET /api/auth
 // @desc    Get authenticated user
 // @access  Private
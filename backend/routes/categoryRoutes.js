@@ -0,0 +1,10 @@
+const express = require('express');
+const categoryController = require('../controllers/categoryController');
+const router = express.Router();
+
+// @route   GET /api/categories
+// @desc    List service categories with their sub-categories
+// @access  Public
+router.get('/', categoryController.getCategories);
+
+module.exports = router;
@@ -6,10 +6,13 @@ const authMiddleware = require('../middleware/authMiddleware');
 // Initialize chat for a service request
 router.post('/init/:requestId', authMiddleware, chatController.initializeChat);
 
-// Get chat history
+// Get chat history (cursor pagination via ?before=<messageId>&limit=<n>)
 router.get('/:chatId', authMiddleware, chatController.getChatHistory);
 
+// Send a message
+router.post('/:chatId/messages', authMiddleware, chatController.sendMessage);
+
 // Mark messages as read
 router.put('/:chatId/read', authMiddleware, chatController.markMessagesAsRead);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,20 +1,39 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const router = express.Router();
 const ServiceRequest = require('../models/ServiceRequestModel');
+const eventBus = require('../services/eventBus');
+const authMiddleware = require('../middleware/authMiddleware');
+const { createEventTicket, consumeEventTicket } = require('../services/tokenService');
 
-// SSE endpoint for real-time updates
+// @route   POST /api/events/ticket
+// @desc    Get a short-lived, single-use ticket for opening the SSE stream
+// @access  Private
+router.post('/events/ticket', authMiddleware, async (req, res) => {
+    try {
+        const { ticket, expiresAt } = await createEventTicket(req.auth);
+        res.status(201).json({ ticket, expiresAt });
+    } catch (err) {
+        console.error('Event ticket error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// SSE endpoint for real-time updates (EventSource cannot send headers, so it
+// authenticates with a ticket from POST /api/events/ticket). The stream ends when the
+// access token the ticket was issued for expires or is revoked; a `streamExpired` event
+// tells the client to reconnect with a current token.
 router.get('/events', async (req, res) => {
-    // Extract and verify token
-    const token = req.query.token;
-    if (!token) {
-        return res.status(401).json({ message: 'No token provided' });
+    const ticket = req.query.ticket;
+    if (!ticket) {
+        return res.status(401).json({ message: 'No ticket provided' });
     }
 
     try {
-        // Verify token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const userId = decoded.user.id;
+        const session = await consumeEventTicket(ticket);
+        if (!session) {
+            return res.status(401).json({ message: 'Ticket is not valid or has expired' });
+        }
+        const { userId } = session;
 
         // Set headers for SSE
         res.setHeader('Content-Type', 'text/event-stream');
@@ -26,12 +45,43 @@ router.get('/events', async (req, res) => {
         res.write('event: connected\n');
         res.write(`data: ${JSON.stringify({ connected: true })}\n\n`);
         
-        // Handle client disconnect
+        const expireStream = (reason) => {
+            if (res.writableEnded) return;
+            res.write('event: streamExpired\n');
+            res.write(`data: ${JSON.stringify({ reason })}\n\n`);
+            res.end();
+        };
+
+        // Forward events published for this user (e.g. providerStatusChanged)
+        const unsubscribe = eventBus.subscribe(userId, (event, data) => {
+            if (res.writableEnded) return;
+
+            // One of the user's tokens was revoked (logout, role switch): end the stream it opened
+            if (event === 'tokenRevoked') {
+                if (session.jti && data.jti === session.jti) expireStream('revoked');
+                return;
+            }
+
+            res.write(`event: ${event}\n`);
+            res.write(`data: ${JSON.stringify(data)}\n\n`);
+
+            // The tokens behind this stream were revoked (logout from all devices)
+            if (event === 'sessionRevoked') {
+                res.end();
+            }
+        });
+
+        // Clean up when the client disconnects or the stream is closed after revocation
         const clientId = Date.now();
         let changeStream = null;
         
-        req.on('close', () => {
+        const expiryTimeout = setTimeout(() => expireStream('expired'), session.expiresAt - Date.now());
+
+        res.on('close', () => {
             console.log(`Client ${clientId} disconnected`);
+            unsubscribe();
+            clearTimeout(expiryTimeout);
+            clearInterval(heartbeatInterval);
             if (changeStream) {
                 changeStream.close();
             }
@@ -77,7 +127,9 @@ router.get('/events', async (req, res) => {
 
     } catch (err) {
         console.error('SSE error:', err);
-        res.status(401).json({ message: 'Invalid token' });
+        if (!res.headersSent) {
+            res.status(500).json({ message: 'Server error' });
+        }
     }
 });
 
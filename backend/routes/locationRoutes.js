@@ -0,0 +1,38 @@
+const express = require('express');
+const { check } = require('express-validator');
+const router = express.Router();
+const locationController = require('../controllers/locationController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { LOCATION_SHARING } = require('../models/UserModel');
+
+// Provider shares their live position (the socket `updateLocation` event does the same)
+router.post('/', [
+    authMiddleware,
+    check('lat', 'Latitude must be between -90 and 90').isFloat({ min: -90, max: 90 }).toFloat(),
+    check('lng', 'Longitude must be between -180 and 180').isFloat({ min: -180, max: 180 }).toFloat(),
+    check('accuracy', 'Accuracy must be a non-negative number of meters').optional({ nullable: true }).isFloat({ min: 0 }).toFloat(),
+    check('heading', 'Heading must be between 0 and 360 degrees').optional({ nullable: true }).isFloat({ min: 0, max: 360 }).toFloat(),
+    check('speed', 'Speed must be a non-negative number').optional({ nullable: true }).isFloat({ min: 0 }).toFloat()
+], locationController.recordLocation);
+
+// Online providers within `radius` meters of a point
+router.get('/providers/nearby', [
+    authMiddleware,
+    check('lat', 'Latitude must be between -90 and 90').isFloat({ min: -90, max: 90 }),
+    check('lng', 'Longitude must be between -180 and 180').isFloat({ min: -180, max: 180 }),
+    check('radius', 'Radius must be a positive number of meters').optional().isFloat({ gt: 0 })
+], locationController.getNearbyProviders);
+
+// The provider's location sharing setting and retention period
+router.get('/privacy', authMiddleware, locationController.getLocationPrivacy);
+
+router.patch('/privacy', [
+    authMiddleware,
+    check('locationSharing', `Location sharing must be one of: ${LOCATION_SHARING.join(', ')}`).isIn(LOCATION_SHARING)
+], locationController.updateLocationPrivacy);
+
+// Export or delete the positions stored for the provider
+router.get('/history/export', authMiddleware, locationController.exportLocationHistory);
+router.delete('/history', authMiddleware, locationController.deleteLocationHistory);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const { check } = require('express-validator');
+const router = express.Router();
+const placeController = require('../controllers/placeController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { MAX_LABEL_LENGTH, MAX_ADDRESS_LENGTH, MAX_ACCESS_NOTES_LENGTH } = require('../models/LocationModel');
+
+const addressChecks = [
+    check('formattedAddress', `Address cannot exceed ${MAX_ADDRESS_LENGTH} characters`).optional().isString().isLength({ max: MAX_ADDRESS_LENGTH }),
+    check('accessNotes', `Access notes cannot exceed ${MAX_ACCESS_NOTES_LENGTH} characters`).optional().isString().isLength({ max: MAX_ACCESS_NOTES_LENGTH })
+];
+
+// List the seeker's saved places
+router.get('/', authMiddleware, placeController.getPlaces);
+
+// Save a place (e.g. Home, Office)
+router.post('/', [
+    authMiddleware,
+    check('label', `Label is required (at most ${MAX_LABEL_LENGTH} characters)`).isString().trim().isLength({ min: 1, max: MAX_LABEL_LENGTH }),
+    check('location', 'Location is required').not().isEmpty(),
+    ...addressChecks
+], placeController.createPlace);
+
+// Edit a saved place
+router.patch('/:id', [
+    authMiddleware,
+    check('label', `Label cannot be empty or exceed ${MAX_LABEL_LENGTH} characters`).optional().isString().trim().isLength({ min: 1, max: MAX_LABEL_LENGTH }),
+    ...addressChecks
+], placeController.updatePlace);
+
+// Delete a saved place
+router.delete('/:id', authMiddleware, placeController.deletePlace);
+
+module.exports = router;
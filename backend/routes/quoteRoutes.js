@@ -0,0 +1,29 @@
+const express = require('express');
+const { check } = require('express-validator');
+const router = express.Router();
+const quoteController = require('../controllers/quoteController');
+const Quote = require('../models/QuoteModel');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// Send or revise a quote on a pending request (providers only)
+router.post('/request/:requestId', [
+    authMiddleware,
+    check('amount', 'Amount must be a positive number').isFloat({ gt: 0 }).toFloat(),
+    check('currency', 'Currency must be a 3-letter code').optional().isAlpha().isLength({ min: 3, max: 3 }),
+    check('estimatedDuration', 'Estimated duration must be a whole number of minutes').isInt({ min: 1 }).toInt(),
+    check('note', `Note cannot exceed ${Quote.MAX_NOTE_LENGTH} characters`).optional().isString().isLength({ max: Quote.MAX_NOTE_LENGTH })
+], quoteController.submitQuote);
+
+// List the quotes on a request (seeker sees all, a provider their own)
+router.get('/request/:requestId', authMiddleware, quoteController.getRequestQuotes);
+
+// Accept a quote; the request moves to in-progress with that provider (seekers only)
+router.patch('/:quoteId/accept', authMiddleware, quoteController.acceptQuote);
+
+// Decline a quote (seekers only)
+router.patch('/:quoteId/reject', authMiddleware, quoteController.rejectQuote);
+
+// Withdraw a pending quote (the provider who sent it)
+router.patch('/:quoteId/withdraw', authMiddleware, quoteController.withdrawQuote);
+
+module.exports = router;
@@ -1,44 +1,102 @@
 const express = require('express');
-const { check } = require('express-validator');
+const { check, body } = require('express-validator');
 const {
     createRequest,
     getActiveRequests,
+    getUpcomingRequests,
     acceptRequest,
+    setOffForRequest,
+    markArrived,
+    startRequest,
     completeRequest,
     getRequestHistory,
     getRequestPin,
-    cancelRequest
+    getJobTracking,
+    regenerateRequestPin,
+    cancelRequest,
+    withdrawFromRequest,
+    disputeRequest,
+    getAttachment
 } = require('../controllers/serviceRequestController');
+const { createReview } = require('../controllers/reviewController');
+const Review = require('../models/ReviewModel');
+const { MAX_ADDRESS_LENGTH, MAX_ACCESS_NOTES_LENGTH } = require('../models/LocationModel');
 const authMiddleware = require('../middleware/authMiddleware');
+const attachmentUpload = require('../middleware/attachmentUpload');
 
 const router = express.Router();
 
-// Route to create a new service request (only seekers)
+// Route to create a new service request (only seekers); scheduledStart/scheduledEnd book a future time window.
+// JSON, or multipart with up to MAX_ATTACHMENTS photos in `attachments`
 router.post('/create', [
     authMiddleware,
+    attachmentUpload,
     check('category', 'Category is required').not().isEmpty(),
     check('description', 'Description is required').not().isEmpty(),
     check('contactNumber', 'Contact number is required').isLength({ min: 10, max: 10 }),
-    check('location', 'Location is required').not().isEmpty(),
-    check('duration', 'Duration is required').isInt({ min: 1 })
+    check('location', 'Location is required').if(body('savedPlaceId').not().exists()).not().isEmpty(),
+    check('savedPlaceId', 'Saved place must be an id').optional().isMongoId(),
+    check('formattedAddress', `Address cannot exceed ${MAX_ADDRESS_LENGTH} characters`).optional().isString().isLength({ max: MAX_ADDRESS_LENGTH }),
+    check('accessNotes', `Access notes cannot exceed ${MAX_ACCESS_NOTES_LENGTH} characters`).optional().isString().isLength({ max: MAX_ACCESS_NOTES_LENGTH }),
+    check('duration', 'Duration is required').if(body('scheduledStart').not().exists()).isInt({ min: 1 }),
+    check('scheduledStart', 'Scheduled start must be a valid date').optional().isISO8601(),
+    check('scheduledEnd', 'Scheduled end must be a valid date').if(body('scheduledStart').exists()).isISO8601()
 ], createRequest);
 
 // Route to fetch active requests (only providers)
 router.get('/active', authMiddleware, getActiveRequests);
 
-// Route to accept a service request (only providers)
+// Route to fetch scheduled requests and the provider's bookings (only providers)
+router.get('/upcoming', authMiddleware, getUpcomingRequests);
+
+// Route to accept a service request; scheduled requests are booked (only providers)
 router.patch('/accept/:id', authMiddleware, acceptRequest);
 
-// Route to mark request as completed (with PIN verification)
+// Routes for the assigned provider's progress on a job: on the way (booked scheduled jobs
+// start here once their window is near), arrived, work started
+router.patch('/en-route/:id', authMiddleware, setOffForRequest);
+router.patch('/arrive/:id', authMiddleware, markArrived);
+router.patch('/start/:id', authMiddleware, startRequest);
+
+// Route to mark request as completed (with PIN verification, assigned provider only)
 router.patch('/complete/:id', authMiddleware, completeRequest);
 
 // Route to get request history (for both seekers and providers)
 router.get('/history', authMiddleware, getRequestHistory);
 
-// Route to get verification PIN for a specific request (seekers only)
+// Route for the seeker to see where the provider is on their job, with an ETA
+router.get('/tracking/:id', authMiddleware, getJobTracking);
+
+// Route to get the verification PIN state for a specific request (seekers only)
 router.get('/pin/:id', authMiddleware, getRequestPin);
 
-// Route to cancel a service request (only by the seeker who created it)
+// Route to issue a new verification PIN, e.g. after it expired or was locked (seekers only)
+router.post('/pin/:id', authMiddleware, regenerateRequestPin);
+
+// Route to cancel a service request (only by the seeker who created it, before the provider sets off)
 router.patch('/cancel/:id', authMiddleware, cancelRequest);
 
+// Route for the assigned provider to hand an accepted job back before work starts
+router.patch('/withdraw/:id', [
+    authMiddleware,
+    check('reason', 'A reason of at most 500 characters is required').isString().trim().isLength({ min: 1, max: 500 })
+], withdrawFromRequest);
+
+// Route to dispute a job while it is under way or shortly after completion (seeker or provider)
+router.patch('/dispute/:id', [
+    authMiddleware,
+    check('reason', 'A reason of at most 500 characters is required').isString().trim().isLength({ min: 1, max: 500 })
+], disputeRequest);
+
+// Route to review the other party once the request is completed (seeker or provider)
+router.post('/review/:id', [
+    authMiddleware,
+    check('score', 'Score must be a whole number from 1 to 5').isInt({ min: 1, max: 5 }).toInt(),
+    check('comment', `Comment cannot exceed ${Review.MAX_COMMENT_LENGTH} characters`).optional().isString().isLength({ max: Review.MAX_COMMENT_LENGTH }),
+    check('tags', `Tags must be a list of at most ${Review.MAX_TAGS} entries`).optional().isArray({ max: Review.MAX_TAGS })
+], createReview);
+
+// Route to download a photo attached to a request (?size=thumbnail)
+router.get('/:id/attachments/:attachmentId', authMiddleware, getAttachment);
+
 module.exports = router;
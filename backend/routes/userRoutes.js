@@ -1,31 +1,68 @@
 const express = require('express');
 const { check } = require('express-validator');
 const router = express.Router();
-const auth = require('../middleware/auth');
+const authMiddleware = require('../middleware/authMiddleware');
 const userController = require('../controllers/userController');
-
-// @route   POST api/users
-// @desc    Register user
-// @access  Public
-router.post(
-    '/',
-    [
-        check('userName', 'Name is required').not().isEmpty(),
-        check('email', 'Please include a valid email').isEmail(),
-        check('password', 'Please enter a password with 6 or more characters').isLength({ min: 6 }),
-        check('role', 'Role must be either seeker or provider').isIn(['seeker', 'provider'])
-    ],
-    userController.registerUser
-);
+const reviewController = require('../controllers/reviewController');
+const { SELF_SET_STATUSES } = require('../services/providerStatusService');
+const { MAX_SERVICE_AREAS } = require('../services/serviceAreaService');
 
 // @route   PATCH api/users/status
 // @desc    Update provider status
 // @access  Private (Only for providers)
-router.patch('/status', auth, userController.updateProviderStatus);
+router.patch(
+    '/status',
+    [
+        authMiddleware,
+        check('status', `Status must be one of: ${SELF_SET_STATUSES.join(', ')}`).isIn(SELF_SET_STATUSES)
+    ],
+    userController.updateProviderStatus
+);
 
 // @route   GET api/users/status
 // @desc    Get provider status
 // @access  Private (Only for providers)
-router.get('/status', auth, userController.getProviderStatus);
+router.get('/status', authMiddleware, userController.getProviderStatus);
+
+// @route   GET api/users/availability
+// @desc    Get the provider's service areas and working hours
+// @access  Private (Only for providers)
+router.get('/availability', authMiddleware, userController.getAvailability);
+
+// @route   PUT api/users/service-areas
+// @desc    Replace the provider's service areas
+// @access  Private (Only for providers)
+router.put(
+    '/service-areas',
+    [
+        authMiddleware,
+        check('serviceAreas', `Service areas must be a list of up to ${MAX_SERVICE_AREAS}`).isArray({ max: MAX_SERVICE_AREAS }),
+        check('serviceAreas.*.name', 'Area name must be at most 50 characters').optional().isString().trim().isLength({ max: 50 })
+    ],
+    userController.updateServiceAreas
+);
+
+// @route   PUT api/users/working-hours
+// @desc    Replace the provider's working hours
+// @access  Private (Only for providers)
+router.put(
+    '/working-hours',
+    [
+        authMiddleware,
+        check('timezone', 'Time zone is required').isString().notEmpty(),
+        check('weekly', 'Weekly hours must be a list').optional().isArray(),
+        check('weekly.*.day', 'Day must be 0 (Sunday) to 6 (Saturday)').isInt({ min: 0, max: 6 }).toInt(),
+        check('exceptions', 'Exceptions must be a list').optional().isArray(),
+        check('exceptions.*.start', 'Exception start must be a date').isISO8601(),
+        check('exceptions.*.end', 'Exception end must be a date').isISO8601(),
+        check('exceptions.*.note', 'Note must be at most 100 characters').optional().isString().trim().isLength({ max: 100 })
+    ],
+    userController.updateWorkingHours
+);
+
+// @route   GET api/users/:id/reviews
+// @desc    Get the reviews a user received and their rating
+// @access  Private
+router.get('/:id/reviews', authMiddleware, reviewController.getUserReviews);
 
 module.exports = router;
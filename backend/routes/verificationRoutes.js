@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const verificationController = require('../controllers/verificationController');
+const authMiddleware = require('../middleware/authMiddleware');
+const documentUpload = require('../middleware/documentUpload');
+
+// @route   POST /api/verification
+// @desc    Upload verification documents (multipart: idDocument, tradeLicence, skills)
+// @access  Private (Providers only)
+router.post('/', authMiddleware, documentUpload, verificationController.submitVerification);
+
+// @route   GET /api/verification
+// @desc    The provider's verification status and requests
+// @access  Private (Providers only)
+router.get('/', authMiddleware, verificationController.getMyVerification);
+
+module.exports = router;
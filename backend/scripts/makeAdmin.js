@@ -0,0 +1,32 @@
+// Grant the admin role to an existing account: node scripts/makeAdmin.js <email>
+// Admins cannot sign up through the API, so this is how the first one is appointed.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/UserModel');
+
+const main = async () => {
+    const email = process.argv[2];
+    if (!email) {
+        console.error('Usage: node scripts/makeAdmin.js <email>');
+        process.exitCode = 1;
+        return;
+    }
+
+    await mongoose.connect(process.env.MONGO_URI);
+    try {
+        const user = await User.findOneAndUpdate({ email }, { $addToSet: { roles: 'admin' } }, { new: true });
+        if (!user) {
+            console.error(`No user with email ${email}`);
+            process.exitCode = 1;
+            return;
+        }
+        console.log(`${user.email} now has roles: ${user.roles.join(', ')}`);
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+main().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+});
@@ -3,14 +3,41 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const path = require('path');
+const http = require('http');
+const { initSocket } = require('./sockets');
+const { startRequestExpiryJob } = require('./jobs/requestExpiryJob');
+const { startScheduledReminderJob } = require('./jobs/scheduledReminderJob');
+const { startLocationRetentionJob } = require('./jobs/locationRetentionJob');
+const { migrateUserRoles } = require('./migrations/userRoles');
+const { migrateCategories } = require('./migrations/categories');
+const { migrateRequestStatuses } = require('./migrations/requestStatuses');
+const { migrateChatAssignments } = require('./migrations/chatAssignments');
+const { assertMailTransport } = require('./services/mailService');
 const authRoutes = require('./routes/authRoutes');
 const profileRoutes = require('./routes/profileRoutes');
 const serviceRequestRoutes = require('./routes/serviceRequestRoutes');
 const eventRoutes = require('./routes/eventRoutes'); // Add this line
+const chatRoutes = require('./routes/chatRoutes');
+const userRoutes = require('./routes/userRoutes');
+const quoteRoutes = require('./routes/quoteRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const verificationRoutes = require('./routes/verificationRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
+const locationRoutes = require('./routes/locationRoutes');
+const placeRoutes = require('./routes/placeRoutes');
+
+// Refuse to start without a mail transport (production has no console default)
+assertMailTransport();
 
 const app = express();
 app.use(express.json());
 
+// Behind a proxy (e.g. Vercel), take the client IP from X-Forwarded-For; login rate
+// limiting is keyed by req.ip. TRUST_PROXY is the number of proxy hops to trust.
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 const allowedOrigins = [
     'http://127.0.0.1:5501', // Local frontend
     'https://spotwise.vercel.app', // Deployed frontend
@@ -29,7 +56,16 @@ app.use(cors({
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGO_URI)
-    .then(() => console.log('MongoDB connected'))
+    .then(() => {
+        console.log('MongoDB connected');
+        migrateUserRoles().catch(err => console.error('Error migrating user roles:', err));
+        migrateCategories().catch(err => console.error('Error migrating categories:', err));
+        migrateRequestStatuses().catch(err => console.error('Error migrating request statuses:', err));
+        migrateChatAssignments().catch(err => console.error('Error migrating chat indexes:', err));
+        startRequestExpiryJob(); // Expire pending requests once their validity runs out
+        startScheduledReminderJob(); // Remind both parties before a booked window starts
+        startLocationRetentionJob(); // Purge provider positions older than the retention period
+    })
     .catch(err => console.error(err));
 
 // Serve static files from the 'frontend/public' folder
@@ -39,6 +75,14 @@ app.use(express.static(path.join(__dirname, '..', 'frontend', 'public')));
 app.use('/api/service-requests', serviceRequestRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api', profileRoutes);
+app.use('/api/chats', chatRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/quotes', quoteRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/verification', verificationRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/places', placeRoutes);
 app.use('/api', eventRoutes); // Add this line for the events route
 
 // Serve the index.html file for the root route
@@ -46,8 +90,12 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, '..', 'frontend', 'public', 'login.html'));
 });
 
+// Attach Socket.IO to the same HTTP server as Express
+const server = http.createServer(app);
+initSocket(server, allowedOrigins);
+
 // Start the server
 const PORT = process.env.PORT || 3000; // Use dynamic port for Vercel
-app.listen(PORT, () => {
+server.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
 });
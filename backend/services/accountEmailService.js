@@ -0,0 +1,31 @@
+const { sendMail } = require('./mailService');
+const tokenService = require('./tokenService');
+
+// Where links in emails point; the backend serves the frontend, so it is the default
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// Email a link that confirms the user owns their address
+const sendVerificationEmail = (user) => {
+    const link = `${APP_URL}/api/auth/verify-email?token=${encodeURIComponent(tokenService.signEmailVerificationToken(user))}`;
+
+    return sendMail({
+        to: user.email,
+        subject: 'Verify your SpotWise email address',
+        text: `Hi ${user.userName},\n\nPlease confirm your email address by opening this link:\n${link}\n\n` +
+            'Providers only receive service requests once their address is verified.'
+    });
+};
+
+// Email a single-use link for choosing a new password
+const sendPasswordResetEmail = (user) => {
+    const link = `${APP_URL}/login.html?resetToken=${encodeURIComponent(tokenService.signPasswordResetToken(user))}`;
+
+    return sendMail({
+        to: user.email,
+        subject: 'Reset your SpotWise password',
+        text: `Hi ${user.userName},\n\nSomeone asked to reset the password of your SpotWise account. ` +
+            `Open this link to choose a new one:\n${link}\n\nIf this wasn't you, you can ignore this email.`
+    });
+};
+
+module.exports = { APP_URL, sendVerificationEmail, sendPasswordResetEmail };
@@ -0,0 +1,314 @@
+const mongoose = require('mongoose');
+const User = require('../models/UserModel');
+const ServiceRequest = require('../models/ServiceRequestModel');
+const AdminAuditLog = require('../models/AdminAuditLogModel');
+const tokenService = require('./tokenService');
+const quoteService = require('./quoteService');
+const verificationService = require('./providerVerificationService');
+const lifecycle = require('./requestLifecycleService');
+const { discardJobTrail } = require('./jobTrackingService');
+const { PROVIDER_STATUSES, changeProviderStatus, hasJobInProgress, takeProviderOffline, releaseProvider } = require('./providerStatusService');
+const { publishToUser } = require('./eventBus');
+const categoryService = require('./categoryService');
+const { ClientError } = require('../utils/ClientError');
+const { paginate } = require('../utils/pagination');
+const { disconnectUser, emitRequestUpdate } = require('../sockets/io');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A single query-string value that must be one of `allowed`. Coercing to a string first means
+// objects such as ?status[$ne]=x are refused instead of reaching MongoDB as operators.
+const enumFilter = (value, allowed, name) => {
+    const text = String(value);
+    if (!allowed.includes(text)) throw new ClientError(`Invalid ${name}: must be one of ${allowed.join(', ')}`);
+    return text;
+};
+
+const categoryFilter = async (value) => {
+    const category = await categoryService.resolveCategory(String(value));
+    if (!category) throw new ClientError(`Unknown service category "${value}"`);
+    return category.slug;
+};
+
+const objectIdFilter = (value, name) => {
+    if (!mongoose.isValidObjectId(value)) throw new ClientError(`Invalid ${name}`);
+    return new mongoose.Types.ObjectId(String(value));
+};
+
+// createdAt range from ?from=&to= (ISO dates)
+const dateRange = ({ from, to }) => {
+    if (!from && !to) return undefined;
+
+    const range = {};
+    for (const [operator, value] of [['$gte', from], ['$lte', to]]) {
+        if (!value) continue;
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) throw new ClientError('Invalid date range');
+        range[operator] = date;
+    }
+    return range;
+};
+
+const findUser = async (userId) => {
+    if (!mongoose.isValidObjectId(userId)) throw new ClientError('User not found', 404);
+
+    const user = await User.findById(userId);
+    if (!user) throw new ClientError('User not found', 404);
+    return user;
+};
+
+// Admins act on requests under their own role, whichever role their account is active in
+const adminActor = (admin) => ({ id: admin.id, role: 'admin' });
+
+const findRequest = async (requestId) => {
+    if (!mongoose.isValidObjectId(requestId)) throw new ClientError('Service request not found', 404);
+
+    const request = await ServiceRequest.findById(requestId);
+    if (!request) throw new ClientError('Service request not found', 404);
+    return request;
+};
+
+// Append an entry to the admin audit log
+const recordAction = (admin, action, target, { reason, details } = {}) => AdminAuditLog.create({
+    admin: admin.id,
+    action,
+    targetType: target.type,
+    targetId: target.id,
+    reason,
+    details
+});
+
+// Log an admin action, then apply it. The entry is written first so the log can never miss an
+// action that took effect; if applying it fails, an `action-failed` entry pointing at the first
+// one says so. Callers check the preconditions they can beforehand so refusals are not logged.
+const audited = async (admin, action, target, entry, apply) => {
+    const logged = await recordAction(admin, action, target, entry);
+
+    try {
+        return await apply();
+    } catch (error) {
+        await recordAction(admin, 'action-failed', target, {
+            reason: entry.reason,
+            details: { entry: logged._id, action, error: error.message }
+        }).catch(err => console.error('Error recording failed admin action:', err));
+        throw error;
+    }
+};
+
+// Users by name or email (?q=), role, provider status, suspension and verification
+exports.listUsers = (query) => {
+    const filter = {};
+    if (query.q) {
+        const pattern = new RegExp(escapeRegex(String(query.q)), 'i');
+        filter.$or = [{ userName: pattern }, { email: pattern }];
+    }
+    if (query.role) filter.roles = enumFilter(query.role, User.ROLES, 'role');
+    if (query.status) filter.status = enumFilter(query.status, PROVIDER_STATUSES, 'status');
+    if (query.suspended !== undefined) filter.suspendedAt = query.suspended === 'true' ? { $ne: null } : null;
+    if (query.emailVerified !== undefined) filter.emailVerified = query.emailVerified === 'true';
+
+    return paginate(User, filter, query, { key: 'users', build: q => q.select('-password') });
+};
+
+// Requests by status, category, party, description (?q=) and creation date
+exports.listRequests = async (query) => {
+    const filter = {};
+    if (query.status) filter.status = enumFilter(query.status, ServiceRequest.STATUSES, 'status');
+    if (query.category) filter.category = await categoryFilter(query.category);
+    if (query.seeker) filter.seeker = objectIdFilter(query.seeker, 'seeker id');
+    if (query.provider) filter.provider = objectIdFilter(query.provider, 'provider id');
+    if (query.q) filter.description = new RegExp(escapeRegex(String(query.q)), 'i');
+
+    const createdAt = dateRange(query);
+    if (createdAt) filter.createdAt = createdAt;
+
+    return paginate(ServiceRequest, filter, query, {
+        key: 'requests',
+        build: q => q.populate('seeker', 'userName email').populate('provider', 'userName email status')
+    });
+};
+
+// Suspend an account: sign it out everywhere and take it off the provider map
+exports.suspendUser = async (admin, userId, reason) => {
+    if (String(userId) === admin.id) throw new ClientError('You cannot suspend your own account');
+
+    const user = await findUser(userId);
+    if (user.suspendedAt) throw new ClientError('User is already suspended', 409);
+
+    return audited(admin, 'suspend-user', { type: 'User', id: user._id }, { reason }, async () => {
+        const suspended = await User.findOneAndUpdate(
+            { _id: user._id, suspendedAt: null },
+            { suspendedAt: new Date(), suspensionReason: reason },
+            { new: true }
+        ).select('-password');
+        if (!suspended) throw new ClientError('User is already suspended', 409);
+
+        await tokenService.revokeAllForUser(user._id);
+        await takeProviderOffline(user._id);
+        publishToUser(user._id, 'sessionRevoked', { reason: 'suspended' });
+        disconnectUser(user._id);
+
+        return suspended;
+    });
+};
+
+exports.unsuspendUser = async (admin, userId, reason) => {
+    const user = await findUser(userId);
+    if (!user.suspendedAt) throw new ClientError('User is not suspended', 409);
+
+    return audited(admin, 'unsuspend-user', { type: 'User', id: user._id }, {
+        reason,
+        details: { previousReason: user.suspensionReason }
+    }, async () => {
+        const restored = await User.findOneAndUpdate(
+            { _id: user._id, suspendedAt: { $ne: null } },
+            { $unset: { suspendedAt: '', suspensionReason: '' } },
+            { new: true }
+        ).select('-password');
+        if (!restored) throw new ClientError('User is not suspended', 409);
+
+        return restored;
+    });
+};
+
+// Cancel a job that cannot be completed normally and free its provider
+exports.forceCancelRequest = async (admin, requestId, reason) => {
+    const existing = await findRequest(requestId);
+    if (!lifecycle.JOB_STATUSES.includes(existing.status)) {
+        throw new ClientError(`Only requests with a provider on the job can be force-cancelled (this one is ${existing.status})`, 409);
+    }
+
+    return audited(admin, 'force-cancel-request', { type: 'Request', id: existing._id }, {
+        reason,
+        details: { previousStatus: existing.status, seeker: existing.seeker, provider: existing.provider }
+    }, async () => {
+        const request = await lifecycle.transition(existing, 'cancelled', adminActor(admin), { reason });
+
+        if (request.provider) {
+            await releaseProvider(request.provider);
+        }
+
+        await quoteService.closeQuotes(request._id);
+        await discardJobTrail(request._id);
+        emitRequestUpdate(request);
+
+        return request;
+    });
+};
+
+// Settle a disputed request as completed or cancelled ('completed' | 'cancelled')
+exports.resolveDispute = async (admin, requestId, outcome, reason) => {
+    const existing = await findRequest(requestId);
+    if (existing.status !== 'disputed') {
+        throw new ClientError(`Only disputed requests can be resolved (this one is ${existing.status})`, 409);
+    }
+
+    return audited(admin, 'resolve-dispute', { type: 'Request', id: existing._id }, {
+        reason,
+        details: { outcome, seeker: existing.seeker, provider: existing.provider }
+    }, async () => {
+        const request = await lifecycle.transition(existing, outcome, adminActor(admin), { reason });
+
+        [request.seeker, request.provider].forEach(userId => publishToUser(userId, 'disputeResolved', {
+            requestId: request._id,
+            outcome,
+            reason
+        }));
+        emitRequestUpdate(request);
+
+        return request;
+    });
+};
+
+// Move a provider stuck in `in-progress` (or `active`) without a job back to online or offline
+exports.resetProviderStatus = async (admin, userId, status, reason) => {
+    const user = await findUser(userId);
+    if (!user.hasRole('provider')) throw new ClientError('User is not a provider');
+
+    const previousStatus = user.status || 'offline';
+    if (!['in-progress', 'active'].includes(previousStatus)) {
+        throw new ClientError(`Provider is ${previousStatus}, not stuck`, 409);
+    }
+
+    if (await hasJobInProgress(user._id)) {
+        throw new ClientError('Provider has a request in progress; force-cancel it first', 409);
+    }
+
+    return audited(admin, 'reset-provider-status', { type: 'User', id: user._id }, {
+        reason,
+        details: { previousStatus, status }
+    }, async () => {
+        await changeProviderStatus(user, status);
+        return { userId: user._id, previousStatus, status };
+    });
+};
+
+// Request counts per status and per category (optionally within ?from=&to=)
+exports.getStats = async (query) => {
+    const match = {};
+    const createdAt = dateRange(query);
+    if (createdAt) match.createdAt = createdAt;
+
+    const [result] = await ServiceRequest.aggregate([
+        { $match: match },
+        {
+            $facet: {
+                byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+                byCategory: [{ $group: { _id: { category: '$category', status: '$status' }, count: { $sum: 1 } } }]
+            }
+        }
+    ]);
+
+    const byStatus = {};
+    result.byStatus.forEach(({ _id, count }) => {
+        byStatus[_id] = count;
+    });
+
+    const categories = new Map();
+    result.byCategory.forEach(({ _id, count }) => {
+        const entry = categories.get(_id.category) || { category: _id.category, total: 0, byStatus: {} };
+        entry.total += count;
+        entry.byStatus[_id.status] = count;
+        categories.set(_id.category, entry);
+    });
+
+    return {
+        total: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+        byStatus,
+        byCategory: [...categories.values()].sort((a, b) => b.total - a.total)
+    };
+};
+
+exports.listVerifications = (query) => verificationService.listVerifications(query);
+
+exports.openVerificationDocument = (requestId, documentId) => verificationService.openDocument(requestId, documentId);
+
+// Approve or reject a provider's verification request ('approved' | 'rejected')
+exports.reviewVerification = async (admin, requestId, decision, { skills, note } = {}) => {
+    const pending = await verificationService.findVerification(requestId);
+    if (pending.status !== 'pending') {
+        throw new ClientError(`This request was already ${pending.status}`, 409);
+    }
+
+    return audited(admin, decision === 'approved' ? 'approve-verification' : 'reject-verification', {
+        type: 'VerificationRequest',
+        id: pending._id
+    }, {
+        reason: note,
+        details: {
+            provider: pending.provider,
+            skills: pending.skills,
+            approvedSkills: decision === 'approved' ? (skills === undefined ? pending.skills : skills) : []
+        }
+    }, () => verificationService.reviewVerification(requestId, admin.id, decision, { skills, note }));
+};
+
+// Read the audit log, newest first (?action=&admin=&targetId=)
+exports.listAuditLog = (query) => {
+    const filter = {};
+    if (query.action) filter.action = enumFilter(query.action, AdminAuditLog.ADMIN_ACTIONS, 'action');
+    if (query.admin) filter.admin = objectIdFilter(query.admin, 'admin id');
+    if (query.targetId) filter.targetId = objectIdFilter(query.targetId, 'target id');
+
+    return paginate(AdminAuditLog, filter, query, { key: 'entries', build: q => q.populate('admin', 'userName email') });
+};
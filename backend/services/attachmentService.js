@@ -0,0 +1,88 @@
+const sharp = require('sharp');
+const documentStorage = require('./documentStorage');
+const { ClientError } = require('../utils/ClientError');
+
+const MAX_IMAGE_DIMENSION = 2048; // Larger photos are scaled down before they are stored
+const THUMBNAIL_SIZE = 320;
+
+// sharp format -> stored MIME type
+const IMAGE_FORMATS = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+
+// Re-encode an uploaded photo. Re-encoding drops all metadata (EXIF, including the GPS
+// position phones embed), so the orientation is applied to the pixels first.
+const processImage = async (file) => {
+    let metadata;
+    try {
+        metadata = await sharp(file.buffer).metadata();
+    } catch (err) {
+        throw new ClientError(`${file.originalname} is not a valid image`);
+    }
+    if (!IMAGE_FORMATS[metadata.format]) {
+        throw new ClientError(`${file.originalname} must be a JPEG, PNG or WebP image`);
+    }
+
+    const { data, info } = await sharp(file.buffer)
+        .rotate()
+        .resize(MAX_IMAGE_DIMENSION, MAX_IMAGE_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+        .toFormat(metadata.format, metadata.format === 'png' ? {} : { quality: 85 })
+        .toBuffer({ resolveWithObject: true });
+
+    const thumbnail = await sharp(data)
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+        .jpeg({ quality: 75 })
+        .toBuffer();
+
+    return {
+        image: { buffer: data, mimeType: IMAGE_FORMATS[metadata.format] },
+        thumbnail: { buffer: thumbnail, mimeType: 'image/jpeg' },
+        originalName: file.originalname,
+        size: info.size,
+        width: info.width,
+        height: info.height
+    };
+};
+
+// Remove the stored files of attachments (e.g. when the request could not be saved)
+const removeAttachments = async (attachments) => {
+    const keys = attachments.flatMap(attachment => [attachment.storageKey, attachment.thumbnailKey]).filter(Boolean);
+    await Promise.all(keys.map(key => documentStorage.removeFile(key).catch(err => {
+        console.error('Error removing attachment file:', err);
+    })));
+};
+
+// Process and store uploaded photos (multer files); returns the attachment subdocuments
+const storeImages = async (files = []) => {
+    // Validate every file before anything is written
+    const processed = [];
+    for (const file of files) {
+        processed.push(await processImage(file));
+    }
+
+    const attachments = [];
+    try {
+        for (const { image, thumbnail, ...details } of processed) {
+            const attachment = { ...details, mimeType: image.mimeType };
+            attachments.push(attachment);
+            attachment.storageKey = await documentStorage.saveFile(image);
+            attachment.thumbnailKey = await documentStorage.saveFile(thumbnail);
+        }
+        return attachments;
+    } catch (error) {
+        await removeAttachments(attachments);
+        throw error;
+    }
+};
+
+// Open an attachment (`variant` 'original' or 'thumbnail'); returns { stream, mimeType }
+const openAttachment = async (attachment, variant) => {
+    const key = variant === 'thumbnail' ? attachment.thumbnailKey : attachment.storageKey;
+    try {
+        const stream = await documentStorage.openFile(key);
+        return { stream, mimeType: variant === 'thumbnail' ? 'image/jpeg' : attachment.mimeType };
+    } catch (err) {
+        console.error('Error opening attachment:', err);
+        throw new ClientError('Attachment file is no longer available', 404);
+    }
+};
+
+module.exports = { storeImages, removeAttachments, openAttachment };
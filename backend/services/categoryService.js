@@ -0,0 +1,142 @@
+const Category = require('../models/CategoryModel');
+const { ClientError } = require('../utils/ClientError');
+
+// The catalogue is small and read on every request creation and profile update, so it
+// is kept in memory and reloaded after CACHE_TTL_MS (or right away after a change here)
+const CACHE_TTL_MS = 60 * 1000;
+const MAX_DEPTH = 10; // Guards the parent walk against a misconfigured cycle
+
+let cache = null;
+let loading = null;
+
+// "Fan_installation", "fan-installation" and " Fan  installation" all read the same
+const normalizeTerm = (text) => String(text).trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+
+const buildCache = (categories) => {
+    const bySlug = new Map(categories.map(category => [category.slug, category]));
+
+    // Slugs, names and synonyms all point at the category they name; the first claim wins
+    const lookup = new Map();
+    categories.forEach(category => {
+        [category.slug, category.name, ...category.synonyms].forEach(term => {
+            const key = normalizeTerm(term);
+            if (!lookup.has(key)) lookup.set(key, category.slug);
+        });
+    });
+
+    return { loadedAt: Date.now(), bySlug, lookup };
+};
+
+const getCache = async () => {
+    if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache;
+
+    if (!loading) {
+        loading = Category.find().lean()
+            .then(categories => {
+                cache = buildCache(categories);
+                return cache;
+            })
+            .finally(() => {
+                loading = null;
+            });
+    }
+    return loading;
+};
+
+// Drop the cached catalogue, e.g. after categories were added or edited
+const invalidateCache = () => {
+    cache = null;
+};
+
+// Slugs from the top-level category down to `slug` itself
+const pathOf = ({ bySlug }, slug) => {
+    const path = [slug];
+    let current = bySlug.get(slug);
+    while (current && current.parent && path.length < MAX_DEPTH) {
+        path.unshift(current.parent);
+        current = bySlug.get(current.parent);
+    }
+    return path;
+};
+
+// The active catalogue as a tree: [{ slug, name, icon, synonyms, children: [...] }]
+const listCategories = async () => {
+    const { bySlug } = await getCache();
+    const active = [...bySlug.values()]
+        .filter(category => category.active)
+        .sort((a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name));
+
+    const nodes = new Map(active.map(category => [category.slug, {
+        slug: category.slug,
+        name: category.name,
+        icon: category.icon || null,
+        synonyms: category.synonyms,
+        parent: category.parent,
+        children: []
+    }]));
+
+    const roots = [];
+    nodes.forEach(node => {
+        const parent = node.parent && nodes.get(node.parent);
+        if (parent) parent.children.push(node);
+        else if (!node.parent) roots.push(node);
+    });
+    return roots;
+};
+
+// Find the active category a slug, name or synonym refers to, or null
+const resolveCategory = async (input) => {
+    if (typeof input !== 'string' || !input.trim()) return null;
+
+    const catalogue = await getCache();
+    const slug = catalogue.lookup.get(normalizeTerm(input));
+    const category = slug && catalogue.bySlug.get(slug);
+    return category && category.active ? category : null;
+};
+
+// Resolve a category chosen for a request; returns { slug, path } where path lists the
+// category and its ancestors, or throws a 400 ClientError for an unknown category
+const assertCategory = async (input) => {
+    const category = await resolveCategory(input);
+    if (!category) {
+        throw new ClientError(`Unknown service category "${input}"`);
+    }
+    return { slug: category.slug, path: pathOf(await getCache(), category.slug) };
+};
+
+// Resolve a provider's skills to category slugs; throws a 400 ClientError naming any unknown ones
+const assertSkills = async (skills) => {
+    if (!Array.isArray(skills)) {
+        throw new ClientError('Skills must be a list of service categories');
+    }
+
+    const resolved = await Promise.all(skills.map(resolveCategory));
+    const unknown = skills.filter((skill, index) => !resolved[index]);
+    if (unknown.length > 0) {
+        throw new ClientError(`Unknown skills: ${unknown.join(', ')}`, 400, { unknownSkills: unknown });
+    }
+    return [...new Set(resolved.map(category => category.slug))];
+};
+
+// Slugs of a category's ancestors followed by its own
+const categoryPath = async (slug) => pathOf(await getCache(), slug);
+
+// Display name of a category slug (the slug itself for categories no longer in the catalogue)
+const categoryName = async (slug) => {
+    const category = (await getCache()).bySlug.get(slug);
+    return category ? category.name : slug;
+};
+
+const categoryNames = async (slugs) => Promise.all((slugs || []).map(categoryName));
+
+module.exports = {
+    normalizeTerm,
+    invalidateCache,
+    listCategories,
+    resolveCategory,
+    assertCategory,
+    assertSkills,
+    categoryPath,
+    categoryName,
+    categoryNames
+};
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/ChatModel');
+const Message = require('../models/MessageModel');
+const ServiceRequest = require('../models/ServiceRequestModel');
+const { ClientError } = require('../utils/ClientError');
+const { emitToRequest } = require('../sockets/io');
+
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+// Shape a message the way ChatService.appendMessage expects it
+const formatMessage = (message, sender) => ({
+    _id: message._id,
+    chatId: message.chat.toString(),
+    sender: sender || message.sender,
+    content: message.content,
+    timestamp: message.timestamp,
+    read: message.read,
+    readAt: message.readAt
+});
+
+// Find (or create) the chat of a service request; only its seeker and provider may open it
+exports.getOrCreateChat = async (requestId, userId) => {
+    if (!mongoose.isValidObjectId(requestId)) throw new ClientError('Service request not found', 404);
+
+    const request = await ServiceRequest.findById(requestId).select('seeker provider status');
+    if (!request) throw new ClientError('Service request not found', 404);
+
+    const isSeeker = request.seeker.toString() === userId;
+    const isProvider = request.provider && request.provider.toString() === userId;
+    if (!isSeeker && !isProvider) {
+        throw new ClientError('Not authorized to chat on this request', 403);
+    }
+
+    if (!request.provider) {
+        throw new ClientError('Chat is available once a provider accepts the request');
+    }
+
+    // Upsert so two parties opening the chat at once still share one document. Keyed on the
+    // provider too, so a provider taking over a withdrawn request does not see the earlier chat.
+    const result = await Chat.findOneAndUpdate(
+        { serviceRequest: request._id, provider: request.provider },
+        { $setOnInsert: { seeker: request.seeker } },
+        { new: true, upsert: true, includeResultMetadata: true }
+    );
+
+    return { chat: result.value, created: !result.lastErrorObject.updatedExisting };
+};
+
+// Load a chat and make sure the user is one of its two parties, and that its provider is
+// still the one assigned to the request (the chat closes when they withdraw)
+exports.findChatForUser = async (chatId, userId) => {
+    if (!mongoose.isValidObjectId(chatId)) throw new ClientError('Chat not found', 404);
+
+    const chat = await Chat.findById(chatId);
+    if (!chat) throw new ClientError('Chat not found', 404);
+
+    if (!chat.hasParticipant(userId)) {
+        throw new ClientError('Not authorized to view this chat', 403);
+    }
+
+    const request = await ServiceRequest.findById(chat.serviceRequest).select('provider');
+    if (!request || !request.provider || request.provider.toString() !== chat.provider.toString()) {
+        throw new ClientError('This chat closed when the provider withdrew from the request', 403);
+    }
+
+    return chat;
+};
+
+// Page through a chat newest-first; `before` is the _id of the oldest message already loaded
+exports.listMessages = async (chat, { before, limit } = {}) => {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const filter = { chat: chat._id };
+    if (before) {
+        if (!mongoose.isValidObjectId(before)) {
+            throw new ClientError('Invalid cursor');
+        }
+        filter._id = { $lt: before };
+    }
+
+    // Fetch one extra message to know whether an older page exists
+    const messages = await Message.find(filter)
+        .sort({ _id: -1 })
+        .limit(pageSize + 1)
+        .populate('sender', 'userName');
+
+    const hasMore = messages.length > pageSize;
+    const page = messages.slice(0, pageSize).reverse(); // Oldest first for display
+
+    return {
+        messages: page.map(message => formatMessage(message)),
+        nextCursor: hasMore ? page[0]._id : null
+    };
+};
+
+// Store a message and push it to both parties of the request
+exports.postMessage = async (chat, sender, content) => {
+    const text = typeof content === 'string' ? content.trim() : '';
+    if (!text) throw new ClientError('Message content is required');
+    if (text.length > Message.MAX_MESSAGE_LENGTH) {
+        throw new ClientError(`Message cannot exceed ${Message.MAX_MESSAGE_LENGTH} characters`);
+    }
+
+    const message = await Message.create({ chat: chat._id, sender: sender.id, content: text });
+    await Chat.updateOne({ _id: chat._id }, { lastMessageAt: message.timestamp });
+
+    const data = formatMessage(message, { _id: sender.id, userName: sender.userName });
+    emitToRequest(chat.serviceRequest, 'newMessage', data);
+
+    return data;
+};
+
+// Mark every message the other party sent as read and send a read receipt
+exports.markRead = async (chat, userId) => {
+    const unread = await Message.find({ chat: chat._id, sender: { $ne: userId }, read: false }).select('_id');
+    if (unread.length === 0) return [];
+
+    const messageIds = unread.map(message => message._id);
+    const readAt = new Date();
+    await Message.updateMany({ _id: { $in: messageIds } }, { read: true, readAt });
+
+    emitToRequest(chat.serviceRequest, 'messageRead', {
+        chatId: chat._id.toString(),
+        readBy: userId,
+        messageIds,
+        readAt
+    });
+
+    return messageIds;
+};
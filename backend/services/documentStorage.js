@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// A storage backend keeps uploaded files under opaque keys and implements:
+//   save({ buffer, mimeType }) -> Promise<key>
+//   open(key)                  -> Promise<Readable>
+//   remove(key)                -> Promise<void>
+// DOCUMENT_STORAGE picks a built-in backend; deployments that keep files elsewhere
+// (an object store) register their own with setStorage.
+
+const EXTENSIONS = { 'application/pdf': 'pdf', 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+const KEY_PATTERN = /^[a-f0-9]{32}\.[a-z]+$/;
+
+// Files on the server's disk under DOCUMENT_STORAGE_DIR (default for a single instance)
+const createLocalDiskStorage = ({ dir = process.env.DOCUMENT_STORAGE_DIR || path.join(__dirname, '..', 'uploads') } = {}) => {
+    // Keys are generated here, but check them anyway so a key can never point outside `dir`
+    const fileFor = (key) => {
+        if (!KEY_PATTERN.test(key)) throw new Error(`Invalid storage key "${key}"`);
+        return path.join(dir, key);
+    };
+
+    return {
+        save: async ({ buffer, mimeType }) => {
+            const key = `${crypto.randomBytes(16).toString('hex')}.${EXTENSIONS[mimeType] || 'bin'}`;
+            await fs.promises.mkdir(dir, { recursive: true });
+            await fs.promises.writeFile(fileFor(key), buffer, { flag: 'wx' });
+            return key;
+        },
+        open: async (key) => {
+            const file = fileFor(key);
+            await fs.promises.access(file);
+            return fs.createReadStream(file);
+        },
+        remove: async (key) => {
+            await fs.promises.rm(fileFor(key), { force: true });
+        }
+    };
+};
+
+const builtInStorages = { local: createLocalDiskStorage };
+
+let storage = null;
+
+const getStorage = () => {
+    if (!storage) {
+        const name = process.env.DOCUMENT_STORAGE || 'local';
+        if (!builtInStorages[name]) {
+            throw new Error(`Unknown DOCUMENT_STORAGE "${name}"`);
+        }
+        storage = builtInStorages[name]();
+    }
+    return storage;
+};
+
+// Replace the storage backend
+const setStorage = (customStorage) => {
+    if (!customStorage || ['save', 'open', 'remove'].some(method => typeof customStorage[method] !== 'function')) {
+        throw new Error('A document storage must implement save, open and remove');
+    }
+    storage = customStorage;
+};
+
+module.exports = {
+    EXTENSIONS,
+    createLocalDiskStorage,
+    setStorage,
+    saveFile: (file) => getStorage().save(file),
+    openFile: (key) => getStorage().open(key),
+    removeFile: (key) => getStorage().remove(key)
+};
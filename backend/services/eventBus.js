@@ -0,0 +1,35 @@
+const { EventEmitter } = require('events');
+const { idOf, emitToUser } = require('../sockets/io');
+
+// In-process bus feeding the /api/events SSE streams. Every open stream adds a
+// listener, so the default limit of 10 listeners does not apply here.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Push an event to a user over both SSE and Socket.IO
+const publishToUser = (userId, event, data) => {
+    if (!userId) return;
+    emitter.emit('message', { userId: idOf(userId), event, data });
+    emitToUser(userId, event, data);
+};
+
+// Tell the SSE streams opened with an access token (by its jti) that it was revoked.
+// Only the streams act on this; it is not sent to clients.
+const publishTokenRevoked = (userId, jti) => {
+    if (!userId || !jti) return;
+    emitter.emit('message', { userId: idOf(userId), event: 'tokenRevoked', data: { jti } });
+};
+
+// Listen for the events of one user; returns a function that removes the listener
+const subscribe = (userId, listener) => {
+    const handler = (message) => {
+        if (message.userId === userId) {
+            listener(message.event, message.data);
+        }
+    };
+
+    emitter.on('message', handler);
+    return () => emitter.off('message', handler);
+};
+
+module.exports = { publishToUser, publishTokenRevoked, subscribe };
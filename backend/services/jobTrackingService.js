@@ -0,0 +1,130 @@
+const { JobTrail } = require('../models/LocationModel');
+const { publishToUser } = require('./eventBus');
+const { haversineDistance } = require('../utils/geo');
+
+// Geofences around the request location (meters)
+const ARRIVING_SOON_METERS = Number(process.env.ARRIVING_SOON_METERS) || 500;
+const ARRIVED_METERS = Number(process.env.ARRIVED_METERS) || 75;
+
+// Positions kept per job; the ETA uses the ones from the last few minutes
+const TRAIL_LENGTH = 30;
+const SPEED_WINDOW_MS = 5 * 60 * 1000;
+
+// Below this the provider counts as stopped (traffic lights, parking) and the default is used
+const MIN_SPEED_MPS = 1;
+const DEFAULT_SPEED_MPS = Number(process.env.DEFAULT_TRAVEL_SPEED_MPS) || 8; // ~30 km/h in town
+
+// Statuses in which the provider is still on the way to the request location
+const TRAVELLING_STATUSES = ['accepted', 'en-route'];
+
+// Average speed over the recent part of the trail: distance covered over time taken,
+// falling back to the speed the device reported, then to a town driving speed
+const recentSpeed = (points, now) => {
+    const recent = points.filter(point => now - point.recordedAt <= SPEED_WINDOW_MS);
+
+    if (recent.length >= 2) {
+        let distance = 0;
+        for (let i = 1; i < recent.length; i++) {
+            distance += haversineDistance(recent[i - 1].coordinates, recent[i].coordinates);
+        }
+        const seconds = (recent[recent.length - 1].recordedAt - recent[0].recordedAt) / 1000;
+        const speed = seconds > 0 ? distance / seconds : 0;
+        if (speed >= MIN_SPEED_MPS) return speed;
+    }
+
+    const reported = recent.map(point => point.speed).filter(speed => speed >= MIN_SPEED_MPS);
+    if (reported.length > 0) {
+        return reported.reduce((sum, speed) => sum + speed, 0) / reported.length;
+    }
+
+    return DEFAULT_SPEED_MPS;
+};
+
+// Where the provider is relative to the job, from the latest point of its trail
+const describeProgress = (job, trail, now = new Date()) => {
+    const latest = trail.points[trail.points.length - 1];
+    const distanceMeters = Math.round(haversineDistance(latest.coordinates, job.location.coordinates));
+    const travelling = TRAVELLING_STATUSES.includes(job.status);
+
+    let etaMinutes = null;
+    if (travelling) {
+        etaMinutes = distanceMeters <= ARRIVED_METERS
+            ? 0
+            : Math.max(1, Math.ceil(distanceMeters / recentSpeed(trail.points, now) / 60));
+    }
+
+    return {
+        requestId: job._id.toString(),
+        providerId: trail.provider.toString(),
+        status: job.status,
+        location: { lat: latest.coordinates[1], lng: latest.coordinates[0] },
+        distanceMeters,
+        etaMinutes,
+        updatedAt: latest.recordedAt
+    };
+};
+
+// Notify the seeker once when the provider crosses a geofence. The flag is set
+// conditionally so concurrent updates cannot announce the same crossing twice.
+const crossGeofence = async (job, trail, flag, event, progress) => {
+    if (trail[flag]) return;
+
+    const { modifiedCount } = await JobTrail.updateOne(
+        { _id: trail._id, [flag]: { $exists: false } },
+        { [flag]: progress.updatedAt }
+    );
+    if (modifiedCount === 0) return;
+
+    publishToUser(job.seeker, event, {
+        requestId: progress.requestId,
+        category: job.category,
+        distanceMeters: progress.distanceMeters,
+        etaMinutes: progress.etaMinutes
+    });
+};
+
+// Add the provider's position to the trail of an active job (loaded with seeker, location,
+// status and category) and stream it, with distance and ETA, to that job's seeker
+const trackJob = async (job, providerId, coordinates, { speed } = {}, now = new Date()) => {
+    const trail = await JobTrail.findOneAndUpdate(
+        { request: job._id },
+        {
+            $setOnInsert: { provider: providerId, seeker: job.seeker },
+            $push: { points: { $each: [{ coordinates, speed, recordedAt: now }], $slice: -TRAIL_LENGTH } }
+        },
+        { upsert: true, new: true }
+    );
+
+    const progress = describeProgress(job, trail, now);
+    publishToUser(job.seeker, 'jobTracking', progress);
+
+    if (progress.etaMinutes === null) return progress;
+
+    if (progress.distanceMeters <= ARRIVED_METERS) {
+        // Arriving straight inside the inner fence skips the "arriving soon" notice
+        await crossGeofence(job, trail, 'arrivedAt', 'providerArrived', progress);
+        await JobTrail.updateOne({ _id: trail._id, arrivingSoonAt: { $exists: false } }, { arrivingSoonAt: now });
+    } else if (progress.distanceMeters <= ARRIVING_SOON_METERS) {
+        await crossGeofence(job, trail, 'arrivingSoonAt', 'providerArrivingSoon', progress);
+    }
+
+    return progress;
+};
+
+// Latest progress of a job for its seeker, or null before the provider shared a position
+const getJobProgress = async (job) => {
+    const trail = await JobTrail.findOne({ request: job._id });
+    if (!trail || trail.points.length === 0) return null;
+    return describeProgress(job, trail);
+};
+
+// Stop tracking a job that ended (completed, cancelled, withdrawn or disputed) and drop its trail
+const discardJobTrail = (requestId) => JobTrail.deleteOne({ request: requestId });
+
+module.exports = {
+    ARRIVING_SOON_METERS,
+    ARRIVED_METERS,
+    trackJob,
+    getJobProgress,
+    discardJobTrail
+};
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+
+// Sliding-window stores used by the login limiter. A store keeps, per key, the
+// timestamps of recent events and implements:
+//   record(key, windowMs) -> Promise<{ count, first, last }> adds an event now
+//   get(key, windowMs)    -> Promise<{ count, first, last }> events still inside the window
+//   reset(key)            -> Promise<void>
+// where `first` and `last` are the times (ms) of the oldest and newest event, or null.
+
+// Keeps the windows in this process; fine for a single server instance
+const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+    const windows = new Map(); // key -> { timestamps, windowMs }
+
+    const prune = (key, windowMs) => {
+        const entry = windows.get(key);
+        if (!entry) return [];
+
+        const cutoff = Date.now() - windowMs;
+        entry.timestamps = entry.timestamps.filter(time => time > cutoff);
+        if (entry.timestamps.length === 0) {
+            windows.delete(key);
+        }
+        return entry.timestamps;
+    };
+
+    const summary = (timestamps) => ({
+        count: timestamps.length,
+        first: timestamps.length > 0 ? timestamps[0] : null,
+        last: timestamps.length > 0 ? timestamps[timestamps.length - 1] : null
+    });
+
+    // Drop windows nobody has touched since they ran out, so memory stays bounded
+    const sweeper = setInterval(() => {
+        for (const [key, entry] of windows) {
+            prune(key, entry.windowMs);
+        }
+    }, sweepIntervalMs);
+    sweeper.unref();
+
+    return {
+        record: async (key, windowMs) => {
+            const timestamps = prune(key, windowMs);
+            timestamps.push(Date.now());
+            windows.set(key, { timestamps, windowMs });
+            return summary(timestamps);
+        },
+        get: async (key, windowMs) => summary(prune(key, windowMs)),
+        reset: async (key) => {
+            windows.delete(key);
+        }
+    };
+};
+
+// Shares the windows between instances through Redis (or any server speaking its
+// protocol). `client` is an ioredis-compatible client; each window is a sorted set
+// scored by timestamp.
+const createRedisStore = (client, { prefix = 'limiter:' } = {}) => {
+    const run = async (commands) => {
+        const results = await commands.exec();
+        const failed = results.find(([error]) => error);
+        if (failed) throw failed[0];
+        return results.map(([, value]) => value);
+    };
+
+    const read = async (redisKey, windowMs, addEvent) => {
+        const now = Date.now();
+        const commands = client.multi().zremrangebyscore(redisKey, 0, now - windowMs);
+        if (addEvent) {
+            // The random suffix keeps events recorded in the same millisecond apart
+            commands.zadd(redisKey, now, `${now}:${crypto.randomBytes(4).toString('hex')}`);
+            commands.pexpire(redisKey, windowMs);
+        }
+        commands.zcard(redisKey)
+            .zrange(redisKey, 0, 0, 'WITHSCORES')
+            .zrange(redisKey, -1, -1, 'WITHSCORES');
+
+        const results = await run(commands);
+        const [count, oldest, newest] = results.slice(-3);
+        return {
+            count,
+            first: oldest.length > 0 ? Number(oldest[1]) : null,
+            last: newest.length > 0 ? Number(newest[1]) : null
+        };
+    };
+
+    return {
+        record: (key, windowMs) => read(prefix + key, windowMs, true),
+        get: (key, windowMs) => read(prefix + key, windowMs, false),
+        reset: async (key) => {
+            await client.del(prefix + key);
+        }
+    };
+};
+
+// Pick the store from LIMITER_STORE ('memory' by default, or 'redis' with REDIS_URL)
+const createStoreFromEnv = () => {
+    const kind = process.env.LIMITER_STORE || 'memory';
+
+    if (kind === 'memory') return createMemoryStore();
+
+    if (kind === 'redis') {
+        let Redis;
+        try {
+            Redis = require('ioredis'); // Optional dependency, only needed for this store
+        } catch (err) {
+            throw new Error('LIMITER_STORE=redis requires the "ioredis" package to be installed');
+        }
+        return createRedisStore(new Redis(process.env.REDIS_URL));
+    }
+
+    throw new Error(`Unknown LIMITER_STORE "${kind}"`);
+};
+
+module.exports = { createMemoryStore, createRedisStore, createStoreFromEnv };
@@ -0,0 +1,124 @@
+const FailedLogin = require('../models/FailedLoginModel');
+const { createStoreFromEnv } = require('./limiterStore');
+const { ClientError } = require('../utils/ClientError');
+
+const MINUTE_MS = 60 * 1000;
+
+// Failed logins are counted per IP and per account in sliding windows
+const WINDOW_MS = (Number(process.env.LOGIN_WINDOW_MINUTES) || 15) * MINUTE_MS;
+const IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const ACCOUNT_MAX_FAILURES = Number(process.env.LOGIN_ACCOUNT_MAX_FAILURES) || 5;
+const LOCKOUT_MS = (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * MINUTE_MS;
+
+// After FREE_FAILURES, each further failure doubles the wait before the next attempt
+const FREE_FAILURES = 2;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30 * 1000;
+
+const LOCKED_MESSAGE = 'Too many failed logins. This account is temporarily locked.';
+
+let store = null;
+
+const getStore = () => {
+    if (!store) store = createStoreFromEnv();
+    return store;
+};
+
+// Swap the limiter store (e.g. a Redis store shared by several instances)
+const setStore = (customStore) => {
+    store = customStore;
+};
+
+// Accounts are keyed by the email typed in, whether or not an account exists,
+// so limits and lockouts never reveal which emails are registered
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+const ipKey = (ip) => `login:ip:${ip}`;
+const accountKey = (email) => `login:account:${normalizeEmail(email)}`;
+const lockKey = (email) => `login:lock:${normalizeEmail(email)}`;
+
+const progressiveDelay = (failures) => (failures < FREE_FAILURES
+    ? 0
+    : Math.min(BASE_DELAY_MS * 2 ** (failures - FREE_FAILURES), MAX_DELAY_MS));
+
+// Milliseconds until a window with these failures accepts another attempt
+const waitFor = ({ count, first, last }, maxFailures, now) => {
+    if (count === 0) return 0;
+    if (count >= maxFailures) return first + WINDOW_MS - now; // Until the oldest failure ages out
+    return last + progressiveDelay(count) - now;
+};
+
+const tooManyAttempts = (message, waitMs) => {
+    const retryAfter = Math.max(Math.ceil(waitMs / 1000), 1);
+    return new ClientError(message, 429, { retryAfter });
+};
+
+// Store an audit record of a rejected attempt; auditing never blocks the login response
+const audit = ({ email, user, ip, userAgent }, reason) => FailedLogin.create({
+    email: normalizeEmail(email),
+    user: user ? user._id : undefined,
+    ip,
+    userAgent,
+    reason
+}).catch(err => console.error('Error recording failed login:', err));
+
+// Throw a 429 ClientError (with retryAfter in seconds) when this attempt must be refused
+const assertLoginAllowed = async (attempt) => {
+    const limiter = getStore();
+    const now = Date.now();
+
+    const lock = await limiter.get(lockKey(attempt.email), LOCKOUT_MS);
+    if (lock.count > 0) {
+        audit(attempt, 'locked');
+        throw tooManyAttempts(LOCKED_MESSAGE, lock.last + LOCKOUT_MS - now);
+    }
+
+    const [byIp, byAccount] = await Promise.all([
+        limiter.get(ipKey(attempt.ip), WINDOW_MS),
+        limiter.get(accountKey(attempt.email), WINDOW_MS)
+    ]);
+
+    const waitMs = Math.max(waitFor(byIp, IP_MAX_FAILURES, now), waitFor(byAccount, ACCOUNT_MAX_FAILURES, now));
+    if (waitMs > 0) {
+        audit(attempt, 'rate-limited');
+        throw tooManyAttempts('Too many login attempts. Please wait before trying again.', waitMs);
+    }
+};
+
+// Count a wrong email or password; once the account reaches ACCOUNT_MAX_FAILURES it
+// is locked and the 429 ClientError is thrown for this attempt already
+const recordFailedLogin = async (attempt, reason) => {
+    const limiter = getStore();
+    audit(attempt, reason);
+
+    const [, byAccount] = await Promise.all([
+        limiter.record(ipKey(attempt.ip), WINDOW_MS),
+        limiter.record(accountKey(attempt.email), WINDOW_MS)
+    ]);
+
+    if (byAccount.count < ACCOUNT_MAX_FAILURES) return;
+
+    await limiter.record(lockKey(attempt.email), LOCKOUT_MS);
+    await limiter.reset(accountKey(attempt.email));
+    throw tooManyAttempts(LOCKED_MESSAGE, LOCKOUT_MS);
+};
+
+// A successful login clears the account's failure count (the IP window keeps counting)
+const recordSuccessfulLogin = (attempt) => getStore().reset(accountKey(attempt.email));
+
+// Lift a lockout once the owner proved control of the account (password reset)
+const clearLoginLimits = async (email) => {
+    const limiter = getStore();
+    await Promise.all([limiter.reset(lockKey(email)), limiter.reset(accountKey(email))]);
+};
+
+module.exports = {
+    WINDOW_MS,
+    IP_MAX_FAILURES,
+    ACCOUNT_MAX_FAILURES,
+    LOCKOUT_MS,
+    setStore,
+    assertLoginAllowed,
+    recordFailedLogin,
+    recordSuccessfulLogin,
+    clearLoginLimits
+};
@@ -0,0 +1,69 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'SpotWise <no-reply@spotwise.app>';
+
+// A transport is any object with `send(message)` returning a promise, where message
+// is { from, to, subject, text }. MAIL_TRANSPORT picks one of the built-in transports;
+// production deployments register their own (SMTP, an email API) with setTransport.
+
+// Print the message to the server log (default outside production)
+const consoleTransport = {
+    send: async (message) => {
+        console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+    }
+};
+
+// Write each message as a JSON file to MAIL_OUTBOX_DIR, handy for inspecting links in tests
+const fileTransport = {
+    send: async (message) => {
+        const dir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'tmp', 'mail');
+        await fs.mkdir(dir, { recursive: true });
+
+        const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+        await fs.writeFile(path.join(dir, fileName), JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+    }
+};
+
+const builtInTransports = { console: consoleTransport, file: fileTransport };
+
+let transport = null;
+
+// The built-in transport to use. Production has no default: printing mail would put password
+// reset and verification links into the server logs.
+const transportName = () => {
+    if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('No mail transport configured: set MAIL_TRANSPORT or register one with setTransport');
+    }
+    return 'console';
+};
+
+const getTransport = () => {
+    if (!transport) {
+        const name = transportName();
+        transport = builtInTransports[name];
+        if (!transport) {
+            throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+        }
+    }
+    return transport;
+};
+
+// Replace the transport used by sendMail
+const setTransport = (customTransport) => {
+    if (!customTransport || typeof customTransport.send !== 'function') {
+        throw new Error('A mail transport must implement send(message)');
+    }
+    transport = customTransport;
+};
+
+// Throw at startup when no transport can be used, rather than on the first email
+const assertMailTransport = () => {
+    getTransport();
+};
+
+const sendMail = ({ to, subject, text }) => getTransport().send({ from: MAIL_FROM, to, subject, text });
+
+module.exports = { sendMail, setTransport, assertMailTransport };
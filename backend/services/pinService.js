@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_TTL_MINUTES = Number(process.env.PIN_TTL_MINUTES) || 240;
+
+// Create a 6-digit completion PIN from a CSPRNG; only its hash is stored
+const generatePin = async () => {
+    const pin = String(crypto.randomInt(100000, 1000000));
+    const generatedAt = new Date();
+
+    return {
+        pin,
+        pinHash: await bcrypt.hash(pin, 10),
+        pinGeneratedAt: generatedAt,
+        pinExpiresAt: new Date(generatedAt.getTime() + PIN_TTL_MINUTES * 60 * 1000)
+    };
+};
+
+// Compare a submitted PIN against the stored hash
+const verifyPin = (pin, pinHash) => {
+    if (!pinHash || pin === undefined || pin === null) return Promise.resolve(false);
+    return bcrypt.compare(String(pin).trim(), pinHash);
+};
+
+// Fields that reset the PIN state when a new PIN is issued
+const pinFields = ({ pinHash, pinGeneratedAt, pinExpiresAt }) => ({
+    pinHash,
+    pinGeneratedAt,
+    pinExpiresAt,
+    pinAttempts: 0,
+    pinLockedAt: null
+});
+
+module.exports = { MAX_PIN_ATTEMPTS, PIN_TTL_MINUTES, generatePin, verifyPin, pinFields };
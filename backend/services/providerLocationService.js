@@ -0,0 +1,292 @@
+const User = require('../models/UserModel');
+const ServiceRequest = require('../models/ServiceRequestModel');
+const { ProviderLocation, JobTrail, LocationHistory } = require('../models/LocationModel');
+const categoryService = require('./categoryService');
+const { trackJob } = require('./jobTrackingService');
+const { OPEN_STATUSES, activeJobFilter } = require('./requestLifecycleService');
+const { ClientError } = require('../utils/ClientError');
+const { EARTH_RADIUS_METERS, DEFAULT_RADIUS_METERS, haversineDistance, toCoordinates, normalizeRadius, snapToGrid } = require('../utils/geo');
+const { emitToUser } = require('../sockets/io');
+
+// Updates arriving faster than this are acknowledged but not stored or broadcast
+const MIN_UPDATE_INTERVAL_MS = Number(process.env.LOCATION_MIN_INTERVAL_MS) || 3000;
+
+// Fastest plausible movement between two fixes (m/s, ~250 km/h); faster jumps are rejected
+const MAX_SPEED_MPS = Number(process.env.LOCATION_MAX_SPEED_MPS) || 70;
+
+// Fixes less precise than this (meters) are rejected
+const MAX_ACCURACY_METERS = Number(process.env.LOCATION_MAX_ACCURACY_METERS) || 1000;
+
+// A live position older than this no longer counts; the profile location is used instead
+const LIVE_MAX_AGE_MINUTES = Number(process.env.LOCATION_LIVE_MAX_AGE_MINUTES) || 10;
+
+// Grid (meters) that positions are blurred to while a provider is online but not on a job
+const BLUR_GRID_METERS = Number(process.env.LOCATION_BLUR_GRID_METERS) || 500;
+
+// How long shared positions are kept before the retention job purges them
+const LOCATION_RETENTION_DAYS = Number(process.env.LOCATION_RETENTION_DAYS) || 30;
+
+// Optional non-negative number reported by the device, or undefined
+const optionalNumber = (value, max = Infinity) => {
+    const number = Number(value);
+    return value !== undefined && value !== null && Number.isFinite(number) && number >= 0 && number <= max
+        ? number
+        : undefined;
+};
+
+// Reject a fix that moves further from the last one than the provider could have travelled.
+// The accuracy of both fixes is allowed as slack so GPS jitter on short intervals passes,
+// plus a grid cell when the last position was stored blurred.
+const assertPlausibleMove = (last, coordinates, accuracy, now) => {
+    const elapsedSeconds = (now - last.updatedAt) / 1000;
+    const slack = Math.min((last.accuracy || 0) + (accuracy || 0), MAX_ACCURACY_METERS) +
+        (last.blurred ? BLUR_GRID_METERS : 0);
+    const distance = haversineDistance(last.location.coordinates, coordinates) - slack;
+
+    if (distance > MAX_SPEED_MPS * elapsedSeconds) {
+        throw new ClientError('Location update rejected: implausible jump from the previous position', 422);
+    }
+};
+
+// Push the provider's position to the seekers their sharing setting allows: the seeker of each
+// active job (exact, with an ETA), and while they are online the seekers whose open request
+// they could take and which is within range (blurred)
+const broadcastLocation = async (provider, coordinates, activeJobs, fix, now) => {
+    if (provider.locationSharing === 'nobody') return;
+
+    for (const job of activeJobs) {
+        await trackJob(job, provider._id, coordinates, fix, now);
+    }
+
+    if (provider.locationSharing !== 'nearby' || provider.status !== 'online') return;
+    if (!provider.skills || provider.skills.length === 0) return;
+
+    const blurred = snapToGrid(coordinates, BLUR_GRID_METERS);
+    const update = {
+        providerId: provider._id.toString(),
+        location: { lat: blurred[1], lng: blurred[0] },
+        approximate: true
+    };
+
+    const seekers = await ServiceRequest.distinct('seeker', {
+        status: { $in: OPEN_STATUSES },
+        expirationTime: { $gt: new Date() },
+        seeker: { $ne: provider._id },
+        categoryPath: { $in: provider.skills },
+        location: {
+            $geoWithin: {
+                $centerSphere: [coordinates, DEFAULT_RADIUS_METERS / EARTH_RADIUS_METERS]
+            }
+        }
+    });
+    seekers.forEach(seeker => emitToUser(seeker, 'providerLocationUpdated', update));
+};
+
+// Store a provider's live position ({ lat, lng } or a GeoJSON Point, plus optional
+// accuracy, heading and speed from the device) and fan it out. Only positions on a job are
+// stored exactly; otherwise the live position, profile location and history get the grid cell.
+// Returns { throttled: true } when the update came too soon after the previous one.
+const recordProviderLocation = async (providerId, { location, accuracy, heading, speed } = {}) => {
+    const coordinates = toCoordinates(location);
+    if (!coordinates) throw new ClientError('Invalid location');
+
+    const fix = {
+        accuracy: optionalNumber(accuracy),
+        heading: optionalNumber(heading, 360),
+        speed: optionalNumber(speed)
+    };
+    if (fix.accuracy !== undefined && fix.accuracy > MAX_ACCURACY_METERS) {
+        throw new ClientError('Location is too imprecise', 422);
+    }
+
+    const provider = await User.findById(providerId).select('roles status skills locationSharing');
+    if (!provider || !provider.roles.includes('provider')) {
+        throw new ClientError('Only providers can share their location', 403);
+    }
+
+    const now = new Date();
+    const last = await ProviderLocation.findOne({ provider: provider._id });
+    if (last) {
+        if (now - last.updatedAt < MIN_UPDATE_INTERVAL_MS) {
+            return { throttled: true };
+        }
+        assertPlausibleMove(last, coordinates, fix.accuracy, now);
+    }
+
+    const activeJobs = await ServiceRequest.find(activeJobFilter(provider._id)).select('seeker location status category');
+    const onJob = activeJobs.length > 0;
+    const stored = onJob ? coordinates : snapToGrid(coordinates, BLUR_GRID_METERS);
+
+    const point = { type: 'Point', coordinates: stored };
+    await ProviderLocation.updateOne(
+        { provider: provider._id },
+        { $set: { location: point, ...fix, blurred: !onJob, updatedAt: now } },
+        { upsert: true }
+    );
+    // The last known position also drives request matching
+    await User.updateOne({ _id: provider._id }, { location: point });
+
+    await LocationHistory.create({
+        provider: provider._id,
+        coordinates: stored,
+        accuracy: onJob ? fix.accuracy : undefined,
+        blurred: !onJob,
+        request: onJob ? activeJobs[0]._id : undefined,
+        recordedAt: now
+    });
+
+    await broadcastLocation(provider, coordinates, activeJobs, fix, now);
+
+    return { throttled: false, location: { lat: coordinates[1], lng: coordinates[0] }, updatedAt: now };
+};
+
+// Online providers within `radius` meters of `location` who share their location with nearby
+// seekers, nearest first. Live positions are used where they are fresh, otherwise the profile
+// location; either way it is blurred to the grid, as is the distance.
+const findNearbyProviders = async (location, radius) => {
+    const coordinates = toCoordinates(location);
+    if (!coordinates) throw new ClientError('Invalid location');
+
+    const searchRadius = normalizeRadius(radius);
+    const within = { $geoWithin: { $centerSphere: [coordinates, searchRadius / EARTH_RADIUS_METERS] } };
+
+    const liveFixes = await ProviderLocation.find({
+        location: within,
+        updatedAt: { $gte: new Date(Date.now() - LIVE_MAX_AGE_MINUTES * 60 * 1000) }
+    }).select('provider location accuracy updatedAt');
+    const liveByProvider = new Map(liveFixes.map(fix => [fix.provider.toString(), fix]));
+
+    const providers = await User.find({
+        activeRole: 'provider',
+        status: 'online',
+        emailVerified: true,
+        locationSharing: { $nin: ['nobody', 'assigned'] },
+        $or: [
+            { _id: { $in: liveFixes.map(fix => fix.provider) } },
+            { location: within }
+        ]
+    }).select('userName skills verifiedSkills identityVerified location rating');
+
+    const nearby = await Promise.all(providers.map(async provider => {
+        const live = liveByProvider.get(provider._id.toString());
+        const blurred = snapToGrid((live ? live.location : provider.location).coordinates, BLUR_GRID_METERS);
+        const position = { type: 'Point', coordinates: blurred };
+
+        return {
+            _id: provider._id,
+            name: provider.userName,
+            skills: await categoryService.categoryNames(provider.skills), // Display names for the map
+            verifiedSkills: await categoryService.categoryNames(provider.verifiedSkills),
+            verified: provider.identityVerified,
+            location: position,
+            live: Boolean(live),
+            lastSeen: live ? live.updatedAt : null,
+            rating: provider.rating,
+            distance: Math.round(haversineDistance(coordinates, position.coordinates))
+        };
+    }));
+
+    // A provider matched on their profile location may have a live position outside the radius,
+    // and blurring can move one across its edge
+    return nearby
+        .filter(provider => provider.distance <= searchRadius)
+        .sort((a, b) => a.distance - b.distance);
+};
+
+// The provider's sharing setting and how long their positions are kept
+const getLocationPrivacy = async (providerId) => {
+    const provider = await User.findById(providerId).select('locationSharing');
+    if (!provider) throw new ClientError('User not found', 404);
+
+    return {
+        locationSharing: provider.locationSharing,
+        retentionDays: LOCATION_RETENTION_DAYS,
+        blurGridMeters: BLUR_GRID_METERS
+    };
+};
+
+const setLocationSharing = async (providerId, locationSharing) => {
+    if (!User.LOCATION_SHARING.includes(locationSharing)) {
+        throw new ClientError(`Location sharing must be one of: ${User.LOCATION_SHARING.join(', ')}`);
+    }
+
+    const provider = await User.findByIdAndUpdate(providerId, { locationSharing }, { new: true }).select('locationSharing');
+    if (!provider) throw new ClientError('User not found', 404);
+
+    return getLocationPrivacy(providerId);
+};
+
+// Everything stored about where the provider has been, oldest first
+const exportLocationHistory = async (providerId) => {
+    const [current, history] = await Promise.all([
+        ProviderLocation.findOne({ provider: providerId }).select('location accuracy heading speed updatedAt -_id'),
+        LocationHistory.find({ provider: providerId })
+            .sort({ recordedAt: 1 })
+            .select('coordinates accuracy blurred request recordedAt -_id')
+    ]);
+
+    return {
+        exportedAt: new Date(),
+        retentionDays: LOCATION_RETENTION_DAYS,
+        currentLocation: current,
+        history
+    };
+};
+
+// Replace the profile location of these providers with its grid cell. Providers need a
+// location for matching, so it is blurred rather than removed.
+const blurProfileLocations = async (providerIds) => {
+    const providers = await User.find({ _id: { $in: providerIds }, 'location.coordinates.1': { $exists: true } })
+        .select('location');
+    if (providers.length === 0) return;
+
+    await User.bulkWrite(providers.map(provider => ({
+        updateOne: {
+            filter: { _id: provider._id },
+            update: { $set: { 'location.coordinates': snapToGrid(provider.location.coordinates, BLUR_GRID_METERS) } }
+        }
+    })));
+};
+
+// Delete the provider's stored positions and blur their profile location. Trails of jobs
+// under way are kept until the job ends, since the seeker's ETA depends on them.
+const deleteLocationHistory = async (providerId) => {
+    const [history, current] = await Promise.all([
+        LocationHistory.deleteMany({ provider: providerId }),
+        ProviderLocation.deleteOne({ provider: providerId }),
+        blurProfileLocations([providerId])
+    ]);
+
+    return { deleted: history.deletedCount + current.deletedCount };
+};
+
+// Remove positions older than the retention period, and blur the profile location of
+// providers whose last live position expired; returns how many positions were deleted
+const purgeExpiredLocations = async (now = new Date()) => {
+    const cutoff = new Date(now.getTime() - LOCATION_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+    const expiredProviders = await ProviderLocation.distinct('provider', { updatedAt: { $lt: cutoff } });
+    await blurProfileLocations(expiredProviders);
+
+    const results = await Promise.all([
+        LocationHistory.deleteMany({ recordedAt: { $lt: cutoff } }),
+        ProviderLocation.deleteMany({ updatedAt: { $lt: cutoff } }),
+        JobTrail.deleteMany({ updatedAt: { $lt: cutoff } }) // Jobs that never reached an end state
+    ]);
+
+    return results.reduce((total, result) => total + result.deletedCount, 0);
+};
+
+module.exports = {
+    MIN_UPDATE_INTERVAL_MS,
+    MAX_SPEED_MPS,
+    BLUR_GRID_METERS,
+    LOCATION_RETENTION_DAYS,
+    recordProviderLocation,
+    findNearbyProviders,
+    getLocationPrivacy,
+    setLocationSharing,
+    exportLocationHistory,
+    deleteLocationHistory,
+    purgeExpiredLocations
+};
@@ -0,0 +1,112 @@
+const User = require('../models/UserModel');
+const ServiceRequest = require('../models/ServiceRequestModel');
+const { ClientError } = require('../utils/ClientError');
+const { publishToUser } = require('./eventBus');
+const { activeJobFilter } = require('./requestLifecycleService');
+
+const PROVIDER_STATUSES = ['offline', 'online', 'active', 'in-progress'];
+
+// Statuses providers may set themselves; in-progress only comes with a job (see requestAssignmentService)
+const SELF_SET_STATUSES = ['offline', 'online', 'active'];
+
+// Allowed provider status changes; `active` is the short window while an accept is in flight
+const PROVIDER_STATUS_TRANSITIONS = {
+    offline: ['online'],
+    online: ['offline', 'active', 'in-progress'],
+    active: ['online', 'offline', 'in-progress'],
+    'in-progress': ['online', 'offline']
+};
+
+// Whether the provider is on a job (accepted, on the way, arrived or working)
+const hasJobInProgress = (providerId) => ServiceRequest.exists(activeJobFilter(providerId));
+
+// Move a provider to a new status, enforcing the transition rules, and push
+// a providerStatusChanged event to the provider's SSE and socket connections
+const changeProviderStatus = async (user, nextStatus) => {
+    if (!PROVIDER_STATUSES.includes(nextStatus)) {
+        throw new ClientError('Invalid status value');
+    }
+
+    const previousStatus = user.status || 'offline';
+    if (previousStatus === nextStatus) {
+        return nextStatus;
+    }
+
+    if (!PROVIDER_STATUS_TRANSITIONS[previousStatus].includes(nextStatus)) {
+        throw new ClientError(
+            `Cannot change status from ${previousStatus} to ${nextStatus}`,
+            409,
+            { status: previousStatus }
+        );
+    }
+
+    // In-progress means on a job: the request must already have been assigned to the provider
+    if (nextStatus === 'in-progress' && !(await hasJobInProgress(user._id))) {
+        throw new ClientError('You can only be in progress while on a job', 409, { status: previousStatus });
+    }
+
+    // Leaving in-progress or going offline is only allowed once the job is finished
+    if (previousStatus === 'in-progress' || nextStatus === 'offline') {
+        if (await hasJobInProgress(user._id)) {
+            throw new ClientError(
+                'You have a request in progress. Complete it before changing your status.',
+                409,
+                { status: previousStatus }
+            );
+        }
+    }
+
+    // Only apply the change if nobody else moved the provider in the meantime
+    // (older accounts may have no stored status, which reads as offline)
+    const result = await User.updateOne(
+        { _id: user._id, status: previousStatus === 'offline' ? { $in: [null, 'offline'] } : previousStatus },
+        { status: nextStatus }
+    );
+    if (result.modifiedCount === 0) {
+        throw new ClientError('Status was changed by another request, please retry', 409);
+    }
+
+    user.status = nextStatus;
+    publishToUser(user._id, 'providerStatusChanged', {
+        status: nextStatus,
+        previousStatus,
+        changedAt: new Date()
+    });
+
+    return nextStatus;
+};
+
+// Take a provider offline (logout, suspension); a provider with a job in progress stays in-progress
+const takeProviderOffline = async (userId) => {
+    const user = await User.findById(userId).select('roles status');
+    if (!user || !user.hasRole('provider')) return;
+
+    try {
+        await changeProviderStatus(user, 'offline');
+    } catch (err) {
+        if (!(err instanceof ClientError)) throw err;
+    }
+};
+
+// Put a provider whose job ended early (cancelled, disputed) back online; a provider
+// already busy with another job keeps their status
+const releaseProvider = async (providerId) => {
+    const provider = await User.findById(providerId).select('status');
+    if (!provider || provider.status !== 'in-progress') return;
+
+    try {
+        await changeProviderStatus(provider, 'online');
+    } catch (err) {
+        if (!(err instanceof ClientError)) throw err;
+    }
+};
+
+module.exports = {
+    PROVIDER_STATUSES,
+    SELF_SET_STATUSES,
+    PROVIDER_STATUS_TRANSITIONS,
+    hasJobInProgress,
+    changeProviderStatus,
+    takeProviderOffline,
+    releaseProvider
+};
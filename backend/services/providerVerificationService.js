@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const User = require('../models/UserModel');
+const VerificationRequest = require('../models/VerificationRequestModel');
+const documentStorage = require('./documentStorage');
+const { publishToUser } = require('./eventBus');
+const { ClientError } = require('../utils/ClientError');
+const { paginate } = require('../utils/pagination');
+
+// The content must match the declared type, so a renamed executable is refused
+const SIGNATURES = {
+    'application/pdf': (buffer) => buffer.subarray(0, 4).toString('latin1') === '%PDF',
+    'image/jpeg': (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+    'image/png': (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+    'image/webp': (buffer) => buffer.subarray(0, 4).toString('latin1') === 'RIFF'
+        && buffer.subarray(8, 12).toString('latin1') === 'WEBP'
+};
+
+// Skills may arrive as an array, a repeated multipart field or a comma separated string
+const normalizeSkills = (value) => {
+    if (value === undefined || value === null) return [];
+    const skills = [].concat(value)
+        .flatMap(skill => String(skill).split(','))
+        .map(skill => skill.trim())
+        .filter(Boolean);
+    return [...new Set(skills)];
+};
+
+const findRequest = async (requestId, projection) => {
+    if (!mongoose.isValidObjectId(requestId)) throw new ClientError('Verification request not found', 404);
+
+    const request = await VerificationRequest.findById(requestId).select(projection);
+    if (!request) throw new ClientError('Verification request not found', 404);
+    return request;
+};
+exports.findVerification = (requestId) => findRequest(requestId);
+
+// Store the uploaded documents and queue the provider for review. `files` is multer's
+// { idDocument: [...], tradeLicence: [...] }
+exports.submitVerification = async (provider, files = {}, requestedSkills) => {
+    const uploads = [
+        ...(files.idDocument || []).map(file => ({ kind: 'id', file })),
+        ...(files.tradeLicence || []).map(file => ({ kind: 'trade-licence', file }))
+    ];
+
+    if (uploads.length === 0) {
+        throw new ClientError('Upload at least one document');
+    }
+    if (!provider.identityVerified && !(files.idDocument || []).length) {
+        throw new ClientError('An ID document is required until your identity has been verified');
+    }
+
+    const invalid = uploads.find(({ file }) => !SIGNATURES[file.mimetype] || !SIGNATURES[file.mimetype](file.buffer));
+    if (invalid) {
+        throw new ClientError(`${invalid.file.originalname} does not look like a ${invalid.file.mimetype} file`);
+    }
+
+    // By default every claimed skill that is not verified yet is put up for review
+    const verified = provider.verifiedSkills || [];
+    let skills = normalizeSkills(requestedSkills);
+    if (skills.length === 0) {
+        skills = provider.skills.filter(skill => !verified.includes(skill));
+    }
+
+    const unclaimed = skills.filter(skill => !provider.skills.includes(skill));
+    if (unclaimed.length > 0) {
+        throw new ClientError(`Add ${unclaimed.join(', ')} to your profile skills before asking to verify them`);
+    }
+
+    if (await VerificationRequest.exists({ provider: provider._id, status: 'pending' })) {
+        throw new ClientError('You already have a verification request waiting for review', 409);
+    }
+
+    const storedKeys = [];
+    try {
+        const documents = [];
+        for (const { kind, file } of uploads) {
+            const storageKey = await documentStorage.saveFile({ buffer: file.buffer, mimeType: file.mimetype });
+            storedKeys.push(storageKey);
+            documents.push({ kind, storageKey, originalName: file.originalname, mimeType: file.mimetype, size: file.size });
+        }
+
+        return await VerificationRequest.create({ provider: provider._id, documents, skills });
+    } catch (error) {
+        // Don't leave orphaned files behind when the request could not be saved
+        await Promise.all(storedKeys.map(key => documentStorage.removeFile(key).catch(err => {
+            console.error('Error removing verification document:', err);
+        })));
+
+        if (error.code === 11000) {
+            throw new ClientError('You already have a verification request waiting for review', 409);
+        }
+        throw error;
+    }
+};
+
+// A provider's own verification requests, newest first
+exports.listProviderVerifications = (providerId) =>
+    VerificationRequest.find({ provider: providerId }).sort({ createdAt: -1 }).limit(20);
+
+// The admin review queue (?status=pending by default), oldest first
+exports.listVerifications = (query) => {
+    const filter = { status: query.status || 'pending' };
+
+    return paginate(VerificationRequest, filter, query, {
+        key: 'verifications',
+        sort: { createdAt: 1 },
+        build: q => q.populate('provider', 'userName email skills verifiedSkills identityVerified')
+    });
+};
+
+// Open one uploaded document for an admin to look at; returns { stream, document }
+exports.openDocument = async (requestId, documentId) => {
+    const request = await findRequest(requestId, '+documents.storageKey');
+    const document = request.documents.id(documentId);
+    if (!document) throw new ClientError('Document not found', 404);
+
+    try {
+        const stream = await documentStorage.openFile(document.storageKey);
+        return { stream, document };
+    } catch (err) {
+        console.error('Error opening verification document:', err);
+        throw new ClientError('Document file is no longer available', 404);
+    }
+};
+
+// Approve or reject a pending request. Approving verifies the provider's identity (when
+// an ID document was part of the request) and the approved skills, which must be
+// among the skills requested; rejecting needs a reason.
+exports.reviewVerification = async (requestId, reviewerId, decision, { skills, note } = {}) => {
+    const request = await findRequest(requestId);
+    if (request.status !== 'pending') {
+        throw new ClientError(`This request was already ${request.status}`, 409);
+    }
+
+    let approvedSkills = [];
+    if (decision === 'approved') {
+        approvedSkills = skills === undefined ? request.skills : normalizeSkills(skills);
+        const notRequested = approvedSkills.filter(skill => !request.skills.includes(skill));
+        if (notRequested.length > 0) {
+            throw new ClientError(`${notRequested.join(', ')} ${notRequested.length > 1 ? 'were' : 'was'} not part of this request`);
+        }
+    } else if (!note) {
+        throw new ClientError('A reason is required to reject a verification request');
+    }
+
+    const reviewedAt = new Date();
+    const reviewed = await VerificationRequest.findOneAndUpdate(
+        { _id: request._id, status: 'pending' },
+        { status: decision, approvedSkills, reviewedBy: reviewerId, reviewedAt, reviewNote: note },
+        { new: true }
+    );
+    if (!reviewed) throw new ClientError('This request was already reviewed', 409);
+
+    if (decision === 'approved') {
+        // Only skills the provider still claims become verified
+        const provider = await User.findById(request.provider).select('skills');
+        const update = {
+            $addToSet: { verifiedSkills: { $each: approvedSkills.filter(skill => provider && provider.skills.includes(skill)) } }
+        };
+        if (request.documents.some(document => document.kind === 'id')) {
+            update.$set = { identityVerified: true, identityVerifiedAt: reviewedAt };
+        }
+        await User.updateOne({ _id: request.provider }, update);
+    }
+
+    publishToUser(request.provider, 'verificationReviewed', {
+        requestId: reviewed._id,
+        status: reviewed.status,
+        approvedSkills: reviewed.approvedSkills,
+        note: reviewed.reviewNote || null
+    });
+
+    return reviewed;
+};
@@ -0,0 +1,263 @@
+const mongoose = require('mongoose');
+const Quote = require('../models/QuoteModel');
+const ServiceRequest = require('../models/ServiceRequestModel');
+const User = require('../models/UserModel');
+const { ClientError } = require('../utils/ClientError');
+const { assignRequest } = require('./requestAssignmentService');
+const lifecycle = require('./requestLifecycleService');
+const { isEligibleProvider } = require('./serviceAreaService');
+const { publishToUser } = require('./eventBus');
+
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'INR').toUpperCase();
+
+// Push a quote change to the other party of the negotiation
+const notifyQuote = (userId, quote) => {
+    publishToUser(userId, 'quoteUpdated', {
+        requestId: quote.serviceRequest,
+        quote
+    });
+};
+
+const findQuote = async (quoteId) => {
+    if (!mongoose.isValidObjectId(quoteId)) throw new ClientError('Quote not found', 404);
+
+    const quote = await Quote.findById(quoteId);
+    if (!quote) throw new ClientError('Quote not found', 404);
+
+    return quote;
+};
+
+// Load a request and make sure the user is the seeker who created it
+const findSeekerRequest = async (requestId, seekerId) => {
+    const request = await ServiceRequest.findById(requestId);
+    if (!request) throw new ClientError('Service request not found', 404);
+
+    if (request.seeker.toString() !== seekerId) {
+        throw new ClientError('Not authorized to manage quotes on this request', 403);
+    }
+
+    return request;
+};
+
+// Move a quote out of `pending`; returns null when it was no longer pending
+const respondToQuote = (quoteId, status) => Quote.findOneAndUpdate(
+    { _id: quoteId, status: 'pending' },
+    { status, respondedAt: new Date() },
+    { new: true }
+);
+
+// The first quote moves a pending request to quoted; when another quote got there first
+// (or the request was taken meanwhile) there is nothing to do
+const markQuoted = async (requestId, provider) => {
+    const request = await ServiceRequest.findById(requestId);
+    if (!request || request.status !== 'pending') return;
+
+    try {
+        await lifecycle.transition(request, 'quoted', { id: provider._id.toString(), role: 'provider' });
+    } catch (error) {
+        if (!(error instanceof ClientError)) throw error;
+    }
+};
+
+// Move a quoted request back to pending once its last open quote is withdrawn or declined
+const reopenIfUnquoted = async (requestId) => {
+    if (await Quote.exists({ serviceRequest: requestId, status: 'pending' })) return;
+
+    const request = await ServiceRequest.findById(requestId);
+    if (!request || request.status !== 'quoted') return;
+
+    try {
+        await lifecycle.transition(request, 'pending', lifecycle.SYSTEM);
+    } catch (error) {
+        if (!(error instanceof ClientError)) throw error;
+    }
+};
+
+// Send a quote on an open request, or revise the provider's existing one
+exports.submitQuote = async (requestId, provider, { amount, currency, estimatedDuration, note }) => {
+    if (!mongoose.isValidObjectId(requestId)) throw new ClientError('Service request not found', 404);
+
+    if (!['online', 'active'].includes(provider.status)) {
+        throw new ClientError('You must be online to send quotes');
+    }
+    if (!provider.emailVerified) {
+        throw new ClientError('Verify your email address to send quotes', 403);
+    }
+
+    const request = await ServiceRequest.findById(requestId)
+        .select('seeker status expirationTime categoryPath location scheduledWindow');
+    if (!request) throw new ClientError('Service request not found', 404);
+
+    if (request.seeker.toString() === provider._id.toString()) {
+        throw new ClientError('You cannot quote on your own request');
+    }
+
+    if (!lifecycle.OPEN_STATUSES.includes(request.status) || request.expirationTime <= new Date()) {
+        throw new ClientError('Quotes can only be sent on open requests', 409);
+    }
+
+    // The same skills, service area and working hours rules as request matching
+    if (!(await isEligibleProvider(request, provider._id))) {
+        throw new ClientError('This request is outside your skills, service areas or working hours', 403);
+    }
+
+    let quote;
+    try {
+        // Only pending or withdrawn quotes can be revised; for a declined quote the
+        // upsert hits the unique index instead
+        quote = await Quote.findOneAndUpdate(
+            { serviceRequest: request._id, provider: provider._id, status: { $in: ['pending', 'withdrawn'] } },
+            {
+                $set: {
+                    amount,
+                    currency: currency || DEFAULT_CURRENCY,
+                    estimatedDuration,
+                    note,
+                    status: 'pending'
+                },
+                $unset: { respondedAt: '' },
+                $inc: { revision: 1 }
+            },
+            { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+        );
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new ClientError('Your quote on this request was already declined', 409);
+        }
+        if (error instanceof mongoose.Error.ValidationError) {
+            throw new ClientError(Object.values(error.errors)[0].message);
+        }
+        throw error;
+    }
+
+    // The request may have been accepted or cancelled while the quote was written;
+    // closeQuotes has already run by then, so close this one here
+    const stillOpen = await ServiceRequest.exists({ _id: request._id, status: { $in: lifecycle.OPEN_STATUSES } });
+    if (!stillOpen) {
+        await respondToQuote(quote._id, 'rejected');
+        throw new ClientError('Quotes can only be sent on open requests', 409);
+    }
+
+    await markQuoted(request._id, provider);
+    notifyQuote(request.seeker, quote);
+    return quote;
+};
+
+// Seekers see every quote on their request (cheapest first); providers only their own
+exports.listQuotes = async (requestId, user) => {
+    if (!mongoose.isValidObjectId(requestId)) throw new ClientError('Service request not found', 404);
+
+    const request = await ServiceRequest.findById(requestId).select('seeker');
+    if (!request) throw new ClientError('Service request not found', 404);
+
+    const filter = { serviceRequest: request._id };
+    if (request.seeker.toString() !== user.id) {
+        if (user.role !== 'provider') {
+            throw new ClientError('Not authorized to view quotes on this request', 403);
+        }
+        filter.provider = user.id;
+    }
+
+    return Quote.find(filter)
+        .sort({ status: 1, amount: 1, updatedAt: -1 })
+        .populate('provider', 'userName skills verifiedSkills identityVerified rating reliability');
+};
+
+// Accept a quote: the request is accepted (booked, when scheduled) with
+// the quoting provider at the quoted price, and every other pending quote on it is rejected
+exports.acceptQuote = async (quoteId, seekerId) => {
+    const quote = await findQuote(quoteId);
+    const request = await findSeekerRequest(quote.serviceRequest, seekerId);
+
+    if (quote.status !== 'pending') {
+        throw new ClientError(`This quote has been ${quote.status}`, 409);
+    }
+
+    // A booking for later does not need the provider to be free right now
+    const availableStatuses = request.isScheduled() ? ['online', 'active', 'in-progress'] : ['online', 'active'];
+    const provider = await User.findById(quote.provider).select('status');
+    if (!provider || !availableStatuses.includes(provider.status)) {
+        throw new ClientError('This provider is not available right now', 409);
+    }
+
+    // Take the quote first so a concurrent withdrawal cannot slip in
+    const accepted = await respondToQuote(quote._id, 'accepted');
+    if (!accepted) {
+        throw new ClientError('This quote is no longer available', 409);
+    }
+
+    let claimed;
+    try {
+        claimed = await assignRequest(request, provider, {
+            acceptedQuote: quote._id,
+            agreedPrice: { amount: quote.amount, currency: quote.currency }
+        }, { id: seekerId, role: 'seeker' });
+    } catch (error) {
+        await Quote.updateOne({ _id: quote._id, status: 'accepted' }, { status: 'pending', $unset: { respondedAt: '' } });
+        throw error;
+    }
+
+    notifyQuote(provider._id, accepted);
+    await exports.closeQuotes(request._id);
+
+    return { request: claimed, quote: accepted };
+};
+
+// Decline a single quote (seekers only)
+exports.rejectQuote = async (quoteId, seekerId) => {
+    const quote = await findQuote(quoteId);
+    await findSeekerRequest(quote.serviceRequest, seekerId);
+
+    const rejected = await respondToQuote(quote._id, 'rejected');
+    if (!rejected) {
+        throw new ClientError(`This quote has been ${quote.status}`, 409);
+    }
+
+    notifyQuote(rejected.provider, rejected);
+    await reopenIfUnquoted(rejected.serviceRequest);
+    return rejected;
+};
+
+// Withdraw a pending quote (the provider who sent it only)
+exports.withdrawQuote = async (quoteId, providerId) => {
+    const quote = await findQuote(quoteId);
+    if (quote.provider.toString() !== providerId) {
+        throw new ClientError('Not authorized to withdraw this quote', 403);
+    }
+
+    const withdrawn = await respondToQuote(quote._id, 'withdrawn');
+    if (!withdrawn) {
+        throw new ClientError(`This quote has been ${quote.status}`, 409);
+    }
+
+    const request = await ServiceRequest.findById(quote.serviceRequest).select('seeker');
+    if (request) {
+        notifyQuote(request.seeker, withdrawn);
+        await reopenIfUnquoted(request._id);
+    }
+    return withdrawn;
+};
+
+// The provider of an accepted quote withdrew from the job; they may quote on the request again
+exports.releaseAcceptedQuote = async (quoteId) => {
+    if (!quoteId) return null;
+    return Quote.findOneAndUpdate(
+        { _id: quoteId, status: 'accepted' },
+        { status: 'withdrawn', respondedAt: new Date() },
+        { new: true }
+    );
+};
+
+// Reject the quotes still pending on a request once it is taken, cancelled or expired
+exports.closeQuotes = async (requestId) => {
+    const quotes = await Quote.find({ serviceRequest: requestId, status: 'pending' }).select('_id');
+
+    for (const { _id } of quotes) {
+        const rejected = await respondToQuote(_id, 'rejected');
+        if (rejected) {
+            notifyQuote(rejected.provider, rejected);
+        }
+    }
+};
+
+exports.DEFAULT_CURRENCY = DEFAULT_CURRENCY;
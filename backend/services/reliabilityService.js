@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const ServiceRequest = require('../models/ServiceRequestModel');
+const User = require('../models/UserModel');
+const { JOB_STATUSES } = require('./requestLifecycleService');
+
+// Recompute a provider's reliability from the request history: the jobs they accepted and
+// how many of those they withdrew from. Like ratings it is recomputed rather than
+// incremented, so it stays correct when jobs change concurrently.
+const refreshProviderReliability = async (providerId) => {
+    const id = new mongoose.Types.ObjectId(String(providerId));
+
+    const [stats] = await ServiceRequest.aggregate([
+        { $match: { 'history.provider': id } },
+        { $unwind: '$history' },
+        { $match: { 'history.provider': id } },
+        {
+            $group: {
+                _id: null,
+                accepted: { $sum: { $cond: [{ $eq: ['$history.status', 'accepted'] }, 1, 0] } },
+                withdrawn: {
+                    $sum: {
+                        $cond: [{
+                            $and: [
+                                { $eq: ['$history.status', 'pending'] },
+                                { $in: ['$history.from', JOB_STATUSES] },
+                                { $eq: ['$history.actor', id] }
+                            ]
+                        }, 1, 0]
+                    }
+                }
+            }
+        }
+    ]);
+
+    const accepted = stats ? stats.accepted : 0;
+    const withdrawn = stats ? stats.withdrawn : 0;
+    const reliability = {
+        accepted,
+        withdrawn,
+        score: accepted > 0 ? Math.round(((accepted - withdrawn) / accepted) * 100) : null
+    };
+    await User.updateOne({ _id: providerId }, { reliability });
+
+    return reliability;
+};
+
+module.exports = { refreshProviderReliability };
@@ -0,0 +1,199 @@
+const ServiceRequest = require('../models/ServiceRequestModel');
+const { ClientError } = require('../utils/ClientError');
+const { generatePin, pinFields } = require('./pinService');
+const { changeProviderStatus, releaseProvider } = require('./providerStatusService');
+const lifecycle = require('./requestLifecycleService');
+const { publishToUser } = require('./eventBus');
+const { emitRequestUpdate, joinRequestRoom, leaveRequestRoom } = require('../sockets/io');
+
+const { EARLY_START_MINUTES, OPEN_STATUSES, describeRequestState } = lifecycle;
+
+const PIN_UNSET = { pinHash: '', pinGeneratedAt: '', pinExpiresAt: '', pinLockedAt: '' };
+
+// A claim that lost the race is told the request is taken rather than which transition was refused
+const claimConflict = (error) => {
+    const state = error instanceof ClientError && error.status === 409 && error.details && error.details.request;
+    if (state && !OPEN_STATUSES.includes(state.status)) {
+        return new ClientError('Request has already been accepted or is no longer active', 409, error.details);
+    }
+    return error;
+};
+
+const providerActor = (provider) => ({ id: provider._id.toString(), role: 'provider' });
+
+// Second half of putting a provider on a job: the request has already moved, now move
+// the provider to in-progress too. If that fails the request transition is reverted
+// (with `rollback` fields) so neither document is left half-updated.
+const startJob = async (request, provider, issuedPin, rollback) => {
+    try {
+        await changeProviderStatus(provider, 'in-progress');
+    } catch (error) {
+        await lifecycle.revertTransition(request, rollback);
+        throw error;
+    }
+
+    joinRequestRoom(provider._id, request._id);
+    emitRequestUpdate(request);
+
+    // Only the seeker ever sees the PIN in plain text
+    publishToUser(request.seeker, 'pinGenerated', {
+        requestId: request._id,
+        pin: issuedPin.pin,
+        expiresAt: issuedPin.pinExpiresAt
+    });
+
+    return request;
+};
+
+// Assign an open immediate request to a provider and move the provider to in-progress.
+// The request moves to accepted with a single conditional update, so when claims race
+// only one update matches and the others get a 409.
+// `actor` made the claim (the provider, or the seeker accepting a quote); `fields` are
+// extra request fields set together with the claim (e.g. the accepted quote).
+const claimRequest = async (request, provider, actor, fields = {}) => {
+    const issuedPin = await generatePin();
+
+    let claimed;
+    try {
+        // The expiry job may not have marked the request yet, so check the time as well
+        claimed = await lifecycle.transition(request, 'accepted', actor, {
+            provider: provider._id,
+            set: { ...fields, provider: provider._id, ...pinFields(issuedPin) },
+            filter: { expirationTime: { $gt: new Date() }, 'scheduledWindow.start': { $exists: false } }
+        });
+    } catch (error) {
+        throw claimConflict(error);
+    }
+
+    // Release the claim so another provider can still take the request
+    const unset = { provider: '', ...PIN_UNSET };
+    Object.keys(fields).forEach(field => { unset[field] = ''; });
+
+    return startJob(claimed, provider, issuedPin, { set: { pinAttempts: 0 }, unset });
+};
+
+// Book an open scheduled request for a provider. The provider's status is not
+// touched until they set off; instead the booking is refused when it overlaps
+// another booking of the same provider.
+const bookRequest = async (request, provider, actor, fields = {}) => {
+    const providerId = provider._id;
+    const { start, end } = request.scheduledWindow;
+
+    let booked;
+    try {
+        booked = await lifecycle.transition(request, 'accepted', actor, {
+            provider: providerId,
+            // A booked job that is never started expires when its window closes
+            set: { ...fields, provider: providerId, expirationTime: end },
+            filter: { expirationTime: { $gt: new Date() }, 'scheduledWindow.start': { $exists: true } }
+        });
+    } catch (error) {
+        throw claimConflict(error);
+    }
+
+    // Checked after the write so two overlapping bookings made at the same time see
+    // each other; both are then released rather than double-booking the provider
+    const overlapping = await ServiceRequest.exists({
+        _id: { $ne: booked._id },
+        provider: providerId,
+        status: 'accepted',
+        'scheduledWindow.start': { $lt: end },
+        'scheduledWindow.end': { $gt: start }
+    });
+
+    if (overlapping) {
+        const unset = { provider: '' };
+        Object.keys(fields).forEach(field => { unset[field] = ''; });
+
+        await lifecycle.revertTransition(booked, { set: { expirationTime: start }, unset });
+        throw new ClientError('You already have a booking during this time window', 409);
+    }
+
+    joinRequestRoom(providerId, booked._id);
+    emitRequestUpdate(booked);
+
+    return booked;
+};
+
+// Accept an open request: immediate requests are claimed, scheduled ones booked.
+// Without an `actor` the provider accepts themselves.
+const assignRequest = (request, provider, fields, actor = providerActor(provider)) => (request.isScheduled()
+    ? bookRequest(request, provider, actor, fields)
+    : claimRequest(request, provider, actor, fields));
+
+// The provider sets off for an accepted job. For a booked scheduled job this is when it
+// starts: the provider moves to in-progress and the seeker receives the completion PIN
+// (immediate jobs got both when they were claimed).
+const setOffForRequest = async (requestId, provider) => {
+    const request = await ServiceRequest.findById(requestId);
+    if (!request) {
+        throw new ClientError('Service request not found', 404);
+    }
+
+    if (!request.isScheduled()) {
+        const updated = await lifecycle.transition(request, 'en-route', providerActor(provider));
+        emitRequestUpdate(updated);
+        return updated;
+    }
+
+    const issuedPin = await generatePin();
+    const started = await lifecycle.transition(request, 'en-route', providerActor(provider), {
+        set: pinFields(issuedPin),
+        filter: { expirationTime: { $gt: new Date() } }
+    });
+
+    return startJob(started, provider, issuedPin, { set: { pinAttempts: 0 }, unset: PIN_UNSET });
+};
+
+// When a request handed back by its provider stops taking new providers: an immediate
+// request gets its full validity again, a scheduled one stays open until its window
+// starts (or, when that has passed, until the window closes)
+const reopenedExpiration = (request) => {
+    if (!request.isScheduled()) {
+        return new Date(Date.now() + request.duration * 60 * 1000);
+    }
+    const { start, end } = request.scheduledWindow;
+    return start > new Date() ? start : end;
+};
+
+// The assigned provider withdraws from an accepted job (before work starts). The request
+// goes back to pending for other providers with its expiry extended, the provider is
+// freed and the seeker told why. Returns the reopened request and the provider's
+// former job, whose accepted quote the caller releases.
+const withdrawFromRequest = async (requestId, provider, reason) => {
+    const job = await ServiceRequest.findById(requestId);
+    if (!job) {
+        throw new ClientError('Service request not found', 404);
+    }
+
+    const reopened = await lifecycle.transition(job, 'pending', providerActor(provider), {
+        reason,
+        set: { expirationTime: reopenedExpiration(job), pinAttempts: 0 },
+        unset: { provider: '', acceptedQuote: '', agreedPrice: '', reminderSentAt: '', ...PIN_UNSET }
+    });
+
+    if (lifecycle.isActiveJob(job)) {
+        await releaseProvider(provider._id);
+    }
+
+    leaveRequestRoom(provider._id, reopened._id);
+    emitRequestUpdate(reopened);
+    publishToUser(reopened.seeker, 'providerWithdrew', {
+        requestId: reopened._id,
+        category: reopened.category,
+        reason: reopened.history[reopened.history.length - 1].reason,
+        expirationTime: reopened.expirationTime
+    });
+
+    return { request: reopened, job };
+};
+
+module.exports = {
+    EARLY_START_MINUTES,
+    claimRequest,
+    bookRequest,
+    assignRequest,
+    setOffForRequest,
+    withdrawFromRequest,
+    describeRequestState
+};
@@ -0,0 +1,249 @@
+const mongoose = require('mongoose');
+const ServiceRequest = require('../models/ServiceRequestModel');
+const { ClientError } = require('../utils/ClientError');
+
+// How early before its window a provider may set off for a booked job
+const EARLY_START_MINUTES = Number(process.env.SCHEDULE_EARLY_START_MINUTES) || 30;
+
+// How long after completion either party can still dispute a job
+const DISPUTE_WINDOW_HOURS = Number(process.env.DISPUTE_WINDOW_HOURS) || 48;
+
+// Open for providers to quote on and accept
+const OPEN_STATUSES = ['pending', 'quoted'];
+
+// A provider is assigned and the job is not finished (a booked scheduled request sits in `accepted`)
+const JOB_STATUSES = ['accepted', 'en-route', 'arrived', 'in-progress'];
+
+// Nothing happens to the request any more
+const FINAL_STATUSES = ['cancelled', 'expired'];
+
+const SYSTEM = { role: 'system' };
+
+// Accept either an ObjectId or a populated document
+const idOf = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+const isSeeker = (request, actor) => actor.role === 'seeker' && idOf(request.seeker) === actor.id;
+
+const isAssignedProvider = (request, actor) =>
+    actor.role === 'provider' && Boolean(request.provider) && idOf(request.provider) === actor.id;
+
+// Describe the state a request is in, without leaking the PIN
+const describeRequestState = (request) => {
+    const accepted = (request.history || []).filter(item => item.status === 'accepted').pop();
+    return {
+        _id: request._id,
+        status: request.status,
+        provider: request.provider || null,
+        acceptedAt: accepted ? accepted.timestamp : null,
+        expirationTime: request.expirationTime
+    };
+};
+
+// Guards: each throws a ClientError when `actor` may not make the transition right now
+
+const only = (check, message) => (request, actor) => {
+    if (!check(request, actor)) throw new ClientError(message, 403);
+};
+
+const bySystem = only((request, actor) => actor.role === 'system', 'This change is made automatically');
+const byAdmin = only((request, actor) => actor.role === 'admin', 'Only an admin can do this');
+const byAssignedProvider = only(isAssignedProvider, 'Only the assigned provider can update this job');
+const bySeekerOrAdmin = only(
+    (request, actor) => isSeeker(request, actor) || actor.role === 'admin',
+    'Only the seeker who created this request can cancel it'
+);
+
+const requireReason = (request, actor, { reason }) => {
+    if (!reason || !String(reason).trim()) throw new ClientError('A reason is required');
+};
+
+// The first quote on a request comes from a provider; quoted → pending when the last one is withdrawn
+const byQuotingProvider = only(
+    (request, actor) => actor.role === 'system' || (actor.role === 'provider' && idOf(request.seeker) !== actor.id),
+    'Only providers can quote on a request'
+);
+
+// A provider takes the request, or the seeker accepts a provider's quote
+const accept = (request, actor, { provider }) => {
+    if (!provider) throw new ClientError('A provider must be assigned');
+    if (idOf(provider) === idOf(request.seeker)) {
+        throw new ClientError('You cannot take your own request');
+    }
+    if (!(actor.role === 'provider' && actor.id === idOf(provider)) && !isSeeker(request, actor)) {
+        throw new ClientError('Only providers can accept requests', 403);
+    }
+    if (request.expirationTime <= new Date()) {
+        throw new ClientError('Request has expired', 409, { request: describeRequestState(request) });
+    }
+};
+
+// Immediate jobs can be set off for at once, booked ones from shortly before their window
+const setOff = (request, actor) => {
+    byAssignedProvider(request, actor);
+    if (!request.isScheduled()) return;
+
+    const now = new Date();
+    const earliestStart = new Date(request.scheduledWindow.start.getTime() - EARLY_START_MINUTES * 60 * 1000);
+    if (now < earliestStart) {
+        throw new ClientError(`This job can be started from ${earliestStart.toISOString()}`);
+    }
+    if (request.expirationTime <= now) {
+        throw new ClientError('This booking has expired', 409);
+    }
+};
+
+// Open requests lapse at expirationTime; booked ones when their window closes without being started
+const expire = (request, actor) => {
+    bySystem(request, actor);
+    if (request.status === 'accepted' && !request.isScheduled()) {
+        throw new ClientError('Only booked scheduled jobs expire once accepted', 409);
+    }
+    if (request.expirationTime > new Date()) {
+        throw new ClientError('Request has not expired yet', 409);
+    }
+};
+
+// Either party raises a problem while the job is under way or shortly after it was completed
+const dispute = (request, actor, context) => {
+    if (!isSeeker(request, actor) && !isAssignedProvider(request, actor)) {
+        throw new ClientError('Only the seeker and provider of this request can dispute it', 403);
+    }
+    requireReason(request, actor, context);
+
+    if (request.status === 'completed') {
+        const completed = request.history.filter(item => item.status === 'completed').pop();
+        const deadline = completed && completed.timestamp.getTime() + DISPUTE_WINDOW_HOURS * 60 * 60 * 1000;
+        if (!deadline || deadline < Date.now()) {
+            throw new ClientError(`Completed jobs can only be disputed within ${DISPUTE_WINDOW_HOURS} hours`, 409);
+        }
+    }
+};
+
+const all = (...guards) => (request, actor, context) => guards.forEach(guard => guard(request, actor, context));
+
+// The assigned provider cannot make it and hands the job back for re-matching
+const withdraw = all(byAssignedProvider, requireReason);
+
+// Allowed transitions and their guards, by current status
+const TRANSITIONS = {
+    pending: { quoted: byQuotingProvider, accepted: accept, cancelled: bySeekerOrAdmin, expired: expire },
+    quoted: { pending: bySystem, accepted: accept, cancelled: bySeekerOrAdmin, expired: expire },
+    accepted: { 'en-route': setOff, pending: withdraw, cancelled: bySeekerOrAdmin, expired: expire },
+    'en-route': { arrived: byAssignedProvider, pending: withdraw, cancelled: byAdmin },
+    arrived: { 'in-progress': byAssignedProvider, pending: withdraw, cancelled: byAdmin },
+    'in-progress': { completed: byAssignedProvider, disputed: dispute, cancelled: byAdmin },
+    completed: { disputed: dispute },
+    disputed: { completed: all(byAdmin, requireReason), cancelled: all(byAdmin, requireReason) },
+    cancelled: {},
+    expired: {}
+};
+
+const canTransition = (from, to) => Boolean(TRANSITIONS[from] && TRANSITIONS[from][to]);
+
+// Throw unless `actor` may move `request` to `to`; refused moves carry the request's state
+const assertTransition = (request, to, actor, context = {}) => {
+    if (!canTransition(request.status, to)) {
+        throw new ClientError(
+            `Cannot move a request from ${request.status} to ${to}`,
+            409,
+            { request: describeRequestState(request) }
+        );
+    }
+    TRANSITIONS[request.status][to](request, actor, context);
+};
+
+const historyEntry = (request, to, actor, { reason, provider } = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    provider: provider || request.provider || undefined,
+    status: to,
+    from: request.status,
+    actor: actor.id,
+    actorRole: actor.role,
+    reason: reason ? String(reason).trim() : undefined,
+    timestamp: new Date()
+});
+
+// Move `request` (a loaded document) to `to` on behalf of `actor` ({ id, role } where role is
+// seeker, provider, admin or system) and record the transition in its history.
+// The write is conditional on the status the guard saw, so when another change lands
+// first the request is reloaded and the guard runs again against the new state.
+// Options: `reason`; `provider` for the provider being assigned; `set`/`unset` for fields
+// changed together with the status; `filter` for extra conditions the write requires.
+// Returns the updated request; the new history entry is its last one.
+const transition = async (request, to, actor, { reason, provider, set = {}, unset, filter = {} } = {}) => {
+    let current = request;
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+        assertTransition(current, to, actor, { reason, provider });
+
+        const update = {
+            $set: { ...set, status: to },
+            $push: { history: historyEntry(current, to, actor, { reason, provider }) },
+            $inc: { __v: 1 }
+        };
+        if (unset) update.$unset = unset;
+
+        const updated = await ServiceRequest.findOneAndUpdate(
+            { _id: current._id, status: current.status, ...filter },
+            update,
+            { new: true }
+        );
+        if (updated) return updated;
+
+        const reloaded = await ServiceRequest.findById(current._id);
+        if (!reloaded) throw new ClientError('Service request not found', 404);
+        if (reloaded.status === current.status) {
+            // The status is unchanged, so one of the extra conditions failed
+            throw new ClientError('This request was changed by another action. Please reload and try again.', 409, {
+                request: describeRequestState(reloaded)
+            });
+        }
+        current = reloaded;
+    }
+
+    throw new ClientError('This request is changing too quickly. Please try again.', 409);
+};
+
+// Undo a transition whose follow-up step failed (e.g. the provider could not be moved to
+// in-progress). The history entry is removed as if the transition never happened.
+const revertTransition = (request, { set = {}, unset } = {}) => {
+    const entry = request.history[request.history.length - 1];
+    const update = {
+        $set: { ...set, status: entry.from },
+        $pull: { history: { _id: entry._id } },
+        $inc: { __v: 1 }
+    };
+    if (unset) update.$unset = unset;
+
+    return ServiceRequest.updateOne({ _id: request._id, status: entry.status, 'history._id': entry._id }, update);
+};
+
+// Requests that keep a provider busy: immediate jobs from acceptance, booked ones once set off
+const activeJobFilter = (providerId) => ({
+    provider: providerId,
+    $or: [
+        { status: { $in: ['en-route', 'arrived', 'in-progress'] } },
+        { status: 'accepted', 'scheduledWindow.start': { $exists: false } }
+    ]
+});
+
+const isActiveJob = (request) =>
+    ['en-route', 'arrived', 'in-progress'].includes(request.status)
+    || (request.status === 'accepted' && !request.isScheduled());
+
+module.exports = {
+    EARLY_START_MINUTES,
+    DISPUTE_WINDOW_HOURS,
+    OPEN_STATUSES,
+    JOB_STATUSES,
+    FINAL_STATUSES,
+    TRANSITIONS,
+    SYSTEM,
+    canTransition,
+    assertTransition,
+    transition,
+    revertTransition,
+    activeJobFilter,
+    isActiveJob,
+    describeRequestState
+};
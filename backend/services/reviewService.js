@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const Review = require('../models/ReviewModel');
+const ServiceRequest = require('../models/ServiceRequestModel');
+const User = require('../models/UserModel');
+const { ClientError } = require('../utils/ClientError');
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+// Recompute a user's rating from their reviews. Recomputing (rather than
+// incrementing) keeps the aggregate correct even when reviews land concurrently.
+const refreshUserRating = async (userId) => {
+    const [stats] = await Review.aggregate([
+        { $match: { reviewee: new mongoose.Types.ObjectId(String(userId)) } },
+        { $group: { _id: null, average: { $avg: '$score' }, count: { $sum: 1 } } }
+    ]);
+
+    const rating = {
+        average: stats ? Math.round(stats.average * 10) / 10 : 0,
+        count: stats ? stats.count : 0
+    };
+    await User.updateOne({ _id: userId }, { rating });
+
+    return rating;
+};
+
+// Leave a review on a completed request; the reviewer is its seeker or its provider
+exports.createReview = async (requestId, reviewerId, { score, comment, tags = [] }) => {
+    if (!mongoose.isValidObjectId(requestId)) throw new ClientError('Service request not found', 404);
+
+    const request = await ServiceRequest.findById(requestId).select('seeker provider status');
+    if (!request) throw new ClientError('Service request not found', 404);
+
+    const isSeeker = request.seeker.toString() === reviewerId;
+    const isProvider = request.provider && request.provider.toString() === reviewerId;
+    if (!isSeeker && !isProvider) {
+        throw new ClientError('Not authorized to review this request', 403);
+    }
+
+    if (request.status !== 'completed') {
+        throw new ClientError('Only completed requests can be reviewed', 409);
+    }
+
+    const revieweeRole = isSeeker ? 'provider' : 'seeker';
+    const uniqueTags = [...new Set(tags)];
+    const unknownTags = uniqueTags.filter(tag => !Review.REVIEW_TAGS[revieweeRole].includes(tag));
+    if (unknownTags.length > 0) {
+        throw new ClientError(`Unknown tags: ${unknownTags.join(', ')}`);
+    }
+
+    let review;
+    try {
+        review = await Review.create({
+            serviceRequest: request._id,
+            reviewer: reviewerId,
+            reviewee: isSeeker ? request.provider : request.seeker,
+            revieweeRole,
+            score,
+            comment,
+            tags: uniqueTags
+        });
+    } catch (error) {
+        // The unique index settles two submissions racing for the same request
+        if (error.code === 11000) {
+            throw new ClientError('You have already reviewed this request', 409);
+        }
+        if (error instanceof mongoose.Error.ValidationError) {
+            throw new ClientError(Object.values(error.errors)[0].message);
+        }
+        throw error;
+    }
+
+    const rating = await refreshUserRating(review.reviewee);
+
+    return { review, rating };
+};
+
+// Page through the reviews a user received, newest first, with their rating summary
+exports.listReviews = async (userId, { page, limit } = {}) => {
+    if (!mongoose.isValidObjectId(userId)) throw new ClientError('User not found', 404);
+
+    const user = await User.findById(userId).select('userName roles rating');
+    if (!user) throw new ClientError('User not found', 404);
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+
+    const [reviews, total] = await Promise.all([
+        Review.find({ reviewee: user._id })
+            .sort({ createdAt: -1 })
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize)
+            .populate('reviewer', 'userName')
+            .populate('serviceRequest', 'category'),
+        Review.countDocuments({ reviewee: user._id })
+    ]);
+
+    return {
+        user: { _id: user._id, userName: user.userName, roles: user.roles },
+        rating: user.rating,
+        reviews,
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        hasMore: pageNumber * pageSize < total
+    };
+};
+
+// Ids of the given requests that the user has already reviewed
+exports.findReviewedRequestIds = async (requestIds, reviewerId) => {
+    const reviews = await Review.find({ serviceRequest: { $in: requestIds }, reviewer: reviewerId }).select('serviceRequest');
+    return new Set(reviews.map(review => review.serviceRequest.toString()));
+};
+
+exports.refreshUserRating = refreshUserRating;
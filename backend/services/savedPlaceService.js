@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const User = require('../models/UserModel');
+const { SeekerLocation, MAX_SAVED_PLACES } = require('../models/LocationModel');
+const { ClientError } = require('../utils/ClientError');
+const { toCoordinates } = require('../utils/geo');
+
+// Turn save errors into messages the seeker can act on
+const translateSaveError = (error, label) => {
+    if (error.code === 11000) {
+        return new ClientError(`You already have a place called "${label}"`, 409);
+    }
+    if (error instanceof mongoose.Error.ValidationError) {
+        return new ClientError(Object.values(error.errors)[0].message);
+    }
+    return error;
+};
+
+const pointFrom = (location) => {
+    const coordinates = toCoordinates(location);
+    if (!coordinates) throw new ClientError('Invalid location');
+    return { type: 'Point', coordinates };
+};
+
+// Take one of the seeker's MAX_SAVED_PLACES slots. The check and the increment are one
+// update, so two places saved at the same time cannot both take the last slot.
+const reservePlace = async (seekerId) => {
+    if (!(await User.exists({ _id: seekerId, savedPlaceCount: { $exists: true } }))) {
+        const count = await SeekerLocation.countDocuments({ seeker: seekerId });
+        await User.updateOne({ _id: seekerId, savedPlaceCount: { $exists: false } }, { savedPlaceCount: count });
+    }
+
+    const { modifiedCount } = await User.updateOne(
+        { _id: seekerId, savedPlaceCount: { $lt: MAX_SAVED_PLACES } },
+        { $inc: { savedPlaceCount: 1 } }
+    );
+    if (modifiedCount === 0) {
+        throw new ClientError(`You can save up to ${MAX_SAVED_PLACES} places`);
+    }
+};
+
+const releasePlace = (seekerId) =>
+    User.updateOne({ _id: seekerId, savedPlaceCount: { $gt: 0 } }, { $inc: { savedPlaceCount: -1 } });
+
+exports.listPlaces = (seekerId) =>
+    SeekerLocation.find({ seeker: seekerId }).collation({ locale: 'en', strength: 2 }).sort({ label: 1 });
+
+// Load one of the seeker's places; other seekers' places are reported as not found
+const findPlace = async (seekerId, placeId) => {
+    const place = mongoose.isValidObjectId(placeId)
+        ? await SeekerLocation.findOne({ _id: placeId, seeker: seekerId })
+        : null;
+    if (!place) throw new ClientError('Saved place not found', 404);
+    return place;
+};
+exports.findPlace = findPlace;
+
+exports.createPlace = async (seekerId, { label, location, formattedAddress, accessNotes }) => {
+    const point = pointFrom(location);
+    await reservePlace(seekerId);
+
+    try {
+        return await SeekerLocation.create({
+            seeker: seekerId,
+            label,
+            location: point,
+            formattedAddress,
+            accessNotes
+        });
+    } catch (error) {
+        await releasePlace(seekerId);
+        throw translateSaveError(error, label);
+    }
+};
+
+// Change a saved place; requests already made there keep the address they were made with
+exports.updatePlace = async (seekerId, placeId, { label, location, formattedAddress, accessNotes }) => {
+    const place = await findPlace(seekerId, placeId);
+
+    if (label !== undefined) place.label = label;
+    if (location !== undefined) place.location = pointFrom(location);
+    if (formattedAddress !== undefined) place.formattedAddress = formattedAddress;
+    if (accessNotes !== undefined) place.accessNotes = accessNotes;
+
+    try {
+        return await place.save();
+    } catch (error) {
+        throw translateSaveError(error, place.label);
+    }
+};
+
+exports.deletePlace = async (seekerId, placeId) => {
+    const place = await findPlace(seekerId, placeId);
+
+    // Only the request that actually deleted the place frees its slot
+    const { deletedCount } = await SeekerLocation.deleteOne({ _id: place._id });
+    if (deletedCount > 0) await releasePlace(seekerId);
+    return place;
+};
+
+// Where a new request happens: a saved place (copied into the request), or a point picked
+// on the map with an optional typed address
+exports.resolveRequestAddress = async (seekerId, { savedPlaceId, location, formattedAddress, accessNotes }) => {
+    if (savedPlaceId) {
+        const place = await findPlace(seekerId, savedPlaceId);
+        return {
+            location: { type: 'Point', coordinates: place.location.coordinates },
+            address: {
+                label: place.label,
+                formattedAddress: place.formattedAddress,
+                accessNotes: place.accessNotes,
+                savedPlace: place._id
+            }
+        };
+    }
+
+    const address = formattedAddress || accessNotes ? { formattedAddress, accessNotes } : undefined;
+    return { location: pointFrom(location), address };
+};
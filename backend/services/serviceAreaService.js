@@ -0,0 +1,235 @@
+const User = require('../models/UserModel');
+const { ClientError } = require('../utils/ClientError');
+const { EARTH_RADIUS_METERS, DEFAULT_RADIUS_METERS, toCoordinates } = require('../utils/geo');
+
+const MAX_SERVICE_AREAS = 5;
+const MAX_AREA_VERTICES = 200;
+const MAX_WEEKLY_SLOTS = 28;
+const MAX_EXCEPTIONS = 50;
+
+// "HH:MM" from 00:00 to 24:00
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+// A GeoJSON ring as [longitude, latitude] pairs, closed (first position repeated at the end)
+const normalizeRing = (ring, index) => {
+    if (!Array.isArray(ring)) throw new ClientError(`Service area ${index + 1} is not a valid polygon`);
+
+    const positions = ring.map(position => toCoordinates({ coordinates: position }));
+    if (positions.some(position => !position)) {
+        throw new ClientError(`Service area ${index + 1} has an invalid coordinate`);
+    }
+
+    const [first] = positions;
+    const last = positions[positions.length - 1];
+    if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+        positions.push(first);
+    }
+    if (positions.length < 4) {
+        throw new ClientError(`Service area ${index + 1} needs at least 3 corners`);
+    }
+    if (positions.length > MAX_AREA_VERTICES) {
+        throw new ClientError(`Service area ${index + 1} has more than ${MAX_AREA_VERTICES} corners`);
+    }
+    return positions;
+};
+
+// Validate service areas given as { name, area: GeoJSON Polygon }
+const normalizeServiceAreas = (areas) => {
+    if (!Array.isArray(areas)) throw new ClientError('Service areas must be a list');
+    if (areas.length > MAX_SERVICE_AREAS) {
+        throw new ClientError(`You can define up to ${MAX_SERVICE_AREAS} service areas`);
+    }
+
+    return areas.map((item, index) => {
+        const area = item && item.area;
+        if (!area || area.type !== 'Polygon' || !Array.isArray(area.coordinates) || area.coordinates.length === 0) {
+            throw new ClientError(`Service area ${index + 1} must be a GeoJSON Polygon`);
+        }
+
+        return {
+            name: typeof item.name === 'string' ? item.name : undefined,
+            area: { type: 'Polygon', coordinates: area.coordinates.map(ring => normalizeRing(ring, index)) }
+        };
+    });
+};
+
+const assertTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+        throw new ClientError(`Unknown time zone: ${timezone}`);
+    }
+};
+
+// Validate working hours ({ timezone, weekly: [{ day, start, end }], exceptions: [{ start, end, note }] }).
+// Exceptions that are already over are dropped.
+const normalizeWorkingHours = ({ timezone = 'UTC', weekly = [], exceptions = [] } = {}) => {
+    assertTimezone(timezone);
+
+    if (!Array.isArray(weekly) || weekly.length > MAX_WEEKLY_SLOTS) {
+        throw new ClientError(`Weekly hours must be a list of at most ${MAX_WEEKLY_SLOTS} time slots`);
+    }
+    const slots = weekly.map(({ day, start, end } = {}) => {
+        if (!Number.isInteger(day) || day < 0 || day > 6) {
+            throw new ClientError('Weekly hours: day must be 0 (Sunday) to 6 (Saturday)');
+        }
+        if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end) || toMinutes(start) >= toMinutes(end)) {
+            throw new ClientError('Weekly hours: each slot needs a start and a later end as HH:MM');
+        }
+        return { day, start, end };
+    });
+
+    if (!Array.isArray(exceptions) || exceptions.length > MAX_EXCEPTIONS) {
+        throw new ClientError(`Exceptions must be a list of at most ${MAX_EXCEPTIONS} periods`);
+    }
+    const now = new Date();
+    const periods = exceptions
+        .map(({ start, end, note } = {}) => {
+            const startDate = new Date(start);
+            const endDate = new Date(end);
+            if (Number.isNaN(startDate.getTime()) || Number.isNaN(endDate.getTime()) || startDate >= endDate) {
+                throw new ClientError('Exceptions: each period needs a start and a later end');
+            }
+            return { start: startDate, end: endDate, note };
+        })
+        .filter(period => period.end > now);
+
+    return { timezone, weekly: slots, exceptions: periods };
+};
+
+// Day of the week (0 = Sunday) and minutes since midnight of `date` in `timezone`
+const localTime = (date, timezone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const part = (type) => parts.find(item => item.type === type).value;
+
+    return {
+        day: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(part('weekday')),
+        minutes: Number(part('hour')) * 60 + Number(part('minute'))
+    };
+};
+
+// Whether a provider with these working hours takes work at `date`
+const isWorkingAt = (workingHours, date = new Date()) => {
+    if (!workingHours) return true;
+
+    const exceptions = workingHours.exceptions || [];
+    if (exceptions.some(period => period.start <= date && date < period.end)) return false;
+
+    const weekly = workingHours.weekly || [];
+    if (weekly.length === 0) return true;
+
+    const { day, minutes } = localTime(date, workingHours.timezone || 'UTC');
+    return weekly.some(slot => slot.day === day && toMinutes(slot.start) <= minutes && minutes < toMinutes(slot.end));
+};
+
+// When the work on a request happens: now, or at the start of its booked window
+const serviceTime = (request) =>
+    (request.scheduledWindow && request.scheduledWindow.start ? new Date(request.scheduledWindow.start) : new Date());
+
+const hasServiceAreas = (provider) => Array.isArray(provider.serviceAreas) && provider.serviceAreas.length > 0;
+
+// Condition on a request's `location` for it to fall inside the provider's areas
+// (null when the provider has none and is matched on a radius instead)
+const requestAreaFilter = (provider) => {
+    if (!hasServiceAreas(provider)) return null;
+
+    return {
+        $geoWithin: {
+            $geometry: { type: 'MultiPolygon', coordinates: provider.serviceAreas.map(item => item.area.coordinates) }
+        }
+    };
+};
+
+// Condition on providers for them to serve a request's location: inside one of their areas,
+// or within the default radius of their location when they have no areas
+const providersServingFilter = (request) => ({
+    $or: [
+        { 'serviceAreas.area': { $geoIntersects: { $geometry: { type: 'Point', coordinates: request.location.coordinates } } } },
+        {
+            'serviceAreas.0': { $exists: false },
+            location: {
+                $geoWithin: {
+                    $centerSphere: [request.location.coordinates, DEFAULT_RADIUS_METERS / EARTH_RADIUS_METERS]
+                }
+            }
+        }
+    ]
+});
+
+// Condition on providers for them to be matched with a request: a verified email, a skill on
+// the request's category path and a service area (or radius) covering it
+const eligibleProvidersFilter = (request) => ({
+    emailVerified: true,
+    skills: { $in: request.categoryPath },
+    ...providersServingFilter(request)
+});
+
+// Whether a provider can take on a request: eligible as above and working at the time it is for
+const isEligibleProvider = async (request, providerId) => {
+    const provider = await User.findOne({ _id: providerId, ...eligibleProvidersFilter(request) }).select('workingHours');
+    return Boolean(provider) && isWorkingAt(provider.workingHours, serviceTime(request));
+};
+
+const findProvider = async (providerId, fields) => {
+    const provider = await User.findById(providerId).select(`roles ${fields}`);
+    if (!provider) throw new ClientError('User not found', 404);
+    if (!provider.roles.includes('provider')) throw new ClientError('Only providers have service areas and working hours', 403);
+    return provider;
+};
+
+const getAvailability = async (providerId) => {
+    const provider = await findProvider(providerId, 'serviceAreas workingHours');
+    return {
+        serviceAreas: provider.serviceAreas || [],
+        workingHours: provider.workingHours || null,
+        workingNow: isWorkingAt(provider.workingHours)
+    };
+};
+
+const setServiceAreas = async (providerId, areas) => {
+    const provider = await findProvider(providerId, 'serviceAreas');
+    provider.serviceAreas = normalizeServiceAreas(areas);
+
+    try {
+        await provider.save();
+    } catch (error) {
+        // MongoDB rejects polygons it cannot index, e.g. ones whose edges cross
+        if (error.code === 16755) {
+            throw new ClientError('A service area is not a valid polygon (its edges may cross)');
+        }
+        throw error;
+    }
+    return getAvailability(providerId);
+};
+
+const setWorkingHours = async (providerId, workingHours) => {
+    const provider = await findProvider(providerId, 'workingHours');
+    provider.workingHours = normalizeWorkingHours(workingHours);
+    await provider.save();
+    return getAvailability(providerId);
+};
+
+module.exports = {
+    MAX_SERVICE_AREAS,
+    isWorkingAt,
+    serviceTime,
+    hasServiceAreas,
+    requestAreaFilter,
+    providersServingFilter,
+    eligibleProvidersFilter,
+    isEligibleProvider,
+    getAvailability,
+    setServiceAreas,
+    setWorkingHours
+};
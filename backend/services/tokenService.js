@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/UserModel');
+const RefreshToken = require('../models/RefreshTokenModel');
+const RevokedToken = require('../models/RevokedTokenModel');
+const EventTicket = require('../models/EventTicketModel');
+const { ClientError } = require('../utils/ClientError');
+
+const ACCESS_TOKEN_TTL_MINUTES = Number(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const EVENT_TICKET_TTL_SECONDS = 30;
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+
+// Two tabs sharing one refresh token may both try to rotate it; a token reused
+// within this window is rejected without treating it as stolen
+const REUSE_GRACE_MS = 10 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const randomToken = () => crypto.randomBytes(48).toString('base64url');
+
+// Sign a short-lived access token; `role` is the user's active role and the jti lets
+// a single token be revoked
+const signAccessToken = (user) => jwt.sign(
+    { user: { id: user.id, role: user.activeRole, roles: user.roles } },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60, jwtid: crypto.randomUUID() }
+);
+
+// Store a new refresh token for the user; a new login starts a new family
+const issueRefreshToken = async (userId, family = crypto.randomUUID()) => {
+    const token = randomToken();
+    await RefreshToken.create({
+        user: userId,
+        tokenHash: hashToken(token),
+        family,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+    return token;
+};
+
+// Access and refresh token returned by login and register
+const issueTokens = async (user) => ({
+    token: signAccessToken(user),
+    refreshToken: await issueRefreshToken(user.id)
+});
+
+// Exchange a refresh token for a new access token and a new refresh token
+const rotateRefreshToken = async (refreshToken) => {
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+        throw new ClientError('Refresh token is required', 401);
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const now = new Date();
+
+    // Retire the token atomically so two concurrent refreshes cannot both rotate it
+    const current = await RefreshToken.findOneAndUpdate(
+        { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        { revokedAt: now },
+        { new: true }
+    );
+
+    if (!current) {
+        const reused = await RefreshToken.findOne({ tokenHash, revokedAt: { $ne: null } });
+        if (reused && now - reused.revokedAt > REUSE_GRACE_MS) {
+            // A rotated token presented again has leaked: end the whole session
+            await RefreshToken.updateMany({ family: reused.family, revokedAt: null }, { revokedAt: now });
+        }
+        throw new ClientError('Refresh token is not valid', 401);
+    }
+
+    const user = await User.findById(current.user).select('roles activeRole suspendedAt');
+    if (!user) throw new ClientError('Refresh token is not valid', 401);
+    if (user.suspendedAt) throw new ClientError('Your account has been suspended', 403);
+
+    const nextToken = await issueRefreshToken(user.id, current.family);
+    await RefreshToken.updateOne({ _id: current._id }, { replacedBy: hashToken(nextToken) });
+
+    return { user, token: signAccessToken(user), refreshToken: nextToken };
+};
+
+// Revoke the session a refresh token belongs to (every token of its family)
+const revokeRefreshToken = async (refreshToken, userId) => {
+    if (typeof refreshToken !== 'string' || !refreshToken) return;
+
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken), user: userId }).select('family');
+    if (!stored) return;
+
+    await RefreshToken.updateMany({ family: stored.family, revokedAt: null }, { revokedAt: new Date() });
+};
+
+// Reject a single access token until it would have expired
+const revokeAccessToken = async (decoded) => {
+    if (!decoded.jti) return;
+
+    await RevokedToken.updateOne(
+        { jti: decoded.jti },
+        { $setOnInsert: { user: decoded.user.id, expiresAt: new Date(decoded.exp * 1000) } },
+        { upsert: true }
+    );
+};
+
+// Log a user out everywhere: revoke every refresh token and every access token issued so far
+const revokeAllForUser = async (userId) => {
+    const now = Date.now();
+
+    await RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date(now) });
+    await RevokedToken.create({
+        user: userId,
+        // `iat` has one-second precision, so the cutoff is rounded down to match it and
+        // compared inclusively: tokens issued earlier in the same second are revoked too
+        issuedBefore: new Date(Math.floor(now / 1000) * 1000),
+        expiresAt: new Date(now + ACCESS_TOKEN_TTL_MINUTES * 60 * 1000)
+    });
+};
+
+// Whether the access token issued to `userId` at `issuedAt` (with id `jti`) has been revoked
+const isAccessTokenRevoked = async ({ userId, jti, issuedAt }) => {
+    const conditions = [{ user: userId, issuedBefore: { $gte: issuedAt } }];
+    if (jti) {
+        conditions.push({ jti });
+    }
+
+    return Boolean(await RevokedToken.exists({ $or: conditions }));
+};
+
+// Verify an access token and make sure it has not been revoked; returns the decoded payload
+const verifyAccessToken = async (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!decoded.user) throw new ClientError('Token is not valid', 401); // e.g. an email verification token
+
+    if (await isAccessTokenRevoked({ userId: decoded.user.id, jti: decoded.jti, issuedAt: new Date(decoded.iat * 1000) })) {
+        throw new ClientError('Token has been revoked', 401);
+    }
+
+    return decoded;
+};
+
+// Issue a single-use ticket for opening the SSE stream, bound to the access token
+// (decoded payload) it was requested with
+const createEventTicket = async (auth) => {
+    const ticket = randomToken();
+    const expiresAt = new Date(Date.now() + EVENT_TICKET_TTL_SECONDS * 1000);
+
+    await EventTicket.create({
+        ticketHash: hashToken(ticket),
+        user: auth.user.id,
+        tokenId: auth.jti,
+        tokenIssuedAt: new Date(auth.iat * 1000),
+        tokenExpiresAt: new Date(auth.exp * 1000),
+        expiresAt
+    });
+    return { ticket, expiresAt };
+};
+
+// Use up a ticket; returns the user and access token it was issued for
+// ({ userId, jti, issuedAt, expiresAt }), or null
+const consumeEventTicket = async (ticket) => {
+    if (typeof ticket !== 'string' || !ticket) return null;
+
+    const stored = await EventTicket.findOneAndDelete({ ticketHash: hashToken(ticket), expiresAt: { $gt: new Date() } });
+    if (!stored) return null;
+
+    const session = {
+        userId: stored.user.toString(),
+        jti: stored.tokenId,
+        issuedAt: stored.tokenIssuedAt,
+        expiresAt: stored.tokenExpiresAt
+    };
+    // The token may have been revoked or run out since the ticket was issued
+    if (session.expiresAt <= new Date() || await isAccessTokenRevoked(session)) return null;
+    return session;
+};
+
+// Reset tokens are signed with a key derived from the current password hash, so a
+// token stops working as soon as the password changes (single use)
+const passwordResetKey = (user) => `${process.env.JWT_SECRET}:${user.password}`;
+
+const signPasswordResetToken = (user) => jwt.sign(
+    { sub: user.id, purpose: 'password-reset' },
+    passwordResetKey(user),
+    { expiresIn: PASSWORD_RESET_TTL_MINUTES * 60 }
+);
+
+// Returns the user a reset token was issued to; throws a ClientError when it is invalid, expired or used
+const verifyPasswordResetToken = async (token) => {
+    const invalid = new ClientError('Reset link is invalid or has expired');
+    const claims = typeof token === 'string' ? jwt.decode(token) : null;
+    if (!claims || claims.purpose !== 'password-reset' || !mongoose.isValidObjectId(claims.sub)) throw invalid;
+
+    const user = await User.findById(claims.sub);
+    if (!user) throw invalid;
+
+    try {
+        jwt.verify(token, passwordResetKey(user));
+    } catch (err) {
+        throw invalid;
+    }
+    return user;
+};
+
+// Verification tokens name the address they were sent to, so changing the email
+// invalidates them; verifying is a no-op the second time
+const signEmailVerificationToken = (user) => jwt.sign(
+    { sub: user.id, email: user.email, purpose: 'verify-email' },
+    process.env.JWT_SECRET,
+    { expiresIn: EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 }
+);
+
+// Returns the { userId, email } a verification token was issued for
+const verifyEmailVerificationToken = (token) => {
+    try {
+        const claims = jwt.verify(token, process.env.JWT_SECRET);
+        if (claims.purpose !== 'verify-email') throw new Error('Wrong token purpose');
+        return { userId: claims.sub, email: claims.email };
+    } catch (err) {
+        throw new ClientError('Verification link is invalid or has expired');
+    }
+};
+
+module.exports = {
+    ACCESS_TOKEN_TTL_MINUTES,
+    signAccessToken,
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeAccessToken,
+    revokeAllForUser,
+    isAccessTokenRevoked,
+    verifyAccessToken,
+    createEventTicket,
+    consumeEventTicket,
+    signPasswordResetToken,
+    verifyPasswordResetToken,
+    signEmailVerificationToken,
+    verifyEmailVerificationToken
+};
@@ -0,0 +1,73 @@
+const { Server } = require('socket.io');
+const User = require('../models/UserModel');
+const ServiceRequest = require('../models/ServiceRequestModel');
+const registerHandlers = require('./socketHandlers');
+const { verifyAccessToken } = require('../services/tokenService');
+const { FINAL_STATUSES } = require('../services/requestLifecycleService');
+const { setIO, userRoom, requestRoom } = require('./io');
+
+// Verify the access token sent in the handshake (`auth: { token }`), reject revoked tokens
+// and attach the user to the socket
+const authenticate = async (socket, next) => {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    if (!token) {
+        return next(new Error('Not authorized: no auth token'));
+    }
+
+    try {
+        const decoded = await verifyAccessToken(token);
+        const user = await User.findById(decoded.user.id).select('userName suspendedAt');
+        if (!user) {
+            return next(new Error('Not authorized: user not found'));
+        }
+        if (user.suspendedAt) {
+            return next(new Error('Not authorized: account suspended'));
+        }
+
+        socket.user = { id: user.id, role: decoded.user.role, userName: user.userName };
+        next();
+    } catch (err) {
+        console.error('Socket auth error:', err.message);
+        next(new Error('Not authorized: auth token is not valid'));
+    }
+};
+
+// Join the user's personal room and the rooms of the requests they are part of
+const joinRooms = async (socket) => {
+    const userId = socket.user.id;
+    socket.join(userRoom(userId));
+
+    const openRequests = await ServiceRequest.find({
+        $or: [{ seeker: userId }, { provider: userId }],
+        status: { $nin: ['completed', ...FINAL_STATUSES] }
+    }).select('_id');
+
+    openRequests.forEach(request => socket.join(requestRoom(request._id.toString())));
+};
+
+// Attach Socket.IO to the HTTP server
+const initSocket = (server, allowedOrigins) => {
+    const io = new Server(server, {
+        cors: {
+            origin: allowedOrigins,
+            credentials: true
+        }
+    });
+
+    io.use(authenticate);
+
+    io.on('connection', (socket) => {
+        registerHandlers(socket);
+
+        socket.on('disconnect', (reason) => {
+            console.log(`Socket ${socket.id} disconnected: ${reason}`);
+        });
+
+        joinRooms(socket).catch(err => console.error('Error joining socket rooms:', err));
+    });
+
+    setIO(io);
+    return io;
+};
+
+module.exports = { initSocket };
@@ -0,0 +1,83 @@
+// Holds the Socket.IO server instance so controllers can push events
+// without requiring the socket setup (and creating a require cycle)
+let io = null;
+
+const userRoom = (userId) => `user:${userId}`;
+const requestRoom = (requestId) => `request:${requestId}`;
+
+// Accept either an ObjectId or a populated document
+const idOf = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+const setIO = (instance) => {
+    io = instance;
+};
+
+const getIO = () => io;
+
+// Emit an event to every socket of a user
+const emitToUser = (userId, event, data) => {
+    if (!io || !userId) return;
+    io.to(userRoom(idOf(userId))).emit(event, data);
+};
+
+// Emit an event to both parties of a service request
+const emitToRequest = (requestId, event, data) => {
+    if (!io || !requestId) return;
+    io.to(requestRoom(idOf(requestId))).emit(event, data);
+};
+
+// Subscribe all sockets of a user to a request room (e.g. after a provider accepts)
+const joinRequestRoom = (userId, requestId) => {
+    if (!io || !userId || !requestId) return;
+    io.in(userRoom(idOf(userId))).socketsJoin(requestRoom(idOf(requestId)));
+};
+
+// Unsubscribe all sockets of a user from a request room (e.g. after a provider withdraws)
+const leaveRequestRoom = (userId, requestId) => {
+    if (!io || !userId || !requestId) return;
+    io.in(userRoom(idOf(userId))).socketsLeave(requestRoom(idOf(requestId)));
+};
+
+// Drop every socket of a user (e.g. after their tokens were revoked)
+const disconnectUser = (userId) => {
+    if (!io || !userId) return;
+    io.in(userRoom(idOf(userId))).disconnectSockets(true);
+};
+
+// Strip fields that must never be broadcast (the seeker receives the PIN via pinGenerated,
+// attachments are fetched through the API)
+const serializeRequest = (request) => {
+    const data = typeof request.toObject === 'function' ? request.toObject() : { ...request };
+    delete data.pinHash;
+    if (Array.isArray(data.attachments)) {
+        data.attachments = data.attachments.map(({ storageKey, thumbnailKey, ...attachment }) => attachment);
+    }
+    return data;
+};
+
+// Notify both parties that a service request changed
+const emitRequestUpdate = (request) => {
+    if (!io || !request) return;
+    const data = serializeRequest(request);
+
+    const rooms = [requestRoom(idOf(request)), userRoom(idOf(request.seeker))];
+    if (request.provider) {
+        rooms.push(userRoom(idOf(request.provider)));
+    }
+    io.to(rooms).emit('requestUpdated', data);
+};
+
+module.exports = {
+    userRoom,
+    requestRoom,
+    idOf,
+    setIO,
+    getIO,
+    emitToUser,
+    emitToRequest,
+    joinRequestRoom,
+    leaveRequestRoom,
+    disconnectUser,
+    serializeRequest,
+    emitRequestUpdate
+};
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const ServiceRequest = require('../models/ServiceRequestModel');
+const chatService = require('../services/chatService');
+const providerLocationService = require('../services/providerLocationService');
+const { ClientError } = require('../utils/ClientError');
+const { requestRoom, emitRequestUpdate } = require('./io');
+
+// Wrap a handler so failures are reported to the client instead of crashing the socket.
+// Replies go through the acknowledgement callback when the client passes one,
+// otherwise errors are pushed as a `serverError` event.
+const handle = (socket, handler) => async (payload, ack) => {
+    try {
+        const result = await handler(payload || {});
+        if (typeof ack === 'function') ack({ success: true, ...result });
+    } catch (error) {
+        const expose = error instanceof ClientError;
+        if (!expose) {
+            console.error('Socket handler error:', error);
+        }
+        const message = expose ? error.message : 'Server error';
+        if (typeof ack === 'function') {
+            ack({ success: false, message });
+        } else {
+            socket.emit('serverError', { message });
+        }
+    }
+};
+
+// Load a request and make sure the socket user is its seeker or provider
+const findRequestForParty = async (requestId, userId) => {
+    if (!mongoose.isValidObjectId(requestId)) throw new ClientError('Service request not found', 404);
+
+    const request = await ServiceRequest.findById(requestId);
+    if (!request) throw new ClientError('Service request not found', 404);
+
+    const isSeeker = request.seeker.toString() === userId;
+    const isProvider = request.provider && request.provider.toString() === userId;
+    if (!isSeeker && !isProvider) {
+        throw new ClientError('Not authorized to access this request', 403);
+    }
+
+    return request;
+};
+
+module.exports = (socket) => {
+    const userId = socket.user.id;
+
+    // Provider shares their live position; stored and forwarded to the seekers in range
+    socket.on('updateLocation', handle(socket, async ({ location, accuracy, heading, speed }) => {
+        if (socket.user.role !== 'provider') {
+            throw new ClientError('Only providers can share their location');
+        }
+
+        const { throttled } = await providerLocationService.recordProviderLocation(userId, {
+            location, accuracy, heading, speed
+        });
+        return { throttled };
+    }));
+
+    // Seeker asks for online providers around a point (radius in meters)
+    socket.on('findNearbyProviders', handle(socket, async ({ location, radius }) => {
+        const nearby = await providerLocationService.findNearbyProviders(location, radius);
+
+        socket.emit('nearbyProvidersUpdate', { providers: nearby });
+        return { count: nearby.length };
+    }));
+
+    // Status changes happen over REST; this re-broadcasts the persisted state to both parties
+    socket.on('requestStatusUpdate', handle(socket, async ({ requestId }) => {
+        const request = await findRequestForParty(requestId, userId);
+        socket.join(requestRoom(request._id.toString()));
+        emitRequestUpdate(request);
+
+        return { status: request.status };
+    }));
+
+    socket.on('sendMessage', handle(socket, async ({ chatId, content }) => {
+        const chat = await chatService.findChatForUser(chatId, userId);
+        const message = await chatService.postMessage(chat, { id: userId, userName: socket.user.userName }, content);
+
+        return { message };
+    }));
+
+    socket.on('markMessagesRead', handle(socket, async ({ chatId }) => {
+        const chat = await chatService.findChatForUser(chatId, userId);
+        const messageIds = await chatService.markRead(chat, userId);
+
+        return { count: messageIds.length };
+    }));
+};
@@ -0,0 +1,91 @@
+const User = require('../models/UserModel');
+const ServiceRequest = require('../models/ServiceRequestModel');
+const { acceptRequest } = require('../controllers/serviceRequestController');
+const { useTestDatabase, createSeeker, createProvider, createPendingRequest } = require('./helpers/db');
+const { mockResponse } = require('./helpers/http');
+
+const PROVIDER_COUNT = 8;
+
+useTestDatabase(ServiceRequest);
+
+const accept = async (providerId, requestId) => {
+    const res = mockResponse();
+    await acceptRequest({ params: { id: requestId.toString() }, user: { id: providerId.toString(), role: 'provider' } }, res);
+    return res;
+};
+
+describe('acceptRequest', () => {
+    let seeker;
+
+    beforeEach(async () => {
+        seeker = await createSeeker();
+    });
+
+    it('lets exactly one of many concurrent providers win', async () => {
+        const request = await createPendingRequest(seeker);
+        const providers = await Promise.all(
+            Array.from({ length: PROVIDER_COUNT }, (_, index) => createProvider(index))
+        );
+
+        const responses = await Promise.all(providers.map(provider => accept(provider._id, request._id)));
+
+        const winners = responses.filter(res => res.statusCode === 200);
+        const losers = responses.filter(res => res.statusCode === 409);
+        expect(winners).toHaveLength(1);
+        expect(losers).toHaveLength(PROVIDER_COUNT - 1);
+
+        const winnerId = winners[0].body.request.provider.toString();
+
+        // Every loser is told who holds the request now
+        losers.forEach(res => {
+            expect(res.body.request.status).toBe('accepted');
+            expect(res.body.request.provider.toString()).toBe(winnerId);
+            expect(res.body.request.pinHash).toBeUndefined();
+        });
+
+        const stored = await ServiceRequest.findById(request._id);
+        expect(stored.status).toBe('accepted');
+        expect(stored.provider.toString()).toBe(winnerId);
+        expect(stored.history.filter(item => item.status === 'accepted')).toHaveLength(1);
+
+        const statuses = await User.find({ roles: 'provider' }).select('status');
+        expect(statuses).toHaveLength(PROVIDER_COUNT);
+        statuses.forEach(provider => {
+            expect(provider.status).toBe(provider.id === winnerId ? 'in-progress' : 'online');
+        });
+    });
+
+    it('lets a provider racing on two requests win only one of them', async () => {
+        const [first, second] = await Promise.all([createPendingRequest(seeker), createPendingRequest(seeker)]);
+        const provider = await createProvider(0);
+
+        const responses = await Promise.all([accept(provider._id, first._id), accept(provider._id, second._id)]);
+
+        expect(responses.map(res => res.statusCode).sort()).toEqual([200, 409]);
+
+        // The losing claim is rolled back so other providers can still take it
+        const requests = await ServiceRequest.find({ _id: { $in: [first._id, second._id] } });
+        expect(requests.map(request => request.status).sort()).toEqual(['accepted', 'pending']);
+
+        const pending = requests.find(request => request.status === 'pending');
+        expect(pending.provider).toBeUndefined();
+        expect(pending.history).toHaveLength(0);
+
+        const stored = await User.findById(provider._id);
+        expect(stored.status).toBe('in-progress');
+    });
+
+    it('returns 409 for a request that has already expired', async () => {
+        const request = await createPendingRequest(seeker);
+        await ServiceRequest.updateOne({ _id: request._id }, { expirationTime: new Date(Date.now() - 1000) });
+        const provider = await createProvider(0);
+
+        const res = await accept(provider._id, request._id);
+
+        expect(res.statusCode).toBe(409);
+        expect(res.body.message).toBe('Request has expired');
+
+        const stored = await User.findById(provider._id);
+        expect(stored.status).toBe('online');
+    });
+});
@@ -0,0 +1,90 @@
+const AdminAuditLog = require('../models/AdminAuditLogModel');
+const User = require('../models/UserModel');
+const adminService = require('../services/adminService');
+const tokenService = require('../services/tokenService');
+const { useTestDatabase, createSeeker } = require('./helpers/db');
+
+useTestDatabase(AdminAuditLog);
+
+const IMMUTABLE = /immutable/;
+
+describe('admin audit log', () => {
+    let admin;
+    let user;
+
+    beforeEach(async () => {
+        admin = await createSeeker({ userName: 'Admin', email: 'admin@example.com', roles: ['seeker', 'admin'] });
+        user = await createSeeker();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const createEntry = () => AdminAuditLog.create({
+        admin: admin._id,
+        action: 'suspend-user',
+        targetType: 'User',
+        targetId: user._id,
+        reason: 'Spam'
+    });
+
+    it('refuses updates to an entry', async () => {
+        const entry = await createEntry();
+
+        await expect(AdminAuditLog.updateOne({ _id: entry._id }, { reason: 'Edited' })).rejects.toThrow(IMMUTABLE);
+        await expect(AdminAuditLog.updateMany({}, { reason: 'Edited' })).rejects.toThrow(IMMUTABLE);
+        await expect(AdminAuditLog.findOneAndUpdate({ _id: entry._id }, { reason: 'Edited' })).rejects.toThrow(IMMUTABLE);
+        await expect(AdminAuditLog.replaceOne({ _id: entry._id }, { reason: 'Edited' })).rejects.toThrow(IMMUTABLE);
+
+        entry.action = 'unsuspend-user';
+        await expect(entry.save()).rejects.toThrow(IMMUTABLE);
+
+        const stored = await AdminAuditLog.findById(entry._id);
+        expect(stored.action).toBe('suspend-user');
+        expect(stored.reason).toBe('Spam');
+    });
+
+    it('refuses deleting entries', async () => {
+        const entry = await createEntry();
+
+        await expect(AdminAuditLog.deleteOne({ _id: entry._id })).rejects.toThrow(IMMUTABLE);
+        await expect(AdminAuditLog.deleteMany({})).rejects.toThrow(IMMUTABLE);
+        await expect(AdminAuditLog.findOneAndDelete({ _id: entry._id })).rejects.toThrow(IMMUTABLE);
+        await expect(entry.deleteOne()).rejects.toThrow(IMMUTABLE);
+
+        expect(await AdminAuditLog.countDocuments()).toBe(1);
+    });
+
+    it('logs an admin action that took effect', async () => {
+        await adminService.suspendUser({ id: admin.id }, user.id, 'Spam');
+
+        const entries = await AdminAuditLog.find();
+        expect(entries).toHaveLength(1);
+        expect(entries[0]).toMatchObject({ action: 'suspend-user', reason: 'Spam' });
+        expect(entries[0].targetId.toString()).toBe(user.id);
+    });
+
+    it('adds an action-failed entry when the logged action fails', async () => {
+        jest.spyOn(tokenService, 'revokeAllForUser').mockRejectedValue(new Error('Token store unavailable'));
+
+        await expect(adminService.suspendUser({ id: admin.id }, user.id, 'Spam')).rejects.toThrow('Token store unavailable');
+
+        const [logged, failed] = await AdminAuditLog.find().sort({ createdAt: 1, _id: 1 });
+        expect(logged.action).toBe('suspend-user');
+        expect(failed.action).toBe('action-failed');
+        expect(failed.details).toMatchObject({
+            action: 'suspend-user',
+            error: 'Token store unavailable'
+        });
+        expect(failed.details.entry.toString()).toBe(logged.id);
+    });
+
+    it('logs nothing for an action refused up front', async () => {
+        await User.updateOne({ _id: user._id }, { suspendedAt: new Date() });
+
+        await expect(adminService.suspendUser({ id: admin.id }, user.id, 'Spam')).rejects.toMatchObject({ status: 409 });
+
+        expect(await AdminAuditLog.countDocuments()).toBe(0);
+    });
+});
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const User = require('../../models/UserModel');
+const ServiceRequest = require('../../models/ServiceRequestModel');
+
+// The first run in CI downloads mongod, which takes far longer than jest's default 5 s
+const SETUP_TIMEOUT_MS = 120 * 1000;
+
+// Run the calling test file against an in-memory MongoDB, emptied after each test.
+// `models` have their indexes built first, for tests that rely on unique indexes.
+const useTestDatabase = (...models) => {
+    let mongoServer;
+
+    beforeAll(async () => {
+        mongoServer = await MongoMemoryServer.create();
+        await mongoose.connect(mongoServer.getUri());
+        await Promise.all(models.map(Model => Model.init()));
+    }, SETUP_TIMEOUT_MS);
+
+    afterAll(async () => {
+        await mongoose.disconnect();
+        if (mongoServer) await mongoServer.stop(); // Undefined when mongod could not be started
+    });
+
+    // Straight on the collections, so models that refuse deletes (the audit log) are emptied too
+    afterEach(async () => {
+        await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+    });
+};
+
+const createSeeker = (overrides = {}) => User.create({
+    userName: 'Seeker',
+    email: 'seeker@example.com',
+    password: 'secret123',
+    roles: ['seeker'],
+    activeRole: 'seeker',
+    ...overrides
+});
+
+const createProvider = (index, overrides = {}) => User.create({
+    userName: `Provider ${index}`,
+    email: `provider${index}@example.com`,
+    password: 'secret123',
+    roles: ['provider'],
+    activeRole: 'provider',
+    skills: ['Plumbing'],
+    location: { type: 'Point', coordinates: [77.5946, 12.9716] },
+    status: 'online',
+    ...overrides
+});
+
+const createPendingRequest = (seeker, overrides = {}) => ServiceRequest.create({
+    seeker: seeker._id,
+    category: 'Plumbing',
+    description: 'Leaking pipe',
+    contactNumber: '9876543210',
+    location: { type: 'Point', coordinates: [77.5946, 12.9716] },
+    duration: 30,
+    ...overrides
+});
+
+module.exports = { useTestDatabase, createSeeker, createProvider, createPendingRequest };
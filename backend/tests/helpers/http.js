@@ -0,0 +1,15 @@
+// Minimal Express response double that records what the controller sent
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn((code) => {
+        res.statusCode = code;
+        return res;
+    });
+    res.json = jest.fn((body) => {
+        res.body = body;
+        return res;
+    });
+    return res;
+};
+
+module.exports = { mockResponse };
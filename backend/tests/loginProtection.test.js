@@ -0,0 +1,123 @@
+const FailedLogin = require('../models/FailedLoginModel');
+const { createMemoryStore } = require('../services/limiterStore');
+const loginProtection = require('../services/loginProtectionService');
+
+const { WINDOW_MS, IP_MAX_FAILURES, ACCOUNT_MAX_FAILURES, LOCKOUT_MS } = loginProtection;
+
+// Longer than any progressive delay, so only the window and lockout limits apply
+const PAUSE_MS = 30 * 1000;
+
+let now;
+
+beforeEach(() => {
+    now = Date.UTC(2024, 0, 1);
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(FailedLogin, 'create').mockResolvedValue({});
+    loginProtection.setStore(createMemoryStore());
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const wait = (ms) => {
+    now += ms;
+};
+
+const attempt = (email = 'seeker@example.com', ip = '203.0.113.7') => ({ email, ip, userAgent: 'jest' });
+
+// A login with a wrong password, as the auth controller runs it
+const failLogin = async (login) => {
+    await loginProtection.assertLoginAllowed(login);
+    await loginProtection.recordFailedLogin(login, 'bad-password');
+};
+
+const auditedReasons = () => FailedLogin.create.mock.calls.map(([record]) => record.reason);
+
+describe('login protection', () => {
+    it('makes the caller wait longer after each failure past the free ones', async () => {
+        await failLogin(attempt());
+        await failLogin(attempt());
+
+        await expect(loginProtection.assertLoginAllowed(attempt())).rejects.toMatchObject({
+            status: 429,
+            details: { retryAfter: 1 }
+        });
+
+        wait(1000);
+        await expect(loginProtection.assertLoginAllowed(attempt())).resolves.toBeUndefined();
+    });
+
+    it('locks the account on the failure that reaches the threshold', async () => {
+        for (let failure = 1; failure < ACCOUNT_MAX_FAILURES; failure += 1) {
+            await failLogin(attempt());
+            wait(PAUSE_MS);
+        }
+
+        await expect(failLogin(attempt())).rejects.toMatchObject({
+            status: 429,
+            details: { retryAfter: LOCKOUT_MS / 1000 }
+        });
+
+        // Locked from any address, whatever the password, with the attempt audited
+        wait(PAUSE_MS);
+        await expect(loginProtection.assertLoginAllowed(attempt('Seeker@Example.com ', '198.51.100.1')))
+            .rejects.toMatchObject({ status: 429 });
+        expect(auditedReasons()).toContain('locked');
+    });
+
+    it('lifts the lockout once it has run out', async () => {
+        for (let failure = 0; failure < ACCOUNT_MAX_FAILURES; failure += 1) {
+            await failLogin(attempt()).catch(() => {});
+            wait(PAUSE_MS);
+        }
+
+        wait(LOCKOUT_MS);
+        await expect(loginProtection.assertLoginAllowed(attempt())).resolves.toBeUndefined();
+    });
+
+    it('forgets failures that have left the window', async () => {
+        for (let failure = 1; failure < ACCOUNT_MAX_FAILURES; failure += 1) {
+            await failLogin(attempt());
+            wait(PAUSE_MS);
+        }
+
+        wait(WINDOW_MS);
+
+        // As many failures again without a lockout
+        for (let failure = 1; failure < ACCOUNT_MAX_FAILURES; failure += 1) {
+            await expect(failLogin(attempt())).resolves.toBeUndefined();
+            wait(PAUSE_MS);
+        }
+    });
+
+    it('clears the account failures on a successful login', async () => {
+        for (let failure = 1; failure < ACCOUNT_MAX_FAILURES; failure += 1) {
+            await failLogin(attempt());
+            wait(PAUSE_MS);
+        }
+
+        await loginProtection.recordSuccessfulLogin(attempt());
+
+        await expect(failLogin(attempt())).resolves.toBeUndefined();
+    });
+
+    it('limits failures from one address across accounts until the window moves on', async () => {
+        for (let failure = 0; failure < IP_MAX_FAILURES; failure += 1) {
+            await failLogin(attempt(`user${failure}@example.com`));
+            wait(PAUSE_MS);
+        }
+
+        await expect(loginProtection.assertLoginAllowed(attempt('someone@example.com')))
+            .rejects.toMatchObject({ status: 429 });
+        expect(auditedReasons()).toContain('rate-limited');
+
+        // Another address is not affected
+        await expect(loginProtection.assertLoginAllowed(attempt('someone@example.com', '198.51.100.1')))
+            .resolves.toBeUndefined();
+
+        // Once the first failure ages out, the address may try again
+        wait(WINDOW_MS - IP_MAX_FAILURES * PAUSE_MS);
+        await expect(loginProtection.assertLoginAllowed(attempt('someone@example.com'))).resolves.toBeUndefined();
+    });
+});
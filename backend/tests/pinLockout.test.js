@@ -0,0 +1,94 @@
+const ServiceRequest = require('../models/ServiceRequestModel');
+const { completeRequest, regenerateRequestPin } = require('../controllers/serviceRequestController');
+const { generatePin, pinFields, MAX_PIN_ATTEMPTS } = require('../services/pinService');
+const { useTestDatabase, createSeeker, createProvider, createPendingRequest } = require('./helpers/db');
+const { mockResponse } = require('./helpers/http');
+
+useTestDatabase(ServiceRequest);
+
+const complete = async (provider, request, pin) => {
+    const res = mockResponse();
+    await completeRequest({
+        params: { id: request._id.toString() },
+        body: { pin },
+        user: { id: provider.id, role: 'provider' }
+    }, res);
+    return res;
+};
+
+// A PIN that is certainly not the issued one
+const wrongPin = (pin) => String((Number(pin) + 1) % 1000000).padStart(6, '0');
+
+describe('completion PIN', () => {
+    let seeker;
+    let provider;
+    let issued;
+    let request;
+
+    beforeEach(async () => {
+        seeker = await createSeeker();
+        provider = await createProvider(0, { status: 'in-progress' });
+        issued = await generatePin();
+        request = await createPendingRequest(seeker, {
+            status: 'in-progress',
+            provider: provider._id,
+            ...pinFields(issued)
+        });
+    });
+
+    it('counts down the attempts left on each wrong PIN', async () => {
+        const res = await complete(provider, request, wrongPin(issued.pin));
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.attemptsRemaining).toBe(MAX_PIN_ATTEMPTS - 1);
+    });
+
+    it('locks with 423 once the attempts are used up, even for the right PIN', async () => {
+        for (let attempt = 1; attempt < MAX_PIN_ATTEMPTS; attempt += 1) {
+            expect((await complete(provider, request, wrongPin(issued.pin))).statusCode).toBe(400);
+        }
+
+        const last = await complete(provider, request, wrongPin(issued.pin));
+        expect(last.statusCode).toBe(423);
+
+        const stored = await ServiceRequest.findById(request._id);
+        expect(stored.pinLockedAt).toBeInstanceOf(Date);
+        expect(stored.pinAttempts).toBe(MAX_PIN_ATTEMPTS);
+
+        const correct = await complete(provider, request, issued.pin);
+        expect(correct.statusCode).toBe(423);
+        expect((await ServiceRequest.findById(request._id)).status).toBe('in-progress');
+    });
+
+    it('never allows more than the maximum attempts when guesses race', async () => {
+        const guesses = Array.from({ length: MAX_PIN_ATTEMPTS * 2 }, () => complete(provider, request, wrongPin(issued.pin)));
+        const responses = await Promise.all(guesses);
+
+        expect(responses.filter(res => res.statusCode === 400)).toHaveLength(MAX_PIN_ATTEMPTS - 1);
+        expect(responses.filter(res => res.statusCode === 423)).toHaveLength(MAX_PIN_ATTEMPTS + 1);
+
+        const stored = await ServiceRequest.findById(request._id);
+        expect(stored.pinAttempts).toBe(MAX_PIN_ATTEMPTS);
+    });
+
+    it('lifts the lockout when the seeker issues a new PIN', async () => {
+        await ServiceRequest.updateOne({ _id: request._id }, { pinAttempts: MAX_PIN_ATTEMPTS, pinLockedAt: new Date() });
+
+        const regenerated = mockResponse();
+        await regenerateRequestPin({ params: { id: request._id.toString() }, user: { id: seeker.id, role: 'seeker' } }, regenerated);
+        expect(regenerated.statusCode).toBe(201);
+
+        const res = await complete(provider, request, wrongPin(regenerated.body.pin));
+        expect(res.statusCode).toBe(400);
+        expect(res.body.attemptsRemaining).toBe(MAX_PIN_ATTEMPTS - 1);
+    });
+
+    it('refuses an expired PIN with 410', async () => {
+        await ServiceRequest.updateOne({ _id: request._id }, { pinExpiresAt: new Date(Date.now() - 1000) });
+
+        const res = await complete(provider, request, issued.pin);
+
+        expect(res.statusCode).toBe(410);
+        expect((await ServiceRequest.findById(request._id)).status).toBe('in-progress');
+    });
+});
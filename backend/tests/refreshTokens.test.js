@@ -0,0 +1,86 @@
+const RefreshToken = require('../models/RefreshTokenModel');
+const tokenService = require('../services/tokenService');
+const { useTestDatabase, createSeeker } = require('./helpers/db');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+useTestDatabase(RefreshToken);
+
+// Move the retirement of every rotated token past the grace period for concurrent tabs
+const ageRotatedTokens = () => RefreshToken.updateMany(
+    { revokedAt: { $ne: null } },
+    { revokedAt: new Date(Date.now() - 60 * 1000) }
+);
+
+describe('refresh tokens', () => {
+    let user;
+
+    beforeEach(async () => {
+        user = await createSeeker();
+    });
+
+    it('rotates a refresh token into a new one and retires the old one', async () => {
+        const { refreshToken } = await tokenService.issueTokens(user);
+
+        const rotated = await tokenService.rotateRefreshToken(refreshToken);
+        expect(rotated.refreshToken).not.toBe(refreshToken);
+        expect(rotated.user.id).toBe(user.id);
+
+        // Presented again within the grace period: refused, but the session survives
+        await expect(tokenService.rotateRefreshToken(refreshToken)).rejects.toMatchObject({ status: 401 });
+        await expect(tokenService.rotateRefreshToken(rotated.refreshToken)).resolves.toHaveProperty('refreshToken');
+    });
+
+    it('revokes the whole family when a rotated token is replayed', async () => {
+        const { refreshToken: stolen } = await tokenService.issueTokens(user);
+        const { refreshToken: second } = await tokenService.rotateRefreshToken(stolen);
+        const { refreshToken: latest } = await tokenService.rotateRefreshToken(second);
+        await ageRotatedTokens();
+
+        await expect(tokenService.rotateRefreshToken(stolen)).rejects.toMatchObject({ status: 401 });
+
+        // The legitimate holder's current token is gone too
+        await expect(tokenService.rotateRefreshToken(latest)).rejects.toMatchObject({ status: 401 });
+        expect(await RefreshToken.countDocuments({ user: user._id, revokedAt: null })).toBe(0);
+    });
+
+    it('leaves other sessions of the user alone on a replay', async () => {
+        const { refreshToken: stolen } = await tokenService.issueTokens(user);
+        const { refreshToken: otherDevice } = await tokenService.issueTokens(user);
+        await tokenService.rotateRefreshToken(stolen);
+        await ageRotatedTokens();
+
+        await expect(tokenService.rotateRefreshToken(stolen)).rejects.toMatchObject({ status: 401 });
+        await expect(tokenService.rotateRefreshToken(otherDevice)).resolves.toHaveProperty('refreshToken');
+    });
+
+    it('ends the session on logout', async () => {
+        const { refreshToken } = await tokenService.issueTokens(user);
+        const { refreshToken: rotated } = await tokenService.rotateRefreshToken(refreshToken);
+
+        await tokenService.revokeRefreshToken(refreshToken, user.id);
+
+        await expect(tokenService.rotateRefreshToken(rotated)).rejects.toMatchObject({ status: 401 });
+    });
+
+    it('revokes every refresh and access token on logout everywhere', async () => {
+        const { token, refreshToken } = await tokenService.issueTokens(user);
+        await expect(tokenService.verifyAccessToken(token)).resolves.toHaveProperty('jti');
+
+        // Usually issued in the same second as the cutoff, which is compared inclusively
+        await tokenService.revokeAllForUser(user.id);
+
+        await expect(tokenService.verifyAccessToken(token)).rejects.toMatchObject({ status: 401 });
+        await expect(tokenService.rotateRefreshToken(refreshToken)).rejects.toMatchObject({ status: 401 });
+    });
+
+    it('rejects a single revoked access token and keeps the others', async () => {
+        const first = tokenService.signAccessToken(user);
+        const second = tokenService.signAccessToken(user);
+
+        await tokenService.revokeAccessToken(await tokenService.verifyAccessToken(first));
+
+        await expect(tokenService.verifyAccessToken(first)).rejects.toMatchObject({ status: 401 });
+        await expect(tokenService.verifyAccessToken(second)).resolves.toHaveProperty('jti');
+    });
+});
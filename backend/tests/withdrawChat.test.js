@@ -0,0 +1,44 @@
+const User = require('../models/UserModel');
+const ServiceRequest = require('../models/ServiceRequestModel');
+const Chat = require('../models/ChatModel');
+const { assignRequest, withdrawFromRequest } = require('../services/requestAssignmentService');
+const chatService = require('../services/chatService');
+const { useTestDatabase, createSeeker, createProvider, createPendingRequest } = require('./helpers/db');
+
+useTestDatabase(ServiceRequest, Chat);
+
+describe('chat after a provider withdraws', () => {
+    it('closes the chat for the withdrawn provider and opens a new one for the next', async () => {
+        const seeker = await createSeeker();
+        const [first, second] = await Promise.all([createProvider(0), createProvider(1)]);
+        const request = await createPendingRequest(seeker);
+
+        await assignRequest(request, first);
+        const { chat: firstChat } = await chatService.getOrCreateChat(request._id, first.id);
+        await chatService.postMessage(firstChat, { id: first.id, userName: first.userName }, 'On my way');
+
+        await withdrawFromRequest(request._id, await User.findById(first._id), 'Van broke down');
+        await assignRequest(await ServiceRequest.findById(request._id), second);
+
+        // The new provider gets a chat of their own, without the earlier conversation
+        const { chat: secondChat, created } = await chatService.getOrCreateChat(request._id, second.id);
+        expect(created).toBe(true);
+        expect(secondChat._id.toString()).not.toBe(firstChat._id.toString());
+
+        const opened = await chatService.findChatForUser(secondChat._id.toString(), second.id);
+        const { messages } = await chatService.listMessages(opened);
+        expect(messages).toHaveLength(0);
+        await expect(chatService.postMessage(opened, { id: second.id, userName: second.userName }, 'Hello'))
+            .resolves.toMatchObject({ content: 'Hello' });
+
+        // The seeker is in the new chat too
+        const { chat: seekerChat } = await chatService.getOrCreateChat(request._id, seeker.id);
+        expect(seekerChat._id.toString()).toBe(secondChat._id.toString());
+
+        // The provider who withdrew can reach neither chat, and the old one is closed for everyone
+        await expect(chatService.findChatForUser(firstChat._id.toString(), first.id)).rejects.toMatchObject({ status: 403 });
+        await expect(chatService.findChatForUser(secondChat._id.toString(), first.id)).rejects.toMatchObject({ status: 403 });
+        await expect(chatService.getOrCreateChat(request._id, first.id)).rejects.toMatchObject({ status: 403 });
+        await expect(chatService.findChatForUser(firstChat._id.toString(), seeker.id)).rejects.toMatchObject({ status: 403 });
+    });
+});
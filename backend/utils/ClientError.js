@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Error whose message is safe to return to the client, with the HTTP status to use
+class ClientError extends Error {
+    constructor(message, status = 400, details) {
+        super(message);
+        this.name = 'ClientError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// Send a ClientError (or a version conflict) as JSON, or fall back to a generic 500 for anything unexpected
+const sendError = (res, error, context) => {
+    if (error instanceof ClientError) {
+        return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+
+    // Optimistic concurrency: the document changed between load and save
+    if (error instanceof mongoose.Error.VersionError) {
+        return res.status(409).json({ message: 'This record was changed by another request. Please reload and try again.' });
+    }
+
+    console.error(`${context}:`, error);
+    return res.status(500).json({ message: 'Server error' });
+};
+
+module.exports = { ClientError, sendError };
@@ -0,0 +1,68 @@
+const EARTH_RADIUS_METERS = 6378100;
+const DEFAULT_RADIUS_METERS = 5000; // SpotWise matches within 5 km by default
+const MAX_RADIUS_METERS = Number(process.env.MAX_SEARCH_RADIUS_METERS) || 50000;
+
+// Convert degrees to radians
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+// Great-circle distance in meters between two [longitude, latitude] pairs
+const haversineDistance = ([lng1, lat1], [lng2, lat2]) => {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+// Normalise a { lat, lng } object or a GeoJSON Point into [longitude, latitude]
+// Returns null when the input is not a plausible coordinate pair
+const toCoordinates = (location) => {
+    if (!location) return null;
+
+    let lng;
+    let lat;
+    if (Array.isArray(location.coordinates)) {
+        [lng, lat] = location.coordinates;
+    } else {
+        lng = location.lng;
+        lat = location.lat;
+    }
+
+    lng = Number(lng);
+    lat = Number(lat);
+    if (!Number.isFinite(lng) || !Number.isFinite(lat)) return null;
+    if (lng < -180 || lng > 180 || lat < -90 || lat > 90) return null;
+
+    return [lng, lat];
+};
+
+// Snap [longitude, latitude] to the centre of a grid cell of roughly `gridMeters` a side,
+// so a position can be shared without revealing where exactly in the cell it is
+const snapToGrid = ([lng, lat], gridMeters) => {
+    const latStep = toDegrees(gridMeters / EARTH_RADIUS_METERS);
+    const snappedLat = Math.min(Math.max((Math.floor(lat / latStep) + 0.5) * latStep, -90), 90);
+    // Cells narrow towards the poles; size them at the snapped latitude so every point in a cell agrees
+    const lngStep = latStep / Math.max(Math.cos(toRadians(snappedLat)), 0.01);
+    const snappedLng = (Math.floor(lng / lngStep) + 0.5) * lngStep;
+
+    return [Math.min(Math.max(snappedLng, -180), 180), snappedLat];
+};
+
+// Clamp a client-supplied radius (meters) to the server-side bounds
+const normalizeRadius = (radius) => {
+    const value = Number(radius);
+    if (!Number.isFinite(value) || value <= 0) return DEFAULT_RADIUS_METERS;
+    return Math.min(value, MAX_RADIUS_METERS);
+};
+
+module.exports = {
+    EARTH_RADIUS_METERS,
+    DEFAULT_RADIUS_METERS,
+    MAX_RADIUS_METERS,
+    haversineDistance,
+    toCoordinates,
+    normalizeRadius,
+    snapToGrid
+};
@@ -0,0 +1,23 @@
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Page number, page size and skip from ?page=&limit=
+const pagination = ({ page, limit }) => {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    return { pageNumber, pageSize, skip: (pageNumber - 1) * pageSize };
+};
+
+// Run a paginated find and shape the { [key]: items, page, limit, total, hasMore } response;
+// `build` adds select/populate to the query
+const paginate = async (Model, filter, query, { key, sort = { createdAt: -1 }, build = (q) => q }) => {
+    const { pageNumber, pageSize, skip } = pagination(query);
+    const [items, total] = await Promise.all([
+        build(Model.find(filter).sort(sort).skip(skip).limit(pageSize)),
+        Model.countDocuments(filter)
+    ]);
+
+    return { [key]: items, page: pageNumber, limit: pageSize, total, hasMore: pageNumber * pageSize < total };
+};
+
+module.exports = { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, pagination, paginate };
@@ -4,6 +4,65 @@
 const API_BASE_URL = window.location.hostname === 'localhost'
         ? 'http://localhost:3000'
         : 'https://backend-green-zeta-69.vercel.app';
+
+// Access tokens are short-lived; an API call rejected with 401 refreshes the
+// token once and is replayed with the new one
+const nativeFetch = window.fetch.bind(window);
+let refreshPromise = null;
+
+// Exchange the stored refresh token for new tokens; resolves to the new access
+// token, or null when the session can't be renewed. Concurrent callers share one request.
+function refreshAccessToken() {
+    if (!refreshPromise) {
+        refreshPromise = requestTokenRefresh().finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+}
+
+async function requestTokenRefresh() {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) return null;
+
+    try {
+        const response = await nativeFetch(`${API_BASE_URL}/api/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken })
+        });
+
+        if (!response.ok) {
+            // Another tab may have rotated the shared refresh token in the meantime
+            const latest = localStorage.getItem('refreshToken');
+            return latest && latest !== refreshToken ? localStorage.getItem('token') : null;
+        }
+
+        const data = await response.json();
+        localStorage.setItem('token', data.token);
+        localStorage.setItem('refreshToken', data.refreshToken);
+        return data.token;
+    } catch (error) {
+        console.error('Error refreshing access token:', error);
+        return null;
+    }
+}
+
+window.fetch = async (input, init = {}) => {
+    const response = await nativeFetch(input, init);
+
+    const headers = new Headers(init.headers);
+    if (response.status !== 401 || !(headers.get('Authorization') || '').startsWith('Bearer ')) {
+        return response;
+    }
+
+    const token = await refreshAccessToken();
+    if (!token) return response;
+
+    headers.set('Authorization', `Bearer ${token}`);
+    return nativeFetch(input, { ...init, headers });
+};
+
 // Update profile dropdown with username if available
 function updateProfileDropdown() {
     const profileIcon = document.querySelector('.profile-icon');
@@ -48,9 +107,11 @@ async function login(email, password) {
         
         // Store auth data in localStorage
         localStorage.setItem('token', data.token);
+        localStorage.setItem('refreshToken', data.refreshToken);
         localStorage.setItem('userId', data.userId);
         localStorage.setItem('userName', data.userName);
         localStorage.setItem('userRole', data.role);
+        localStorage.setItem('userRoles', JSON.stringify(data.roles || [data.role]));
         
         // If user is a provider, set their status to online
         if (data.role === 'provider') {
@@ -76,24 +137,39 @@ async function login(email, password) {
     }
 }
 
+// Remove every piece of auth state stored for this browser
+function clearSession() {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('userId');
+    localStorage.removeItem('userName');
+    localStorage.removeItem('userRole');
+    localStorage.removeItem('userRoles');
+    localStorage.removeItem('providerStatus');
+}
+
 // Function to handle logout
 function logout() {
     try {
-        // If user is a provider, set their status to offline before clearing localStorage
-        const userRole = localStorage.getItem('userRole');
         const token = localStorage.getItem('token');
-        
-        if (userRole === 'provider' && token) {
-            // Update provider status to offline in backend
-            updateProviderStatusOnLogout('offline');
+        const refreshToken = localStorage.getItem('refreshToken');
+
+        if (token) {
+            // Revoke the tokens server-side (providers are also set offline there);
+            // keepalive lets the request finish while the page navigates away
+            fetch(`${API_BASE_URL}/api/auth/logout`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({ refreshToken }),
+                keepalive: true
+            }).catch(error => console.error('Error revoking session on logout:', error));
         }
         
         // Clear localStorage
-        localStorage.removeItem('token');
-        localStorage.removeItem('userId');
-        localStorage.removeItem('userName');
-        localStorage.removeItem('userRole');
-        localStorage.removeItem('providerStatus');
+        clearSession();
         
         // Update UI based on logout state
         updateAuthUI(false);
@@ -113,6 +189,31 @@ function logout() {
     }
 }
 
+// Log out of every device: revokes all refresh tokens and every access token issued so far
+async function logoutAllDevices() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/auth/logout-all`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
+            }
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.message || 'Failed to log out from all devices');
+        }
+
+        clearSession();
+        window.location.href = 'login.html';
+    } catch (error) {
+        console.error('Error logging out from all devices:', error);
+        if (window.errorHandler) {
+            window.errorHandler.showAlert('Logout Failed', error.message, 'error');
+        }
+    }
+}
+
 // Update provider status on login
 async function updateProviderStatusOnLogin(status) {
     try {
@@ -139,43 +240,6 @@ async function updateProviderStatusOnLogin(status) {
     }
 }
 
-// Update provider status on logout (using synchronous XHR to ensure it completes before page unload)
-function updateProviderStatusOnLogout(status) {
-    const token = localStorage.getItem('token');
-    if (!token) return;
-    
-    try {
-        // First try using asynchronous fetch with a timeout
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 2000);
-        
-        fetch(`${API_BASE_URL}/api/users/status`, {
-            method: 'PATCH',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
-            },
-            body: JSON.stringify({ status }),
-            signal: controller.signal
-        }).then(() => clearTimeout(timeoutId))
-          .catch(() => {
-            // If async fetch fails, fallback to synchronous XHR
-            const xhr = new XMLHttpRequest();
-            xhr.open('PATCH', `${API_BASE_URL}/api/users/status`, false); // false = synchronous
-            xhr.setRequestHeader('Content-Type', 'application/json');
-            xhr.setRequestHeader('Authorization', `Bearer ${token}`);
-            
-            try {
-                xhr.send(JSON.stringify({ status }));
-            } catch (e) {
-                console.error('Error updating provider status on logout:', e);
-            }
-        });
-    } catch (error) {
-        console.error('Error updating provider status on logout:', error);
-    }
-}
-
 // Fetch provider status from backend with enhanced error handling
 async function fetchProviderStatus() {
     try {
@@ -243,6 +307,14 @@ document.addEventListener('DOMContentLoaded', function() {
                 logout();
             });
         }
+
+        const logoutAllBtn = document.getElementById('logoutAllBtn');
+        if (logoutAllBtn) {
+            logoutAllBtn.addEventListener('click', function(e) {
+                e.preventDefault();
+                logoutAllDevices();
+            });
+        }
         
         // Fetch provider status if logged in as provider
         if (token && localStorage.getItem('userRole') === 'provider') {
@@ -268,7 +340,7 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 });
 
-// Function to check if the token is expired
+// Refresh the access token silently shortly before it expires
 function checkTokenExpiration(token) {
     try {
         // JWT tokens are in format: header.payload.signature
@@ -278,35 +350,26 @@ function checkTokenExpiration(token) {
         
         // Decode the base64 string
         const decodedPayload = JSON.parse(atob(payload));
-        
-        // Check if token has expiration
-        if (decodedPayload.exp) {
-            const expirationTime = decodedPayload.exp * 1000; // Convert to milliseconds
-            const currentTime = Date.now();
-            
-            // If token is expired or about to expire in 5 minutes
-            if (expirationTime < currentTime + 5 * 60 * 1000) {
-                // Token is expired or about to expire
-                if (expirationTime < currentTime) {
-                    // Already expired
-                    window.errorHandler.showAlert(
-                        'Session Expired', 
-                        'Your session has expired. Please log in again.', 
-                        'warning'
-                    );
-                    logout();
-                } else {
-                    // About to expire, show warning
-                    window.errorHandler.showAlert(
-                        'Session Expiring Soon', 
-                        'Your session will expire soon. Please save your work and log in again.',
-                        'warning'
-                    );
-                    
-                    // Could add silent token refresh here
-                }
+        if (!decodedPayload.exp) return;
+
+        // Renew one minute before expiry (immediately if already expired)
+        const refreshIn = Math.max(decodedPayload.exp * 1000 - Date.now() - 60 * 1000, 0);
+
+        setTimeout(async () => {
+            const freshToken = await refreshAccessToken();
+            if (freshToken) {
+                checkTokenExpiration(freshToken);
+                return;
             }
-        }
+
+            // The refresh token expired or was revoked
+            window.errorHandler.showAlert(
+                'Session Expired', 
+                'Your session has expired. Please log in again.', 
+                'warning'
+            );
+            logout();
+        }, refreshIn);
     } catch (error) {
         console.warn('Error checking token expiration:', error);
         // Don't logout user just for failed expiration check
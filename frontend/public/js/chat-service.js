@@ -6,13 +6,18 @@
 class ChatService {
     constructor() {
         this.activeChat = null;
+        this.nextCursor = null; // _id of the oldest loaded message, null when history is exhausted
+        this.loadingOlder = false;
         this.unreadMessages = new Map(); // Track unread messages per chat
+        this.apiBaseUrl = window.location.hostname === 'localhost'
+            ? 'http://localhost:3000'
+            : 'https://backend-green-zeta-69.vercel.app';
     }
 
     // Initialize chat functionality
     init() {
         this.setupChatPanel();
-        this.setupSocketListeners();
+        // Socket events (newMessage, messageRead) are routed here by SocketService
     }
 
     // Setup chat panel UI
@@ -39,6 +44,79 @@ class ChatService {
                 this.sendMessage();
             }
         });
+
+        // Load older messages when scrolled to the top
+        document.getElementById('chatMessages').addEventListener('scroll', (e) => {
+            if (e.target.scrollTop === 0) {
+                this.loadOlderMessages();
+            }
+        });
+    }
+
+    // Call the chat REST API with the stored token
+    async request(path, options = {}) {
+        const response = await fetch(`${this.apiBaseUrl}/api/chats${path}`, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
+            }
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || 'Chat request failed');
+        }
+        return data;
+    }
+
+    // Open the chat of a service request and load its latest messages
+    async openChat(requestId) {
+        try {
+            const chat = await this.request(`/init/${requestId}`, { method: 'POST' });
+            const history = await this.request(`/${chat._id}`);
+
+            this.activeChat = chat._id;
+            this.nextCursor = history.nextCursor;
+
+            const chatMessages = document.getElementById('chatMessages');
+            chatMessages.innerHTML = '';
+            history.messages.forEach(message => this.appendMessage(message));
+
+            const panel = document.getElementById('chatPanel');
+            panel.classList.add('active');
+            panel.classList.remove('minimized');
+
+            this.unreadMessages.delete(this.activeChat);
+            this.updateUnreadBadge(this.activeChat);
+            this.markMessagesAsRead();
+        } catch (error) {
+            console.error('Open chat error:', error);
+            alert(error.message || 'Failed to open chat');
+        }
+    }
+
+    // Load the page of messages before the oldest one shown
+    async loadOlderMessages() {
+        if (!this.activeChat || !this.nextCursor || this.loadingOlder) return;
+
+        this.loadingOlder = true;
+        try {
+            const history = await this.request(`/${this.activeChat}?before=${this.nextCursor}`);
+            this.nextCursor = history.nextCursor;
+
+            const chatMessages = document.getElementById('chatMessages');
+            const previousHeight = chatMessages.scrollHeight;
+            const html = history.messages.map(message => this.renderMessage(message)).join('');
+            chatMessages.insertAdjacentHTML('afterbegin', html);
+
+            // Keep the current message in view
+            chatMessages.scrollTop = chatMessages.scrollHeight - previousHeight;
+        } catch (error) {
+            console.error('Load older messages error:', error);
+        } finally {
+            this.loadingOlder = false;
+        }
     }
 
     // Send a message
@@ -49,11 +127,20 @@ class ChatService {
         if (!content || !this.activeChat) return;
 
         try {
-            // Emit message through socket
-            window.socketService.socket.emit('sendMessage', {
-                chatId: this.activeChat,
-                content: content
-            });
+            if (window.socketService && window.socketService.connected) {
+                // Emit message through socket; the server echoes it back as newMessage
+                window.socketService.emitWithErrorHandling('sendMessage', {
+                    chatId: this.activeChat,
+                    content: content
+                });
+            } else {
+                // Fall back to REST while the socket is down
+                const message = await this.request(`/${this.activeChat}/messages`, {
+                    method: 'POST',
+                    body: JSON.stringify({ content })
+                });
+                this.appendMessage(message);
+            }
 
             // Clear input
             input.value = '';
@@ -63,22 +150,13 @@ class ChatService {
         }
     }
 
-    // Setup WebSocket listeners for chat
-    setupSocketListeners() {
-        window.socketService.socket.on('newMessage', (data) => {
-            this.handleNewMessage(data);
-        });
-
-        window.socketService.socket.on('messageRead', (data) => {
-            this.updateMessageReadStatus(data);
-        });
-    }
-
     // Handle incoming message
     handleNewMessage(data) {
         if (data.chatId === this.activeChat) {
             this.appendMessage(data);
-            this.markMessagesAsRead();
+            if (data.sender._id !== localStorage.getItem('userId')) {
+                this.markMessagesAsRead();
+            }
         } else {
             // Update unread count for inactive chat
             const count = this.unreadMessages.get(data.chatId) || 0;
@@ -87,41 +165,82 @@ class ChatService {
         }
     }
 
-    // Append new message to chat
-    appendMessage(message) {
-        const chatMessages = document.getElementById('chatMessages');
+    // Build the markup of a single message
+    renderMessage(message) {
         const currentUserId = localStorage.getItem('userId');
-        
-        const messageElement = `
-            <div class="message ${message.sender._id === currentUserId ? 'sent' : 'received'}">
+        const senderId = message.sender && (message.sender._id || message.sender);
+
+        return `
+            <div class="message ${senderId === currentUserId ? 'sent' : 'received'}" data-message-id="${message._id}">
                 <div class="message-content">
-                    ${message.content}
+                    ${escapeChatHtml(message.content)}
                     <span class="message-time">
                         ${new Date(message.timestamp).toLocaleTimeString()}
                     </span>
-                    <span class="read-status">✓</span>
+                    <span class="read-status">${message.read ? '✓✓' : '✓'}</span>
                 </div>
             </div>
         `;
+    }
+
+    // Append new message to chat
+    appendMessage(message) {
+        const chatMessages = document.getElementById('chatMessages');
+
+        // The REST fallback and the socket echo can deliver the same message
+        if (chatMessages.querySelector(`[data-message-id="${message._id}"]`)) return;
 
-        chatMessages.insertAdjacentHTML('beforeend', messageElement);
+        chatMessages.insertAdjacentHTML('beforeend', this.renderMessage(message));
         chatMessages.scrollTop = chatMessages.scrollHeight;
     }
 
+    // Show read receipts for messages the other party has read
+    updateMessageReadStatus(data) {
+        if (data.chatId !== this.activeChat || !Array.isArray(data.messageIds)) return;
+
+        data.messageIds.forEach(messageId => {
+            const status = document.querySelector(`[data-message-id="${messageId}"] .read-status`);
+            if (status) {
+                status.textContent = '✓✓';
+            }
+        });
+    }
+
+    // Update the unread counter shown next to a chat button
+    updateUnreadBadge(chatId) {
+        const badge = document.querySelector(`.unread-badge[data-chat-id="${chatId}"]`);
+        if (!badge) return;
+
+        const count = this.unreadMessages.get(chatId) || 0;
+        badge.textContent = count;
+        badge.style.display = count > 0 ? 'flex' : 'none';
+    }
+
     // Mark messages as read
     async markMessagesAsRead() {
         if (!this.activeChat) return;
-        
+
         try {
-            window.socketService.socket.emit('markMessagesRead', {
-                chatId: this.activeChat
-            });
+            if (window.socketService && window.socketService.connected) {
+                window.socketService.emitWithErrorHandling('markMessagesRead', {
+                    chatId: this.activeChat
+                });
+            } else {
+                await this.request(`/${this.activeChat}/read`, { method: 'PUT' });
+            }
         } catch (error) {
             console.error('Error marking messages as read:', error);
         }
     }
 }
 
+// Escape user-provided text before inserting it as HTML
+function escapeChatHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
 // Initialize the service
 window.chatService = new ChatService();
 
@@ -134,7 +253,11 @@ function sendMessage() {
     window.chatService.sendMessage();
 }
 
+function openChat(requestId) {
+    window.chatService.openChat(requestId);
+}
+
 // Initialize when document is ready
 document.addEventListener('DOMContentLoaded', () => {
     window.chatService.init();
-});
\ No newline at end of file
+});
@@ -76,9 +76,11 @@ class ErrorHandler {
         setTimeout(() => {
             // Clear authentication data
             localStorage.removeItem('token');
+            localStorage.removeItem('refreshToken');
             localStorage.removeItem('userId');
             localStorage.removeItem('userName');
             localStorage.removeItem('userRole');
+            localStorage.removeItem('userRoles');
             localStorage.removeItem('providerStatus');
             
             // Redirect to login page
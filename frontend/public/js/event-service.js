@@ -17,6 +17,7 @@ class EventService {
         this.userId = null;
         this.userRole = null;
         this.connectionErrorShown = false;
+        this.sessionRevoked = false; // Set once the server revokes this session; stops reconnecting
     }
 
     /**
@@ -48,14 +49,20 @@ class EventService {
     /**
      * Connect to the SSE endpoint
      */
-    connect() {
+    async connect() {
         // Close existing connection if any
         this.disconnect();
 
+        if (this.sessionRevoked) return;
+
         try {
+            // EventSource cannot send an Authorization header, so trade the access
+            // token for a single-use ticket instead of putting the token in the URL
+            const ticket = await this.fetchTicket();
+
             // Create new EventSource connection with retry parameter
-            const url = new URL('http://localhost:3000/api/events');
-            url.searchParams.append('token', this.token);
+            const url = new URL(`${API_BASE_URL}/api/events`);
+            url.searchParams.append('ticket', ticket);
             url.searchParams.append('retry', this.currentReconnectTimeout);
             
             this.eventSource = new EventSource(url.toString());
@@ -100,6 +107,24 @@ class EventService {
         }
     }
 
+    /**
+     * Get a short-lived ticket for opening the SSE stream
+     */
+    async fetchTicket() {
+        const response = await fetch(`${API_BASE_URL}/api/events/ticket`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
+            }
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || 'Failed to get an event stream ticket');
+        }
+        return data.ticket;
+    }
+
     /**
      * Handle connection errors with exponential backoff
      */
@@ -202,6 +227,134 @@ class EventService {
                 }
             });
 
+            // Listen for provider status changes (pushed on every transition)
+            this.eventSource.addEventListener('providerStatusChanged', (event) => {
+                try {
+                    const data = JSON.parse(event.data);
+                    console.log('Provider status changed:', data);
+                    
+                    this.dispatchEvent('providerStatusChanged', data);
+                } catch (error) {
+                    console.error('Error parsing providerStatusChanged event data:', error);
+                }
+            });
+
+            // Listen for expired requests (seekers only)
+            this.eventSource.addEventListener('requestExpired', (event) => {
+                try {
+                    const data = JSON.parse(event.data);
+                    console.log('Request expired:', data);
+                    
+                    this.dispatchEvent('requestExpired', data);
+                } catch (error) {
+                    console.error('Error parsing requestExpired event data:', error);
+                }
+            });
+
+            // Listen for reminders before a booked time window starts
+            this.eventSource.addEventListener('scheduledReminder', (event) => {
+                try {
+                    const data = JSON.parse(event.data);
+                    console.log('Scheduled reminder:', data);
+                    
+                    this.dispatchEvent('scheduledReminder', data);
+                } catch (error) {
+                    console.error('Error parsing scheduledReminder event data:', error);
+                }
+            });
+
+            // Listen for quotes being sent, revised, accepted or declined
+            this.eventSource.addEventListener('quoteUpdated', (event) => {
+                try {
+                    const data = JSON.parse(event.data);
+                    console.log('Quote updated:', data);
+                    
+                    this.dispatchEvent('quoteUpdated', data);
+                } catch (error) {
+                    console.error('Error parsing quoteUpdated event data:', error);
+                }
+            });
+
+            // Listen for newly issued completion PINs (seekers only)
+            this.eventSource.addEventListener('pinGenerated', (event) => {
+                try {
+                    const data = JSON.parse(event.data);
+                    
+                    this.dispatchEvent('pinGenerated', data);
+                } catch (error) {
+                    console.error('Error parsing pinGenerated event data:', error);
+                }
+            });
+
+            // Listen for PIN lockouts after too many wrong attempts (seekers only)
+            this.eventSource.addEventListener('pinLocked', (event) => {
+                try {
+                    const data = JSON.parse(event.data);
+                    console.log('PIN locked:', data);
+                    
+                    this.dispatchEvent('pinLocked', data);
+                } catch (error) {
+                    console.error('Error parsing pinLocked event data:', error);
+                }
+            });
+
+            // Listen for the active role being switched (dual-role accounts)
+            this.eventSource.addEventListener('activeRoleChanged', (event) => {
+                try {
+                    const data = JSON.parse(event.data);
+                    
+                    this.dispatchEvent('activeRoleChanged', data);
+                } catch (error) {
+                    console.error('Error parsing activeRoleChanged event data:', error);
+                }
+            });
+
+            // Listen for an admin's decision on the provider's verification request
+            this.eventSource.addEventListener('verificationReviewed', (event) => {
+                try {
+                    const data = JSON.parse(event.data);
+                    
+                    this.dispatchEvent('verificationReviewed', data);
+                } catch (error) {
+                    console.error('Error parsing verificationReviewed event data:', error);
+                }
+            });
+
+            // Listen for the other party disputing a job, an admin settling the dispute,
+            // the provider withdrawing from an accepted job, and the provider's progress to the job
+            ['requestDisputed', 'disputeResolved', 'providerWithdrew', 'jobTracking', 'providerArrivingSoon', 'providerArrived'].forEach(eventName => {
+                this.eventSource.addEventListener(eventName, (event) => {
+                    try {
+                        const data = JSON.parse(event.data);
+                        
+                        this.dispatchEvent(eventName, data);
+                    } catch (error) {
+                        console.error(`Error parsing ${eventName} event data:`, error);
+                    }
+                });
+            });
+
+            // The access token this stream was opened with expired or was replaced;
+            // reconnect right away with the current one
+            this.eventSource.addEventListener('streamExpired', () => {
+                this.disconnect();
+                this.connect();
+            });
+
+            // Listen for the session being revoked (logout from all devices)
+            this.eventSource.addEventListener('sessionRevoked', (event) => {
+                try {
+                    const data = JSON.parse(event.data);
+
+                    // The server closes the stream; don't reconnect with revoked tokens
+                    this.sessionRevoked = true;
+                    this.disconnect();
+                    this.dispatchEvent('sessionRevoked', data);
+                } catch (error) {
+                    console.error('Error parsing sessionRevoked event data:', error);
+                }
+            });
+
             // Listen for error events from server
             this.eventSource.addEventListener('error', (event) => {
                 try {
@@ -229,6 +229,10 @@ class LocationTrackingService {
                 window.socketService.updateLocation({
                     lat: formattedPosition.coords.latitude,
                     lng: formattedPosition.coords.longitude
+                }, {
+                    accuracy: formattedPosition.coords.accuracy,
+                    heading: formattedPosition.coords.heading,
+                    speed: formattedPosition.coords.speed
                 });
             }
         }
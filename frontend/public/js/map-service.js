@@ -8,11 +8,13 @@ class MapService {
         this.isInitialized = false;
         this.providerMarkers = new Map(); // Separate collection for provider markers
         this.providerUpdateTime = new Map(); // Track when providers were last updated
+        this.providerDetails = new Map(); // Last details shown for each provider (name, service, rating)
         this.accuracyCircle = null; // Circle showing location accuracy
         this.followMode = false; // Whether to keep map centered on user location
         this.markerClusterer = null; // For clustering provider markers
         this.staleTimeout = 5 * 60 * 1000; // 5 minutes until a marker is considered stale
         this.animationSpeed = 500; // Animation duration in ms
+        this.serviceAreas = []; // Provider service areas drawn as polygons: { name, polygon }
     }
 
     // Initialize map
@@ -415,14 +417,14 @@ class MapService {
             }
             
             // Ensure details object exists
-            details = details || {
+            details = details || this.providerDetails.get(providerId) || {
                 name: 'Service Provider',
-                service: 'General Service',
-                rating: '4.5'
+                service: 'General Service'
             };
             
-            // Record last update time
+            // Record last update time and details
             this.providerUpdateTime.set(providerId, Date.now());
+            this.providerDetails.set(providerId, details);
 
             const isCurrentUser = providerId === localStorage.getItem('userId');
 
@@ -465,7 +467,7 @@ class MapService {
                             'images/my-location-marker.png' : 'images/provider-marker.png',
                         scaledSize: new google.maps.Size(40, 40)
                     },
-                    title: details.name,
+                    title: details.verified ? `${details.name} (verified)` : details.name,
                     animation: google.maps.Animation.DROP,
                     zIndex: isCurrentUser ? 1000 : 100, // Keep own marker on top
                     optimized: false // Better animation performance for frequent updates
@@ -523,6 +525,7 @@ class MapService {
                     this.markers.delete(id);
                     this.infoWindows.delete(id);
                     this.providerUpdateTime.delete(id);
+                    this.providerDetails.delete(id);
                     
                     // Remove from clusterer if it exists
                     if (this.markerClusterer) {
@@ -562,12 +565,27 @@ class MapService {
         // Additional info for distance if provided
         const distanceInfo = details.distance ? 
             `<p><i class="fa fa-map-marker"></i> ${details.distance}</p>` : '';
+        
+        // Aggregated rating from reviews ({ average, count })
+        const rating = details.rating;
+        const ratingInfo = rating && rating.count > 0
+            ? `${rating.average.toFixed(1)} ⭐ <span class="text-muted small">(${rating.count} review${rating.count > 1 ? 's' : ''})</span>`
+            : '<span class="text-muted">No ratings yet</span>';
+        
+        // Verified badge and skills confirmed from the provider's documents
+        const verifiedBadge = details.verified
+            ? ' <span class="badge badge-success" title="Identity verified by SpotWise"><i class="fa fa-check-circle"></i> Verified</span>'
+            : '';
+        const verifiedSkills = details.verifiedSkills && details.verifiedSkills.length > 0
+            ? `<p><strong>Verified skills:</strong> ${details.verifiedSkills.join(', ')}</p>`
+            : '';
             
         return `
             <div class="provider-info">
-                <h3>${details.name}${isCurrentUser ? ' <span class="badge badge-primary">You</span>' : ''}</h3>
+                <h3>${details.name}${verifiedBadge}${isCurrentUser ? ' <span class="badge badge-primary">You</span>' : ''}</h3>
                 <p><strong>Service:</strong> ${details.service}</p>
-                <p><strong>Rating:</strong> ${details.rating} ⭐</p>
+                ${verifiedSkills}
+                <p><strong>Rating:</strong> ${ratingInfo}</p>
                 ${distanceInfo}
                 ${timeDisplay ? `<p class="text-muted small">${timeDisplay}</p>` : ''}
                 ${!isCurrentUser ? `<button class="map-action-btn btn btn-sm btn-primary" onclick="requestService('${providerId}')">Request Service</button>` : ''}
@@ -602,11 +620,9 @@ class MapService {
                     const infoWindow = this.infoWindows.get(id);
                     if (infoWindow) {
                         // Get existing details to recreate content
-                        const title = marker.getTitle();
-                        infoWindow.setContent(this.createProviderInfoContent(id, {
-                            name: title,
-                            service: 'Service Provider',
-                            rating: '4.5'
+                        infoWindow.setContent(this.createProviderInfoContent(id, this.providerDetails.get(id) || {
+                            name: marker.getTitle(),
+                            service: 'Service Provider'
                         }));
                     }
                 }
@@ -814,6 +830,103 @@ class MapService {
         }
     }
 
+    /**
+     * Draw a provider's service areas
+     * @param {Array} areas - Service areas as { name, area: GeoJSON Polygon }
+     * @param {Object} options - { editable: let the corners be dragged }
+     */
+    drawServiceAreas(areas, { editable = false } = {}) {
+        if (!this.isInitialized) return;
+
+        this.clearServiceAreas();
+        (areas || []).forEach(item => {
+            // GeoJSON rings are closed [lng, lat] lists; Google Maps paths are open
+            const paths = item.area.coordinates.map(ring =>
+                ring.slice(0, -1).map(([lng, lat]) => ({ lat, lng }))
+            );
+            this._addServiceAreaPolygon(item.name, paths, editable);
+        });
+
+        const bounds = new google.maps.LatLngBounds();
+        this.serviceAreas.forEach(({ polygon }) => {
+            polygon.getPath().forEach(point => bounds.extend(point));
+        });
+        if (!bounds.isEmpty()) {
+            this.map.fitBounds(bounds);
+        }
+    }
+
+    /**
+     * Add an editable square service area (about 1 km across) at the map center
+     * @param {string} name - Name of the area
+     */
+    addServiceArea(name) {
+        if (!this.isInitialized) return;
+
+        const center = this.map.getCenter();
+        const latOffset = 0.0045; // ~500 m
+        const lngOffset = latOffset / Math.cos(center.lat() * Math.PI / 180);
+        const path = [
+            { lat: center.lat() + latOffset, lng: center.lng() - lngOffset },
+            { lat: center.lat() + latOffset, lng: center.lng() + lngOffset },
+            { lat: center.lat() - latOffset, lng: center.lng() + lngOffset },
+            { lat: center.lat() - latOffset, lng: center.lng() - lngOffset }
+        ];
+        this._addServiceAreaPolygon(name, [path], true);
+    }
+
+    /**
+     * Remove a service area
+     * @param {number} index - Position of the area in drawing order
+     */
+    removeServiceArea(index) {
+        const [removed] = this.serviceAreas.splice(index, 1);
+        if (removed) {
+            removed.polygon.setMap(null);
+        }
+    }
+
+    /**
+     * Service areas as currently drawn (including edits)
+     * @returns {Array} - Service areas as { name, area: GeoJSON Polygon }
+     */
+    getServiceAreas() {
+        return this.serviceAreas.map(({ name, polygon }) => ({
+            name,
+            area: {
+                type: 'Polygon',
+                coordinates: polygon.getPaths().getArray().map(path => {
+                    const ring = path.getArray().map(point => [point.lng(), point.lat()]);
+                    return [...ring, ring[0]];
+                })
+            }
+        }));
+    }
+
+    // Remove all drawn service areas
+    clearServiceAreas() {
+        this.serviceAreas.forEach(({ polygon }) => polygon.setMap(null));
+        this.serviceAreas = [];
+    }
+
+    /**
+     * @private
+     */
+    _addServiceAreaPolygon(name, paths, editable) {
+        const polygon = new google.maps.Polygon({
+            paths,
+            map: this.map,
+            editable,
+            strokeColor: '#0d6efd',
+            strokeOpacity: 0.8,
+            strokeWeight: 2,
+            fillColor: '#0d6efd',
+            fillOpacity: 0.15
+        });
+        this.serviceAreas.push({ name, polygon });
+        return polygon;
+    }
+
     /**
      * Initialize marker clustering for provider markers
      */
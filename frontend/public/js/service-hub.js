@@ -8,6 +8,8 @@ const SpotWiseServiceHub = (function() {
     // Private module variables
     let userRole = null;
     let selectedLocation = null;
+    let selectedAddress = null; // Geocoded address of selectedLocation, when known
+    let savedPlaces = []; // The seeker's saved places (Home, Office, ...)
     let locationMap = null;
     let locationPickerMap = null;
     let requestsMap = null;
@@ -17,6 +19,7 @@ const SpotWiseServiceHub = (function() {
     let activeRequest = null;
     let activeRequestTimer = null;
     let isProviderTracking = false;
+    let categoryNames = new Map(); // Category slug -> display name, from the catalogue
     
     // Define the backend API base URL
     const API_BASE_URL = window.location.hostname === 'localhost'
@@ -32,7 +35,8 @@ const SpotWiseServiceHub = (function() {
     
     // Initialize when document is loaded
     function init() {
-        checkAuthentication();
+        // Request cards show category names, so the catalogue is loaded before them
+        loadCategories().finally(checkAuthentication);
         setupEventListeners();
         initMaps();
         initLocationTracking();
@@ -52,6 +56,12 @@ const SpotWiseServiceHub = (function() {
             pickLocationBtn.addEventListener('click', openLocationPicker);
         }
         
+        // Saved place picker (Seeker)
+        const savedPlaceSelect = document.getElementById('savedPlace');
+        if (savedPlaceSelect) {
+            savedPlaceSelect.addEventListener('change', selectSavedPlace);
+        }
+        
         // Confirm Location Button
         const confirmLocationBtn = document.getElementById('confirmLocationBtn');
         if (confirmLocationBtn) {
@@ -64,6 +74,24 @@ const SpotWiseServiceHub = (function() {
             refreshBtn.addEventListener('click', loadAvailableRequests);
         }
         
+        // Search radius selector (Provider)
+        const searchRadius = document.getElementById('searchRadius');
+        if (searchRadius) {
+            searchRadius.value = localStorage.getItem('searchRadiusKm') || searchRadius.value;
+            searchRadius.addEventListener('change', () => {
+                localStorage.setItem('searchRadiusKm', searchRadius.value);
+                loadAvailableRequests();
+            });
+        }
+        
+        // Request timing (Seeker): now, or a scheduled time window
+        document.querySelectorAll('input[name="requestTiming"]').forEach(radio => {
+            radio.addEventListener('change', updateRequestTimingFields);
+        });
+        
+        // Upcoming (scheduled) requests tab (Provider)
+        $('#upcoming-tab').on('shown.bs.tab', loadUpcomingRequests);
+        
         // Complete Job Button
         const completeJobBtn = document.getElementById('completeJobBtn');
         if (completeJobBtn) {
@@ -119,16 +147,19 @@ const SpotWiseServiceHub = (function() {
         }
         
         window.eventService.on('requestUpdated', (updatedRequest) => {
-            // Handle request status update
-            if (updatedRequest.status === 'in-progress' && userRole === 'seeker') {
-                // Show notification with PIN
-                showNotification(
-                    'Request Accepted!', 
-                    `A service provider has accepted your request. Your verification PIN is: ${updatedRequest.generatedPin}. Keep this PIN to verify when the service is completed.`,
-                    'success'
-                );
-                
-                // Refresh active requests to show the updated status and PIN
+            // Seekers follow their request through its lifecycle
+            const seekerUpdates = {
+                accepted: updatedRequest.scheduledWindow && updatedRequest.scheduledWindow.start
+                    ? ['Request Booked', 'A service provider booked your scheduled request.', 'success']
+                    // The PIN itself arrives separately through the pinGenerated event
+                    : ['Request Accepted!', 'A service provider has accepted your request. Keep your verification PIN to confirm when the service is completed.', 'success'],
+                'en-route': ['Provider On The Way', 'Your service provider is on the way.', 'info'],
+                arrived: ['Provider Arrived', 'Your service provider has arrived.', 'info'],
+                'in-progress': ['Work Started', 'Your service provider has started working on your request.', 'info']
+            };
+            
+            if (userRole === 'seeker' && seekerUpdates[updatedRequest.status]) {
+                showNotification(...seekerUpdates[updatedRequest.status]);
                 loadUserActiveRequests();
             } else if (updatedRequest.status === 'completed') {
                 // Handle completed request
@@ -139,8 +170,166 @@ const SpotWiseServiceHub = (function() {
                 } else if (userRole === 'provider') {
                     checkActiveJob();
                 }
+            } else if (updatedRequest.status === 'cancelled' && userRole === 'provider') {
+                showNotification('Job Cancelled', `The ${categoryLabel(updatedRequest.category)} job was cancelled.`, 'warning');
+                checkActiveJob();
+                loadUpcomingRequests();
+            } else if (userRole === 'seeker') {
+                loadUserActiveRequests();
+            }
+        });
+        
+        window.eventService.on('requestDisputed', (data) => {
+            showNotification(
+                'Request Disputed',
+                `The ${categoryLabel(data.category)} job was disputed: ${data.reason}. An admin will review it.`,
+                'warning'
+            );
+            if (userRole === 'seeker') {
+                loadUserActiveRequests();
+            } else if (userRole === 'provider') {
+                checkActiveJob();
+            }
+        });
+        
+        window.eventService.on('providerWithdrew', (data) => {
+            if (userRole !== 'seeker') return;
+            
+            showNotification(
+                'Provider Withdrew',
+                `Your provider can no longer do the ${categoryLabel(data.category)} job (${data.reason}). The request is open again for other providers.`,
+                'warning'
+            );
+            loadUserActiveRequests();
+        });
+        
+        window.eventService.on('jobTracking', (progress) => {
+            if (userRole !== 'seeker') return;
+            
+            updateJobTracking(progress);
+        });
+        
+        window.eventService.on('providerArrivingSoon', (data) => {
+            if (userRole !== 'seeker') return;
+            
+            showNotification(
+                'Provider Arriving Soon',
+                `Your ${categoryLabel(data.category)} provider is ${formatDistance(data.distanceMeters)} and should arrive in about ${data.etaMinutes} minute${data.etaMinutes !== 1 ? 's' : ''}.`,
+                'info'
+            );
+        });
+        
+        window.eventService.on('providerArrived', (data) => {
+            if (userRole !== 'seeker') return;
+            
+            showNotification('Provider Arrived', `Your ${categoryLabel(data.category)} provider has arrived at your location.`, 'success');
+        });
+        
+        window.eventService.on('disputeResolved', (data) => {
+            showNotification(
+                'Dispute Resolved',
+                `An admin closed the dispute; the request is now ${formatStatus(data.outcome).toLowerCase()}.`,
+                'info'
+            );
+            if (userRole === 'seeker') {
+                loadUserActiveRequests();
+            }
+        });
+        
+        window.eventService.on('requestExpired', (data) => {
+            if (userRole !== 'seeker') return;
+            
+            showNotification(
+                'Request Expired',
+                data.booked
+                    ? `Your booked ${categoryLabel(data.category)} request was not started within its time window. You can create a new one.`
+                    : `Your ${categoryLabel(data.category)} request expired before a provider accepted it. You can create a new one.`,
+                'warning'
+            );
+            loadUserActiveRequests();
+        });
+        
+        window.eventService.on('scheduledReminder', (data) => {
+            showNotification(
+                'Upcoming Service',
+                `Reminder: the ${categoryLabel(data.category)} service is scheduled for ${formatWindow({ start: data.windowStart, end: data.windowEnd })}.`,
+                'info'
+            );
+            if (userRole === 'provider') {
+                loadUpcomingRequests();
+            }
+        });
+        
+        window.eventService.on('quoteUpdated', ({ requestId, quote }) => {
+            if (userRole === 'seeker') {
+                if (quote.status === 'pending') {
+                    showNotification('New Quote', `A provider quoted ${formatPrice(quote)} for your request.`, 'info');
+                }
+                loadRequestQuotes(requestId);
+            } else if (userRole === 'provider') {
+                if (quote.status === 'accepted') {
+                    showNotification('Quote Accepted', `Your quote of ${formatPrice(quote)} was accepted. The job is now yours.`, 'success');
+                    localStorage.setItem('providerStatus', 'in-progress');
+                    checkProviderStatus();
+                    checkActiveJob();
+                } else if (quote.status === 'rejected') {
+                    showNotification('Quote Declined', `Your quote of ${formatPrice(quote)} was not accepted.`, 'warning');
+                    loadAvailableRequests();
+                }
+            }
+        });
+        
+        window.eventService.on('pinGenerated', (data) => {
+            if (userRole !== 'seeker' || !data.pin) return;
+            
+            // The server only keeps a hash, so this is the one chance to store the PIN
+            cachePin(data.requestId, data.pin);
+            showNotification(
+                'Verification PIN',
+                `Your verification PIN is: ${data.pin}. Share it with the provider when the service is completed.`,
+                'success'
+            );
+            loadUserActiveRequests();
+        });
+        
+        window.eventService.on('pinLocked', (data) => {
+            if (userRole !== 'seeker') return;
+            
+            showNotification('PIN Locked', data.message, 'warning');
+        });
+        
+        window.eventService.on('activeRoleChanged', async (data) => {
+            // Switched in another tab or device: pick up a token for the new role
+            if (data.role === localStorage.getItem('userRole')) return;
+            
+            if (await window.refreshAccessToken()) {
+                window.location.reload();
+            }
+        });
+        
+        window.eventService.on('verificationReviewed', (data) => {
+            if (data.status === 'approved') {
+                const skills = data.approvedSkills.length ? ` Verified skills: ${data.approvedSkills.join(', ')}.` : '';
+                showNotification('Verification Approved', `Your documents were approved.${skills}`, 'success');
+            } else {
+                showNotification('Verification Rejected', `Your documents were not accepted: ${data.note}`, 'warning');
             }
         });
+        
+        window.eventService.on('sessionRevoked', () => {
+            // Logged out from all devices elsewhere; this session's tokens no longer work
+            localStorage.removeItem('token');
+            localStorage.removeItem('refreshToken');
+            window.location.href = 'login.html';
+        });
+        
+        window.eventService.on('providerStatusChanged', (data) => {
+            // Keep the cached status in sync when it changes elsewhere (profile page, another tab)
+            if (userRole !== 'provider' || !data.status) return;
+            
+            localStorage.setItem('providerStatus', data.status);
+            checkProviderStatus();
+        });
     }
 
     /****************************************
@@ -159,11 +348,14 @@ const SpotWiseServiceHub = (function() {
             return;
         }
         
-        // Get user role
-        userRole = localStorage.getItem('userRole');
+        // The access token carries the active role; fall back to the cached one
+        const claims = decodeTokenClaims(token);
+        userRole = (claims && claims.role) || localStorage.getItem('userRole');
+        localStorage.setItem('userRole', userRole);
         
         // Register event listeners after user role is determined
         registerEventListeners();
+        renderRoleSwitcher(claims && claims.roles);
         
         if (userRole === 'seeker') {
             // Show seeker interface
@@ -173,6 +365,7 @@ const SpotWiseServiceHub = (function() {
             
             // Load active requests for seeker
             loadUserActiveRequests();
+            loadSavedPlaces();
         } else if (userRole === 'provider') {
             // Show provider interface
             document.getElementById('loginRequiredMessage').style.display = 'none';
@@ -198,6 +391,58 @@ const SpotWiseServiceHub = (function() {
         }
     }
     
+    // Read the user claims ({ id, role, roles }) from a JWT without verifying it
+    function decodeTokenClaims(token) {
+        try {
+            return JSON.parse(atob(token.split('.')[1])).user;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    // Offer dual-role accounts a button to act in their other role
+    function renderRoleSwitcher(roles) {
+        const switcher = document.getElementById('roleSwitcher');
+        if (!switcher || !Array.isArray(roles) || roles.length < 2) return;
+        
+        const otherRole = roles.find(role => role !== userRole);
+        document.getElementById('activeRoleLabel').textContent = `Acting as ${userRole}`;
+        
+        const button = document.getElementById('switchRoleBtn');
+        button.textContent = `Switch to ${otherRole}`;
+        button.onclick = () => switchActiveRole(otherRole);
+        switcher.style.display = 'flex';
+    }
+    
+    // Switch the active role; the server reissues the access token for the new role
+    async function switchActiveRole(role) {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/auth/active-role`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                },
+                body: JSON.stringify({ role })
+            });
+            
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to switch role');
+            }
+            
+            localStorage.setItem('token', data.token);
+            localStorage.setItem('userRole', data.role);
+            localStorage.setItem('providerStatus', data.status);
+            
+            // Reload so sockets, listeners and tabs start over in the new role
+            window.location.reload();
+        } catch (error) {
+            console.error('Error switching role:', error);
+            showNotification('Error', error.message, 'error');
+        }
+    }
+    
     // Fetch provider status from backend and update localStorage
     async function fetchProviderStatus() {
         try {
@@ -334,7 +579,7 @@ const SpotWiseServiceHub = (function() {
                             window.locationService.getAddressFromCoordinates(latLng)
                                 .then(result => {
                                     if (result && result.formatted_address) {
-                                        document.getElementById('selectedLocationDisplay').textContent = result.formatted_address;
+                                        showSelectedAddress(result.formatted_address);
                                     }
                                 }).catch(error => {
                                     console.warn('Error getting address:', error);
@@ -472,6 +717,8 @@ const SpotWiseServiceHub = (function() {
                     lat: newPos.lat(),
                     lng: newPos.lng()
                 };
+                selectedAddress = null;
+                clearSavedPlace();
                 
                 // Get address for the new position
                 if (window.locationService) {
@@ -485,7 +732,7 @@ const SpotWiseServiceHub = (function() {
                                 
                                 // Update the location display if this is the main map
                                 if (!isPickerMap) {
-                                    document.getElementById('selectedLocationDisplay').textContent = result.formatted_address;
+                                    showSelectedAddress(result.formatted_address);
                                 }
                             }
                         }).catch(error => console.warn('Error getting address:', error));
@@ -501,6 +748,13 @@ const SpotWiseServiceHub = (function() {
             lat: location.lat(),
             lng: location.lng()
         };
+        selectedAddress = null;
+    }
+    
+    // Show the geocoded address of the selected location and remember it for the request
+    function showSelectedAddress(address) {
+        selectedAddress = address;
+        document.getElementById('selectedLocationDisplay').textContent = address;
     }
     
     // Open location picker modal
@@ -538,6 +792,7 @@ const SpotWiseServiceHub = (function() {
             alert('Please select a location on the map');
             return;
         }
+        clearSavedPlace();
         
         // Update main map with selected location
         if (locationMap) {
@@ -549,7 +804,7 @@ const SpotWiseServiceHub = (function() {
                 window.locationService.getAddressFromCoordinates(new google.maps.LatLng(selectedLocation.lat, selectedLocation.lng))
                     .then(result => {
                         if (result && result.formatted_address) {
-                            document.getElementById('selectedLocationDisplay').textContent = result.formatted_address;
+                            showSelectedAddress(result.formatted_address);
                         } else {
                             document.getElementById('selectedLocationDisplay').textContent = 
                                 `${selectedLocation.lat.toFixed(6)}, ${selectedLocation.lng.toFixed(6)}`;
@@ -579,6 +834,108 @@ const SpotWiseServiceHub = (function() {
         $('#locationPickerModal').modal('hide');
     }
     
+    // Load the seeker's saved places into the request form's picker
+    async function loadSavedPlaces() {
+        const select = document.getElementById('savedPlace');
+        if (!select) return;
+        
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/places`, {
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                }
+            });
+            
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to load saved places');
+            }
+            
+            savedPlaces = data.places;
+            select.innerHTML = `
+                <option value="">Pick a location on the map</option>
+                ${savedPlaces.map(place => `
+                    <option value="${place._id}">${escapeHtml(place.label)}${place.formattedAddress ? ` – ${escapeHtml(place.formattedAddress)}` : ''}</option>
+                `).join('')}
+            `;
+        } catch (error) {
+            console.error('Error loading saved places:', error);
+        }
+    }
+    
+    // Use a saved place as the service location; its address and access notes go with the request
+    function selectSavedPlace() {
+        const place = savedPlaces.find(item => item._id === document.getElementById('savedPlace').value);
+        const accessNotes = document.getElementById('accessNotes');
+        const savePlaceOption = document.getElementById('savePlaceOption');
+        
+        if (!place) {
+            accessNotes.disabled = false;
+            accessNotes.value = '';
+            savePlaceOption.style.display = 'block';
+            return;
+        }
+        
+        const [lng, lat] = place.location.coordinates;
+        if (locationMap) {
+            const latLng = new google.maps.LatLng(lat, lng);
+            locationMap.setCenter(latLng);
+            addLocationMarker(locationMap, latLng);
+        } else {
+            selectedLocation = { lat, lng };
+        }
+        document.getElementById('selectedLocationDisplay').textContent = place.formattedAddress || `${place.label} (${lat.toFixed(6)}, ${lng.toFixed(6)})`;
+        
+        // The saved notes are used; edit the place to change them
+        accessNotes.value = place.accessNotes || '';
+        accessNotes.disabled = true;
+        savePlaceOption.style.display = 'none';
+    }
+    
+    // Back to a location picked on the map
+    function clearSavedPlace() {
+        const select = document.getElementById('savedPlace');
+        if (select && select.value) {
+            select.value = '';
+            selectSavedPlace();
+        }
+    }
+    
+    // Save the picked location as a place (when the seeker asked to) and return its id
+    async function saveSelectedPlace(accessNotes) {
+        const label = document.getElementById('savePlaceLabel').value.trim();
+        if (!label) {
+            throw new Error('Please give the place a name, e.g. Home');
+        }
+        
+        const response = await fetch(`${API_BASE_URL}/api/places`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
+            },
+            body: JSON.stringify({
+                label,
+                location: { lat: selectedLocation.lat, lng: selectedLocation.lng },
+                formattedAddress: selectedAddress || undefined,
+                accessNotes: accessNotes || undefined
+            })
+        });
+        
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || (data.errors && data.errors[0].msg) || 'Failed to save the place');
+        }
+        
+        // Select it, so a retry after a failed submission doesn't save it twice
+        document.getElementById('savePlace').checked = false;
+        await loadSavedPlaces();
+        document.getElementById('savedPlace').value = data._id;
+        selectSavedPlace();
+        
+        return data._id;
+    }
+    
     // Function to use current location
     function useCurrentLocation() {
         if (window.locationService) {
@@ -607,7 +964,7 @@ const SpotWiseServiceHub = (function() {
                                     if (searchInput) {
                                         searchInput.value = result.formatted_address;
                                     }
-                                    document.getElementById('selectedLocationDisplay').textContent = result.formatted_address;
+                                    showSelectedAddress(result.formatted_address);
                                 }
                             }).catch(error => console.warn('Error getting address:', error));
                     }
@@ -688,39 +1045,80 @@ const SpotWiseServiceHub = (function() {
             const contactNumber = document.getElementById('contactNumber').value;
             const duration = document.getElementById('duration').value;
             const additionalDetails = document.getElementById('additionalDetails').value;
+            const scheduled = document.getElementById('timingScheduled').checked;
             
             // Create request object
             const requestData = {
                 category,
                 description,
                 contactNumber,
-                duration: parseInt(duration),
-                additionalDetails,
-                location: {
+                additionalDetails
+            };
+            
+            // A saved place carries its own address; otherwise send the picked point, saving it first if asked
+            let savedPlaceId = document.getElementById('savedPlace').value;
+            const accessNotes = document.getElementById('accessNotes').value.trim();
+            if (!savedPlaceId && document.getElementById('savePlace').checked) {
+                savedPlaceId = await saveSelectedPlace(accessNotes);
+            }
+            if (savedPlaceId) {
+                requestData.savedPlaceId = savedPlaceId;
+            } else {
+                requestData.location = {
                     type: 'Point',
                     coordinates: [selectedLocation.lng, selectedLocation.lat]
+                };
+                if (selectedAddress) requestData.formattedAddress = selectedAddress;
+                if (accessNotes) requestData.accessNotes = accessNotes;
+            }
+            
+            if (scheduled) {
+                const scheduledStart = document.getElementById('scheduledStart').value;
+                const scheduledEnd = document.getElementById('scheduledEnd').value;
+                if (!scheduledStart || !scheduledEnd) {
+                    throw new Error('Please choose when the time window starts and ends');
                 }
-            };
+                // datetime-local values are local time; send them as UTC instants
+                requestData.scheduledStart = new Date(scheduledStart).toISOString();
+                requestData.scheduledEnd = new Date(scheduledEnd).toISOString();
+            } else {
+                requestData.duration = parseInt(duration);
+            }
+            
+            // Photos go as multipart; the location object travels JSON-encoded alongside them
+            const photos = Array.from(document.getElementById('requestPhotos').files);
+            const headers = { 'Authorization': `Bearer ${localStorage.getItem('token')}` };
+            let body;
+            if (photos.length > 0) {
+                body = new FormData();
+                Object.entries(requestData).forEach(([key, value]) => {
+                    body.append(key, key === 'location' ? JSON.stringify(value) : value);
+                });
+                photos.forEach(photo => body.append('attachments', photo));
+            } else {
+                headers['Content-Type'] = 'application/json';
+                body = JSON.stringify(requestData);
+            }
             
             // Send request to backend
             const response = await fetch(`${API_BASE_URL}/api/service-requests/create`, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${localStorage.getItem('token')}`
-                },
-                body: JSON.stringify(requestData)
+                headers,
+                body
             });
             
             if (!response.ok) {
                 const errorData = await response.json();
-                throw new Error(errorData.message || 'Failed to create service request');
+                throw new Error(errorData.message || (errorData.errors && errorData.errors[0].msg) || 'Failed to create service request');
             }
             
             const result = await response.json();
             
             // Reset form
             document.getElementById('serviceRequestForm').reset();
+            updateRequestTimingFields();
+            selectSavedPlace();
+            loadSavedPlaces();
             
             // Show success message
             showAlert('Success', 'Service request created successfully!', 'success');
@@ -765,7 +1163,7 @@ const SpotWiseServiceHub = (function() {
             
             const data = await response.json();
             const activeRequests = data.history.filter(request => 
-                ['pending', 'in-progress'].includes(request.status)
+                !['completed', 'cancelled', 'expired'].includes(request.status)
             );
             
             // Display empty state if no active requests
@@ -784,7 +1182,10 @@ const SpotWiseServiceHub = (function() {
             activeRequests.forEach(request => {
                 // Calculate time remaining for pending requests
                 let timeRemaining = '';
-                if (request.status === 'pending' && request.expirationTime) {
+                if (request.scheduledWindow) {
+                    // Scheduled requests stay open for bookings until the window starts
+                    timeRemaining = `<span class="timer">${isOpenStatus(request.status) ? 'Waiting for a booking' : formatStatus(request.status)}</span>`;
+                } else if (isOpenStatus(request.status) && request.expirationTime) {
                     const expiryTime = new Date(request.expirationTime);
                     const now = new Date();
                     const diffMs = expiryTime - now;
@@ -800,36 +1201,60 @@ const SpotWiseServiceHub = (function() {
                 html += `
                     <div class="request-card" data-id="${request._id}">
                         <div class="card-header">
-                            <span class="category-badge">${request.category}</span>
+                            <span class="category-badge">${categoryLabel(request.category)}</span>
                             <span class="status-badge status-${request.status}">${formatStatus(request.status)}</span>
                         </div>
                         <div class="card-body">
                             <p><strong>Description:</strong> ${request.description}</p>
+                            ${renderAddress(request)}
                             <p><strong>Contact:</strong> ${request.contactNumber}</p>
                             ${request.additionalDetails ? `<p><strong>Additional Details:</strong> ${request.additionalDetails}</p>` : ''}
+                            ${renderAttachments(request)}
                             ${request.provider ? `
-                                <p><strong>Provider:</strong> ${request.provider.name || 'Assigned Provider'}</p>
+                                <p><strong>Provider:</strong> ${request.provider.name || 'Assigned Provider'} ${verifiedBadge(request.provider)}</p>
                                 <p><strong>Provider Contact:</strong> ${request.provider.contactNumber || 'N/A'}</p>
                             ` : ''}
+                            ${isTrackedJob(request) ? `
+                                <p class="job-tracking" id="tracking-${request._id}">
+                                    <i class="fa fa-location-arrow"></i> Waiting for the provider's location...
+                                </p>
+                            ` : ''}
+                            ${request.agreedPrice ? `<p><strong>Agreed Price:</strong> ${formatPrice(request.agreedPrice)}</p>` : ''}
+                            ${request.scheduledWindow ? `<p><strong>Scheduled:</strong> ${formatWindow(request.scheduledWindow)}</p>` : ''}
                             <p><strong>Created:</strong> ${formatDate(request.createdAt)}</p>
                             ${timeRemaining ? `<p>${timeRemaining}</p>` : ''}
+                            ${isOpenStatus(request.status) ? `
+                                <div class="quote-list mt-3" id="quotes-${request._id}">
+                                    <p class="text-muted small">Loading quotes...</p>
+                                </div>
+                            ` : ''}
                             
-                            ${request.status === 'in-progress' && request.generatedPin ? `
+                            ${request.pinExpiresAt && getCachedPin(request._id) ? `
                                 <div class="alert alert-info mt-3">
                                     <h5 class="mb-2"><i class="fa fa-key"></i> Verification PIN</h5>
                                     <div class="pin-display-box text-center p-2 mb-2" style="background: #f8f9fa; border-radius: 4px;">
-                                        <span style="font-size: 24px; font-weight: bold; letter-spacing: 5px;">${request.generatedPin}</span>
+                                        <span style="font-size: 24px; font-weight: bold; letter-spacing: 5px;">${getCachedPin(request._id)}</span>
                                     </div>
                                     <p class="mb-0 small">Share this PIN with the provider when service is completed</p>
                                 </div>
                             ` : ''}
+                            ${request.pinExpiresAt && request.pinLocked ? `
+                                <p class="text-danger small">Too many incorrect PINs were entered. Generate a new PIN to share with the provider.</p>
+                            ` : ''}
                         </div>
                         <div class="request-actions">
-                            ${request.status === 'pending' ? `
+                            ${isOpenStatus(request.status) || request.status === 'accepted' ? `
                                 <button class="btn btn-sm btn-danger" onclick="cancelRequest('${request._id}')">Cancel</button>
                             ` : ''}
-                            ${request.status === 'in-progress' && request.generatedPin ? `
-                                <button class="btn btn-sm btn-info" onclick="showPin('${request.generatedPin}')">Show PIN</button>
+                            ${request.pinExpiresAt ? `
+                                <button class="btn btn-sm btn-info" onclick="showPin('${request._id}')">Show PIN</button>
+                                <button class="btn btn-sm btn-secondary" onclick="regeneratePin('${request._id}')">New PIN</button>
+                            ` : ''}
+                            ${request.status === 'in-progress' ? `
+                                <button class="btn btn-sm btn-outline-danger" onclick="disputeRequest('${request._id}')">Report a Problem</button>
+                            ` : ''}
+                            ${request.provider && window.chatService ? `
+                                <button class="btn btn-sm btn-primary" onclick="openChat('${request._id}')">Chat with Provider</button>
                             ` : ''}
                         </div>
                     </div>
@@ -839,6 +1264,17 @@ const SpotWiseServiceHub = (function() {
             // Update container
             container.innerHTML = html;
             container.style.display = 'block';
+            loadAttachmentImages(container);
+            
+            // Competing quotes are loaded per pending request
+            activeRequests
+                .filter(request => isOpenStatus(request.status))
+                .forEach(request => loadRequestQuotes(request._id));
+            
+            // The provider's position and ETA, until live updates arrive
+            activeRequests
+                .filter(isTrackedJob)
+                .forEach(request => loadJobTracking(request._id));
             
         } catch (error) {
             console.error('Error loading active requests:', error);
@@ -854,8 +1290,11 @@ const SpotWiseServiceHub = (function() {
         }
     }
     
-    // Load available service requests (for providers)
-    async function loadAvailableRequests() {
+    // Load available service requests (for providers), nearest first.
+    // page > 1 appends the next page below the cards already shown.
+    async function loadAvailableRequests(page) {
+        const pageNumber = Number.isInteger(page) ? page : 1; // Also used as a click handler
+        
         // Check if provider is online
         const status = localStorage.getItem('providerStatus');
         
@@ -875,27 +1314,47 @@ const SpotWiseServiceHub = (function() {
         
         // Show loading
         document.getElementById('availableRequestsLoading').style.display = 'block';
-        container.style.display = 'none';
+        if (pageNumber === 1) {
+            container.style.display = 'none';
+        }
         
         try {
-            const response = await fetch(`${API_BASE_URL}/api/service-requests/active`, {
+            const params = new URLSearchParams({
+                radius: getSearchRadiusMeters(),
+                page: pageNumber
+            });
+            const response = await fetch(`${API_BASE_URL}/api/service-requests/active?${params}`, {
                 method: 'GET',
                 headers: {
                     'Authorization': `Bearer ${localStorage.getItem('token')}`
                 }
             });
             
+            const data = await response.json();
+            
+            // Unverified providers are not matched with requests until they confirm their email
+            if (response.status === 403 && data.emailVerified === false) {
+                container.innerHTML = renderVerifyEmailNotice(data.message);
+                container.style.display = 'block';
+                return;
+            }
+            
             if (!response.ok) {
                 throw new Error('Failed to load available requests');
             }
             
-            const requests = await response.json();
+            const requests = data.requests;
             
-            // Clear existing markers
-            clearRequestMarkers();
+            // Clear existing markers when starting over
+            if (pageNumber === 1) {
+                clearRequestMarkers();
+            }
             
             // Display empty state if no requests
-            if (!requests || requests.length === 0) {
+            if (pageNumber === 1 && (!requests || requests.length === 0)) {
+                document.getElementById('emptyAvailableMessage').textContent = data.outsideWorkingHours
+                    ? 'You are outside your working hours. Requests will show here again when your hours start.'
+                    : `There are no service requests available in your ${data.serviceAreas ? 'service areas' : 'area'} matching your skills.`;
                 document.getElementById('emptyAvailableRequests').style.display = 'block';
                 container.innerHTML = '';
                 return;
@@ -924,19 +1383,23 @@ const SpotWiseServiceHub = (function() {
                 html += `
                     <div class="request-card" data-id="${request._id}">
                         <div class="card-header">
-                            <span class="category-badge">${request.category}</span>
+                            <span class="category-badge">${categoryLabel(request.category)}</span>
                             <span class="status-badge status-pending">Available</span>
                         </div>
                         <div class="card-body">
-                            <p><strong>Description:</trong> ${request.description}</p>
-                            <p><strong>Client:</strong> ${request.seeker.userName}</p>
+                            ${typeof request.distanceMeters === 'number' ? `<p class="distance"><i class="fa fa-map-marker"></i> ${formatDistance(request.distanceMeters)}</p>` : ''}
+                            <p><strong>Description:</strong> ${request.description}</p>
+                            ${renderAddress(request)}
+                            <p><strong>Client:</strong> ${request.seeker.userName} <span class="text-muted small">${formatRating(request.seeker.rating)}</span></p>
                             ${request.additionalDetails ? `<p><strong>Additional Details:</strong> ${request.additionalDetails}</p>` : ''}
+                            ${renderAttachments(request)}
                             <p><strong>Created:</strong> ${formatDate(request.createdAt)}</p>
                             ${timeRemaining ? `<p>${timeRemaining}</p>` : ''}
                         </div>
                         <div class="request-actions">
                             <button class="btn btn-sm btn-info" onclick="viewRequestDetails('${request._id}')">View Details</button>
                             <button class="btn btn-sm btn-accept" onclick="acceptRequest('${request._id}')">Accept Request</button>
+                            <button class="btn btn-sm btn-secondary" onclick="sendQuote('${request._id}')">Send Quote</button>
                         </div>
                     </div>
                 `;
@@ -945,9 +1408,26 @@ const SpotWiseServiceHub = (function() {
                 addRequestMarker(request);
             });
             
+            // Offer the next page while more requests are in range
+            if (data.hasMore) {
+                html += `
+                    <div class="text-center mb-3" id="loadMoreRequests">
+                        <button class="btn btn-outline-primary" onclick="loadMoreAvailableRequests(${pageNumber + 1})">Load more</button>
+                    </div>
+                `;
+            }
+            
             // Update container
-            container.innerHTML = html;
+            const loadMore = document.getElementById('loadMoreRequests');
+            if (loadMore) loadMore.remove();
+            
+            if (pageNumber === 1) {
+                container.innerHTML = html;
+            } else {
+                container.insertAdjacentHTML('beforeend', html);
+            }
             container.style.display = 'block';
+            loadAttachmentImages(container);
             
         } catch (error) {
             console.error('Error loading available requests:', error);
@@ -977,7 +1457,7 @@ const SpotWiseServiceHub = (function() {
         const marker = new google.maps.Marker({
             position: position,
             map: requestsMap,
-            title: `${request.category} Request`,
+            title: `${categoryLabel(request.category)} Request`,
             icon: {
                 path: google.maps.SymbolPath.CIRCLE,
                 scale: 8,
@@ -993,7 +1473,7 @@ const SpotWiseServiceHub = (function() {
         const infoWindow = new google.maps.InfoWindow({
             content: `
                 <div class="info-window">
-                    <h5>${request.category}</h5>
+                    <h5>${categoryLabel(request.category)}</h5>
                     <p>${request.description}</p>
                     <button class="btn btn-sm btn-primary info-window-btn" onclick="viewRequestDetails('${request._id}')">View Details</button>
                 </div>
@@ -1100,13 +1580,18 @@ const SpotWiseServiceHub = (function() {
                 localStorage.setItem('providerStatus', 'online');
                 
                 const errorData = await response.json();
+                
+                // Another provider got there first - refresh so the request disappears
+                if (response.status === 409) {
+                    loadAvailableRequests();
+                }
+                
                 throw new Error(errorData.message || 'Failed to accept request');
             }
             
             const result = await response.json();
             
-            // Update provider status in localStorage and backend to in-progress
-            await updateProviderStatusOnBackend('in-progress');
+            // Accepting put the provider in progress on the backend
             localStorage.setItem('providerStatus', 'in-progress');
             
             // Show success message
@@ -1136,61 +1621,374 @@ const SpotWiseServiceHub = (function() {
         }
     }
     
-    // Check for active job
-    async function checkActiveJob() {
+    // Load the quotes providers sent on a pending request (seekers only)
+    async function loadRequestQuotes(requestId) {
+        const container = document.getElementById(`quotes-${requestId}`);
+        if (!container) return;
+        
         try {
-            const response = await fetch(`${API_BASE_URL}/api/service-requests/history`, {
+            const response = await fetch(`${API_BASE_URL}/api/quotes/request/${requestId}`, {
                 method: 'GET',
                 headers: {
                     'Authorization': `Bearer ${localStorage.getItem('token')}`
                 }
             });
             
+            const data = await response.json();
             if (!response.ok) {
-                throw new Error('Failed to check active job');
+                throw new Error(data.message || 'Failed to load quotes');
             }
             
-            const data = await response.json();
-            const activeJobs = data.history.filter(request => request.status === 'in-progress');
+            const quotes = data.quotes.filter(quote => quote.status === 'pending');
+            if (quotes.length === 0) {
+                container.innerHTML = '<p class="text-muted small">No quotes yet. Providers nearby can send you a price.</p>';
+                return;
+            }
             
-            // Display active job if found
-            if (activeJobs.length > 0) {
-                // Show active job alert
-                document.getElementById('activeJobAlert').style.display = 'block';
-                
-                // Set active request
-                activeRequest = activeJobs[0];
-                
-                // Display job details
-                displayActiveJob(activeRequest);
-            } else {
-                // Hide active job alert
-                document.getElementById('activeJobAlert').style.display = 'none';
-                
-                // Show no active job message
-                document.getElementById('noActiveJobMessage').style.display = 'block';
-                document.getElementById('activeJobDetails').style.display = 'none';
-                
-                // Clear active request
-                activeRequest = null;
+            container.innerHTML = `
+                <h6><i class="fa fa-tags"></i> Quotes (${quotes.length})</h6>
+                ${quotes.map(quote => `
+                    <div class="quote-item border rounded p-2 mb-2" data-quote-id="${quote._id}">
+                        <p class="mb-1">
+                            <strong>${formatPrice(quote)}</strong> · about ${quote.estimatedDuration} min
+                            ${quote.revision > 1 ? '<span class="badge badge-info">Revised</span>' : ''}
+                        </p>
+                        <p class="mb-1 small">${quote.provider ? quote.provider.userName : 'Provider'} ${verifiedBadge(quote.provider)} · ${formatRating(quote.provider && quote.provider.rating)}${formatReliability(quote.provider && quote.provider.reliability)}</p>
+                        ${quote.note ? `<p class="mb-1 small text-muted">${escapeHtml(quote.note)}</p>` : ''}
+                        <button class="btn btn-sm btn-success" onclick="acceptQuote('${quote._id}')">Accept</button>
+                        <button class="btn btn-sm btn-outline-danger" onclick="rejectQuote('${quote._id}')">Decline</button>
+                    </div>
+                `).join('')}
+            `;
+        } catch (error) {
+            console.error('Error loading quotes:', error);
+            container.innerHTML = '<p class="text-danger small">Could not load quotes.</p>';
+        }
+    }
+    
+    // Accept or decline a quote (seekers only)
+    async function respondToQuote(quoteId, action) {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/quotes/${quoteId}/${action}`, {
+                method: 'PATCH',
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                }
+            });
+            
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || `Failed to ${action} quote`);
             }
             
+            showAlert('Success', action === 'accept' ? 'Quote accepted! The provider is on the way.' : 'Quote declined.', 'success');
         } catch (error) {
-            console.error('Error checking active job:', error);
+            console.error(`Error trying to ${action} quote:`, error);
+            showAlert('Error', error.message, 'danger');
+        } finally {
+            loadUserActiveRequests();
         }
     }
     
-    // Display active job details
-    function displayActiveJob(request) {
-        // Hide no active job message
-        document.getElementById('noActiveJobMessage').style.display = 'none';
+    function acceptQuote(quoteId) {
+        if (!confirm('Accept this quote? All other quotes on the request will be declined.')) {
+            return;
+        }
+        respondToQuote(quoteId, 'accept');
+    }
+    
+    function rejectQuote(quoteId) {
+        respondToQuote(quoteId, 'reject');
+    }
+    
+    // Send (or revise) a quote on an available request (providers only)
+    async function sendQuote(requestId) {
+        const { value: quote } = await Swal.fire({
+            title: 'Send a Quote',
+            html: `
+                <input id="quoteAmount" type="number" min="1" step="0.01" class="swal2-input" placeholder="Price">
+                <input id="quoteCurrency" type="text" maxlength="3" class="swal2-input" value="INR" placeholder="Currency">
+                <input id="quoteDuration" type="number" min="1" class="swal2-input" placeholder="Estimated duration (minutes)">
+                <textarea id="quoteNote" maxlength="500" class="swal2-textarea" placeholder="Note for the client (optional)"></textarea>
+            `,
+            showCancelButton: true,
+            confirmButtonText: 'Send Quote',
+            preConfirm: () => {
+                const amount = parseFloat(document.getElementById('quoteAmount').value);
+                const estimatedDuration = parseInt(document.getElementById('quoteDuration').value, 10);
+                if (!(amount > 0) || !(estimatedDuration > 0)) {
+                    Swal.showValidationMessage('Enter a price and an estimated duration');
+                    return false;
+                }
+                return {
+                    amount,
+                    currency: document.getElementById('quoteCurrency').value.trim().toUpperCase() || undefined,
+                    estimatedDuration,
+                    note: document.getElementById('quoteNote').value.trim() || undefined
+                };
+            }
+        });
+        
+        if (!quote) return;
+        
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/quotes/request/${requestId}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                },
+                body: JSON.stringify(quote)
+            });
+            
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || (data.errors && data.errors[0].msg) || 'Failed to send quote');
+            }
+            
+            showAlert('Success', data.revision > 1 ? 'Your quote was updated.' : 'Your quote was sent to the client.', 'success');
+        } catch (error) {
+            console.error('Error sending quote:', error);
+            showAlert('Error', error.message, 'danger');
+        }
+    }
+    
+    // Show the duration or the time window inputs depending on the chosen timing
+    function updateRequestTimingFields() {
+        const scheduled = document.getElementById('timingScheduled').checked;
+        document.getElementById('scheduleFields').style.display = scheduled ? 'flex' : 'none';
+        document.getElementById('durationGroup').style.display = scheduled ? 'none' : 'block';
+        document.getElementById('duration').required = !scheduled;
+    }
+    
+    // Load scheduled requests: the provider's bookings and open requests that fit around them
+    async function loadUpcomingRequests() {
+        const bookedContainer = document.getElementById('bookedRequestsContainer');
+        const availableContainer = document.getElementById('upcomingRequestsContainer');
+        if (!bookedContainer || !availableContainer) return;
+        
+        document.getElementById('upcomingRequestsLoading').style.display = 'block';
+        
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/service-requests/upcoming?radius=${getSearchRadiusMeters()}`, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                }
+            });
+            
+            const data = await response.json();
+            if (response.status === 403 && data.emailVerified === false) {
+                bookedContainer.innerHTML = '';
+                availableContainer.innerHTML = renderVerifyEmailNotice(data.message);
+                return;
+            }
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to load scheduled requests');
+            }
+            
+            const now = Date.now();
+            bookedContainer.innerHTML = data.booked.length === 0
+                ? '<p class="text-muted">You have no upcoming bookings.</p>'
+                : data.booked.map(request => {
+                    const canStart = new Date(request.scheduledWindow.start).getTime() - data.earlyStartMinutes * 60000 <= now;
+                    return `
+                        <div class="request-card" data-id="${request._id}">
+                            <div class="card-header">
+                                <span class="category-badge">${categoryLabel(request.category)}</span>
+                                <span class="status-badge status-accepted">Booked</span>
+                            </div>
+                            <div class="card-body">
+                                <p><strong>When:</strong> ${formatWindow(request.scheduledWindow)}</p>
+                                <p><strong>Description:</strong> ${request.description}</p>
+                                ${renderAddress(request)}
+                                <p><strong>Client:</strong> ${request.seeker ? request.seeker.userName : 'Client'} · ${request.seeker ? request.seeker.contactNumber || '' : ''}</p>
+                                ${request.agreedPrice && request.agreedPrice.amount !== undefined ? `<p><strong>Agreed Price:</strong> ${formatPrice(request.agreedPrice)}</p>` : ''}
+                            </div>
+                            <div class="request-actions">
+                                <button class="btn btn-sm btn-success" onclick="startScheduledJob('${request._id}')" ${canStart ? '' : 'disabled'}>
+                                    ${canStart ? 'Set Off' : `Set off from ${formatDate(new Date(new Date(request.scheduledWindow.start).getTime() - data.earlyStartMinutes * 60000))}`}
+                                </button>
+                                <button class="btn btn-sm btn-outline-danger" onclick="withdrawFromRequest('${request._id}')">Withdraw</button>
+                            </div>
+                        </div>
+                    `;
+                }).join('');
+            
+            availableContainer.innerHTML = data.available.length === 0
+                ? '<p class="text-muted">No scheduled requests nearby fit your free time.</p>'
+                : data.available.map(request => `
+                    <div class="request-card" data-id="${request._id}">
+                        <div class="card-header">
+                            <span class="category-badge">${categoryLabel(request.category)}</span>
+                            <span class="status-badge status-pending">Open</span>
+                        </div>
+                        <div class="card-body">
+                            <p class="distance"><i class="fa fa-map-marker"></i> ${formatDistance(request.distanceMeters)}</p>
+                            <p><strong>When:</strong> ${formatWindow(request.scheduledWindow)}</p>
+                            <p><strong>Description:</strong> ${request.description}</p>
+                            ${renderAddress(request)}
+                            <p><strong>Client:</strong> ${request.seeker ? request.seeker.userName : 'Client'} <span class="text-muted small">${formatRating(request.seeker && request.seeker.rating)}</span></p>
+                            ${renderAttachments(request)}
+                        </div>
+                        <div class="request-actions">
+                            <button class="btn btn-sm btn-accept" onclick="bookRequest('${request._id}')">Book</button>
+                            <button class="btn btn-sm btn-secondary" onclick="sendQuote('${request._id}')">Send Quote</button>
+                        </div>
+                    </div>
+                `).join('');
+            loadAttachmentImages(availableContainer);
+        } catch (error) {
+            console.error('Error loading upcoming requests:', error);
+            availableContainer.innerHTML = `<div class="alert alert-danger">${error.message}</div>`;
+        } finally {
+            document.getElementById('upcomingRequestsLoading').style.display = 'none';
+        }
+    }
+    
+    // Notice shown to providers who have not verified their email address yet
+    function renderVerifyEmailNotice(message) {
+        return `
+            <div class="alert alert-warning">
+                ${escapeHtml(message)}
+                <button class="btn btn-sm btn-link" onclick="resendVerificationEmail()">Resend verification email</button>
+            </div>
+        `;
+    }
+    
+    // Ask the server to send the verification email again
+    async function resendVerificationEmail() {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/auth/resend-verification`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                }
+            });
+            
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to send verification email');
+            }
+            
+            showNotification('Email Sent', 'Check your inbox for the verification link.', 'success');
+        } catch (error) {
+            console.error('Error resending verification email:', error);
+            showNotification('Error', error.message, 'error');
+        }
+    }
+    
+    // Book a scheduled request; the provider's status stays as it is until the job starts
+    async function bookRequest(requestId) {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/service-requests/accept/${requestId}`, {
+                method: 'PATCH',
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                }
+            });
+            
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to book request');
+            }
+            
+            showAlert('Success', 'Request booked! You will get a reminder before the window starts.', 'success');
+        } catch (error) {
+            console.error('Error booking request:', error);
+            showAlert('Error', error.message, 'danger');
+        } finally {
+            loadUpcomingRequests();
+        }
+    }
+    
+    // Set off for a booked job; it becomes the provider's current job
+    async function startScheduledJob(requestId) {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/service-requests/en-route/${requestId}`, {
+                method: 'PATCH',
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                }
+            });
+            
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to start job');
+            }
+            
+            localStorage.setItem('providerStatus', 'in-progress');
+            showAlert('Success', 'You are on your way. Ask the client for their PIN when you are done.', 'success');
+            
+            checkProviderStatus();
+            checkActiveJob();
+            $('#current-tab').tab('show');
+        } catch (error) {
+            console.error('Error starting job:', error);
+            showAlert('Error', error.message, 'danger');
+            loadUpcomingRequests();
+        }
+    }
+    
+    // Check for active job
+    async function checkActiveJob() {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/service-requests/history`, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                }
+            });
+            
+            if (!response.ok) {
+                throw new Error('Failed to check active job');
+            }
+            
+            const data = await response.json();
+            // Booked scheduled jobs become current once the provider sets off
+            const activeJobs = data.history.filter(request =>
+                ['en-route', 'arrived', 'in-progress'].includes(request.status)
+                || (request.status === 'accepted' && !request.scheduledWindow)
+            );
+            
+            // Display active job if found
+            if (activeJobs.length > 0) {
+                // Show active job alert
+                document.getElementById('activeJobAlert').style.display = 'block';
+                
+                // Set active request
+                activeRequest = activeJobs[0];
+                
+                // Display job details
+                displayActiveJob(activeRequest);
+            } else {
+                // Hide active job alert
+                document.getElementById('activeJobAlert').style.display = 'none';
+                
+                // Show no active job message
+                document.getElementById('noActiveJobMessage').style.display = 'block';
+                document.getElementById('activeJobDetails').style.display = 'none';
+                
+                // Clear active request
+                activeRequest = null;
+            }
+            
+        } catch (error) {
+            console.error('Error checking active job:', error);
+        }
+    }
+    
+    // Display active job details
+    function displayActiveJob(request) {
+        // Hide no active job message
+        document.getElementById('noActiveJobMessage').style.display = 'none';
         
         // Create job details HTML
         const jobDetailsContainer = document.getElementById('activeJobDetails');
         
         jobDetailsContainer.innerHTML = `
             <div class="job-details-card">
-                <h4 class="mb-3">${request.category} Service</h4>
+                <h4 class="mb-3">${categoryLabel(request.category)} Service</h4>
                 
                 <div class="card mb-3">
                     <div class="card-header bg-primary text-white">
@@ -1208,11 +2006,29 @@ const SpotWiseServiceHub = (function() {
                     </div>
                     <div class="card-body">
                         <p><strong>Description:</strong> ${request.description}</p>
+                        ${renderAddress(request)}
                         ${request.additionalDetails ? `<p><strong>Additional Details:</strong> ${request.additionalDetails}</p>` : ''}
-                        <p><strong>Status:</strong> <span class="badge badge-info">In Progress</span></p>
-                        <p><strong>Accepted at:</strong> ${formatDate(request.updatedAt)}</p>
+                        <p><strong>Status:</strong> <span class="status-badge status-${request.status}">${formatStatus(request.status)}</span></p>
+                        ${renderJobTimeline(request.history)}
                     </div>
                 </div>
+                
+                ${JOB_STEPS[request.status] ? `
+                    <button class="btn btn-success mb-3" onclick="advanceActiveJob('${JOB_STEPS[request.status].action}')">
+                        ${JOB_STEPS[request.status].label}
+                    </button>
+                ` : ''}
+                ${request.status === 'in-progress' ? `
+                    <button class="btn btn-outline-danger mb-3" onclick="disputeRequest('${request._id}')">Report a Problem</button>
+                ` : `
+                    <button class="btn btn-outline-danger mb-3" onclick="withdrawFromRequest('${request._id}')">Withdraw</button>
+                `}
+                
+                ${window.chatService ? `
+                    <button class="btn btn-primary mb-3" onclick="openChat('${request._id}')">
+                        <i class="fa fa-comments"></i> Chat with Client
+                    </button>
+                ` : ''}
             </div>
         `;
         
@@ -1242,7 +2058,7 @@ const SpotWiseServiceHub = (function() {
                 content: `
                     <div class="info-window">
                         <h5>Job Location</h5>
-                        <p>${request.category} service</p>
+                        <p>${categoryLabel(request.category)} service</p>
                     </div>
                 `
             });
@@ -1252,6 +2068,141 @@ const SpotWiseServiceHub = (function() {
         }
     }
     
+    // The provider's next step on a job, by its current status
+    const JOB_STEPS = {
+        accepted: { action: 'en-route', label: "I'm On My Way" },
+        'en-route': { action: 'arrive', label: "I've Arrived" },
+        arrived: { action: 'start', label: 'Start Work' }
+    };
+    
+    // Timeline of a job's status changes, oldest first
+    function renderJobTimeline(history) {
+        if (!history || history.length === 0) return '';
+        
+        return `
+            <ul class="list-unstyled small mb-0">
+                ${history.map(item => `
+                    <li>${formatDate(item.timestamp)}: ${formatStatus(item.status)}${item.reason ? ` (${escapeHtml(item.reason)})` : ''}</li>
+                `).join('')}
+            </ul>
+        `;
+    }
+    
+    // Move the active job on: on the way, arrived, work started
+    async function advanceActiveJob(action) {
+        if (!activeRequest) {
+            showAlert('Error', 'No active job found', 'danger');
+            return;
+        }
+        
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/service-requests/${action}/${activeRequest._id}`, {
+                method: 'PATCH',
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                }
+            });
+            
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to update job');
+            }
+            
+            showAlert('Success', data.message, 'success');
+        } catch (error) {
+            console.error('Error updating job:', error);
+            showAlert('Error', error.message, 'danger');
+        } finally {
+            checkActiveJob();
+        }
+    }
+    
+    // Dispute a job (seeker or provider); an admin settles it
+    async function disputeRequest(requestId) {
+        const { value: reason } = await Swal.fire({
+            title: 'Report a Problem',
+            input: 'textarea',
+            inputPlaceholder: 'What went wrong?',
+            inputAttributes: { maxlength: 500 },
+            showCancelButton: true,
+            confirmButtonText: 'Dispute',
+            inputValidator: (value) => (!value || !value.trim() ? 'Please describe the problem' : undefined)
+        });
+        
+        if (!reason) return;
+        
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/service-requests/dispute/${requestId}`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                },
+                body: JSON.stringify({ reason: reason.trim() })
+            });
+            
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to dispute request');
+            }
+            
+            showAlert('Success', data.message, 'success');
+        } catch (error) {
+            console.error('Error disputing request:', error);
+            showAlert('Error', error.message, 'danger');
+        } finally {
+            if (userRole === 'seeker') {
+                loadUserActiveRequests();
+            } else {
+                localStorage.setItem('providerStatus', 'online');
+                checkProviderStatus();
+                checkActiveJob();
+            }
+        }
+    }
+    
+    // Hand an accepted job back (provider); the request is re-matched with other providers
+    async function withdrawFromRequest(requestId) {
+        const { value: reason } = await Swal.fire({
+            title: 'Withdraw from this job?',
+            text: 'The client will be notified and the request offered to other providers. Withdrawals lower your reliability score.',
+            input: 'textarea',
+            inputPlaceholder: 'Why can you no longer do this job?',
+            inputAttributes: { maxlength: 500 },
+            showCancelButton: true,
+            confirmButtonText: 'Withdraw',
+            inputValidator: (value) => (!value || !value.trim() ? 'Please give a reason' : undefined)
+        });
+        
+        if (!reason) return;
+        
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/service-requests/withdraw/${requestId}`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                },
+                body: JSON.stringify({ reason: reason.trim() })
+            });
+            
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to withdraw from request');
+            }
+            
+            showAlert('Success', data.message, 'success');
+        } catch (error) {
+            console.error('Error withdrawing from request:', error);
+            showAlert('Error', error.message, 'danger');
+        } finally {
+            localStorage.setItem('providerStatus', 'online');
+            checkProviderStatus();
+            checkActiveJob();
+            loadUpcomingRequests();
+        }
+    }
+    
     // Complete active job
     async function completeActiveJob() {
         if (!activeRequest) {
@@ -1283,7 +2234,10 @@ const SpotWiseServiceHub = (function() {
             
             if (!response.ok) {
                 const errorData = await response.json();
-                throw new Error(errorData.message || 'Failed to complete job');
+                const attemptsHint = typeof errorData.attemptsRemaining === 'number'
+                    ? ` (${errorData.attemptsRemaining} attempts remaining)`
+                    : '';
+                throw new Error((errorData.message || 'Failed to complete job') + attemptsHint);
             }
             
             // Update provider status back to online after job completion
@@ -1317,30 +2271,53 @@ const SpotWiseServiceHub = (function() {
         }
     }
     
-    // Add a dedicated function to fetch PIN if needed
+    // PINs are only stored hashed on the server, so the seeker's copy is kept locally
+    function cachePin(requestId, pin) {
+        localStorage.setItem(`pin:${requestId}`, pin);
+    }
+    
+    function getCachedPin(requestId) {
+        return localStorage.getItem(`pin:${requestId}`);
+    }
+    
+    // Ask the server for a new PIN; the previous one stops working
     async function fetchRequestPin(requestId) {
         try {
             const response = await fetch(`${API_BASE_URL}/api/service-requests/pin/${requestId}`, {
-                method: 'GET',
+                method: 'POST',
                 headers: {
                     'Authorization': `Bearer ${localStorage.getItem('token')}`
                 }
             });
             
+            const data = await response.json();
             if (!response.ok) {
-                throw new Error('Failed to fetch PIN');
+                throw new Error(data.message || 'Failed to generate PIN');
             }
             
-            const data = await response.json();
-            return data.generatedPin;
+            cachePin(requestId, data.pin);
+            return data.pin;
             
         } catch (error) {
-            console.error('Error fetching PIN:', error);
-            showAlert('Error', 'Could not retrieve verification PIN', 'danger');
+            console.error('Error generating PIN:', error);
+            showAlert('Error', error.message || 'Could not generate a verification PIN', 'danger');
             return null;
         }
     }
     
+    // Replace the PIN of a request, e.g. when it was lost, expired or locked
+    async function regeneratePin(requestId) {
+        if (!confirm('Generate a new PIN? The current PIN will stop working.')) {
+            return;
+        }
+        
+        const pin = await fetchRequestPin(requestId);
+        if (pin) {
+            showPin(requestId);
+            loadUserActiveRequests();
+        }
+    }
+    
     // Cancel a service request
     async function cancelRequest(requestId) {
         if (!confirm('Are you sure you want to cancel this request?')) {
@@ -1373,9 +2350,10 @@ const SpotWiseServiceHub = (function() {
     }
     
     // Show PIN to user
-    function showPin(pin) {
+    function showPin(requestId) {
+        const pin = getCachedPin(requestId);
         if (!pin) {
-            showAlert('Error', 'No PIN available for this request', 'danger');
+            showAlert('Error', 'No PIN is stored on this device. Use "New PIN" to generate one.', 'danger');
             return;
         }
         
@@ -1394,11 +2372,18 @@ const SpotWiseServiceHub = (function() {
      * UTILITIES
      ****************************************/
     
+    // Open for quotes and acceptance
+    function isOpenStatus(status) {
+        return status === 'pending' || status === 'quoted';
+    }
+    
     // Helper function to format request status
     function formatStatus(status) {
         switch (status) {
             case 'pending':
                 return 'Pending';
+            case 'en-route':
+                return 'On the Way';
             case 'in-progress':
                 return 'In Progress';
             case 'completed':
@@ -1412,6 +2397,209 @@ const SpotWiseServiceHub = (function() {
         }
     }
     
+    // Jobs whose provider is on the way or on site (booked jobs once the provider set off)
+    function isTrackedJob(request) {
+        return Boolean(request.provider)
+            && ['accepted', 'en-route', 'arrived', 'in-progress'].includes(request.status)
+            && !(request.status === 'accepted' && request.scheduledWindow);
+    }
+    
+    // Fetch the latest position of the provider on a job
+    async function loadJobTracking(requestId) {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/service-requests/tracking/${requestId}`, {
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                }
+            });
+            
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to load tracking');
+            }
+            
+            if (data.tracking) {
+                updateJobTracking(data.tracking);
+            }
+        } catch (error) {
+            console.error('Error loading job tracking:', error);
+        }
+    }
+    
+    // Show the provider's distance and ETA on the job's card and move their map marker
+    function updateJobTracking(progress) {
+        const element = document.getElementById(`tracking-${progress.requestId}`);
+        if (element) {
+            let text;
+            if (progress.etaMinutes === null) {
+                text = 'Your provider is on site';
+            } else if (progress.etaMinutes === 0) {
+                text = 'Your provider is at your location';
+            } else {
+                text = `Your provider is ${formatDistance(progress.distanceMeters)} · arriving in about ${progress.etaMinutes} min`;
+            }
+            element.innerHTML = `<i class="fa fa-location-arrow"></i> ${text} <small class="text-muted">(${new Date(progress.updatedAt).toLocaleTimeString()})</small>`;
+        }
+        
+        if (window.mapService && window.mapService.isInitialized) {
+            window.mapService.updateProviderMarker(progress.providerId, progress.location);
+        }
+    }
+    
+    // The address a request was made at, as copied into it (access notes reach the assigned provider only)
+    function renderAddress(request) {
+        const address = request.address;
+        if (!address || (!address.formattedAddress && !address.label && !address.accessNotes)) return '';
+        
+        const where = [address.label, address.formattedAddress].filter(Boolean).map(escapeHtml).join(' – ');
+        return `
+            ${where ? `<p><strong>Address:</strong> ${where}</p>` : ''}
+            ${address.accessNotes ? `<p><strong>Access Notes:</strong> ${escapeHtml(address.accessNotes)}</p>` : ''}
+        `;
+    }
+    
+    // Helper function to format a distance in meters as "1.2 km away"
+    function formatDistance(meters) {
+        if (meters < 1000) {
+            return `${meters} m away`;
+        }
+        return `${(meters / 1000).toFixed(1)} km away`;
+    }
+    
+    // Format a scheduled time window, e.g. "Tue, 21 Oct, 10:00 – 12:00"
+    function formatWindow({ start, end }) {
+        const startDate = new Date(start);
+        const endDate = new Date(end);
+        const sameDay = startDate.toDateString() === endDate.toDateString();
+        const dateOptions = { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' };
+        const timeOptions = { hour: '2-digit', minute: '2-digit' };
+        
+        return `${startDate.toLocaleString(undefined, dateOptions)} – ${endDate.toLocaleString(undefined, sameDay ? timeOptions : dateOptions)}`;
+    }
+    
+    // Format a quoted or agreed price, e.g. "₹450.00"
+    function formatPrice({ amount, currency }) {
+        try {
+            return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+        } catch (error) {
+            return `${amount} ${currency}`;
+        }
+    }
+    
+    // Escape user-provided text before inserting it as HTML
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+    
+    // Show an aggregated rating, e.g. "4.3 ⭐ (12)"
+    function formatRating(rating) {
+        if (!rating || !rating.count) {
+            return 'No ratings yet';
+        }
+        return `${rating.average.toFixed(1)} ⭐ (${rating.count})`;
+    }
+    
+    // Share of accepted jobs the provider saw through (shown once they have taken any)
+    function formatReliability(reliability) {
+        if (!reliability || reliability.score === null || reliability.score === undefined) {
+            return '';
+        }
+        return ` · ${reliability.score}% reliable`;
+    }
+    
+    // Load the category catalogue and fill the request form's category picker
+    async function loadCategories() {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/categories`);
+            if (!response.ok) {
+                throw new Error(`Failed to load categories: ${response.status}`);
+            }
+            
+            const { categories } = await response.json();
+            categoryNames = new Map();
+            const options = ['<option value="">Select a service...</option>'];
+            categories.forEach(category => {
+                categoryNames.set(category.slug, category.name);
+                options.push(`<optgroup label="${escapeHtml(category.name)}">`);
+                options.push(`<option value="${category.slug}">${escapeHtml(category.name)} (general)</option>`);
+                category.children.forEach(child => {
+                    categoryNames.set(child.slug, child.name);
+                    options.push(`<option value="${child.slug}">${escapeHtml(child.name)}</option>`);
+                });
+                options.push('</optgroup>');
+            });
+            
+            const categorySelect = document.getElementById('category');
+            if (categorySelect) {
+                categorySelect.innerHTML = options.join('');
+            }
+        } catch (error) {
+            // The form keeps its built-in options, which the server also understands
+            console.error('Error loading categories:', error);
+        }
+    }
+    
+    // Display name of a category slug
+    function categoryLabel(slug) {
+        return categoryNames.get(slug) || slug;
+    }
+    
+    // Thumbnails of the photos attached to a request. Images need the Authorization
+    // header, so loadAttachmentImages fetches them once the cards are in the page.
+    function renderAttachments(request) {
+        if (!request.attachments || request.attachments.length === 0) return '';
+        
+        return `
+            <div class="request-attachments d-flex flex-wrap mb-2">
+                ${request.attachments.map(attachment => `
+                    <img class="attachment-thumb mr-2 mb-2 rounded" width="80" height="80" style="object-fit: cover; cursor: pointer;"
+                         alt="${escapeHtml(attachment.originalName || 'Photo')}"
+                         data-attachment-url="${API_BASE_URL}/api/service-requests/${request._id}/attachments/${attachment._id}">
+                `).join('')}
+            </div>
+        `;
+    }
+    
+    function loadAttachmentImages(container) {
+        container.querySelectorAll('img[data-attachment-url]:not([src])').forEach(async img => {
+            const url = img.dataset.attachmentUrl;
+            try {
+                img.src = await fetchAttachmentBlobUrl(`${url}?size=thumbnail`);
+                img.addEventListener('click', async () => {
+                    window.open(await fetchAttachmentBlobUrl(url), '_blank');
+                });
+            } catch (error) {
+                console.error('Error loading attachment:', error);
+                img.alt = 'Photo unavailable';
+            }
+        });
+    }
+    
+    async function fetchAttachmentBlobUrl(url) {
+        const response = await fetch(url, {
+            headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+        });
+        if (!response.ok) {
+            throw new Error(`Failed to load attachment: ${response.status}`);
+        }
+        return URL.createObjectURL(await response.blob());
+    }
+    
+    // "Verified" badge for providers whose ID an admin has checked
+    function verifiedBadge(provider) {
+        if (!provider || !provider.identityVerified) return '';
+        return '<span class="badge badge-success" title="Identity verified by SpotWise"><i class="fa fa-check-circle"></i> Verified</span>';
+    }
+    
+    // Search radius chosen by the provider, in meters (defaults to 5 km)
+    function getSearchRadiusMeters() {
+        const radiusSelect = document.getElementById('searchRadius');
+        const radiusKm = radiusSelect ? parseFloat(radiusSelect.value) : 5;
+        return Math.round((radiusKm || 5) * 1000);
+    }
+    
     // Helper function to format date
     function formatDate(dateString) {
         const date = new Date(dateString);
@@ -1598,16 +2786,7 @@ const SpotWiseServiceHub = (function() {
             lastUpdatedDisplay.textContent = new Date().toLocaleTimeString();
         }
         
-        // If this is a provider and they're online, send the update to the server
-        const userRole = localStorage.getItem('userRole');
-        const providerStatus = localStorage.getItem('providerStatus');
-        
-        if (userRole === 'provider' && providerStatus === 'online' && window.socketService && position.type === 'location-update') {
-            window.socketService.updateLocation({
-                lat: position.coords.latitude,
-                lng: position.coords.longitude
-            });
-        }
+        // The tracking service itself sends each accepted fix to the server
     }
     
     // Handle location errors
@@ -1641,7 +2820,18 @@ const SpotWiseServiceHub = (function() {
     module.viewRequestDetails = viewRequestDetails;
     module.acceptRequest = acceptRequest;
     module.cancelRequest = cancelRequest;
+    module.loadMoreAvailableRequests = loadAvailableRequests;
     module.showPin = showPin;
+    module.regeneratePin = regeneratePin;
+    module.sendQuote = sendQuote;
+    module.bookRequest = bookRequest;
+    module.resendVerificationEmail = resendVerificationEmail;
+    module.startScheduledJob = startScheduledJob;
+    module.advanceActiveJob = advanceActiveJob;
+    module.disputeRequest = disputeRequest;
+    module.withdrawFromRequest = withdrawFromRequest;
+    module.acceptQuote = acceptQuote;
+    module.rejectQuote = rejectQuote;
     module.useCurrentLocation = useCurrentLocation;
     module.toggleLocationTracking = toggleLocationTracking;
     module.startLocationTracking = startLocationTracking;
@@ -1654,6 +2844,17 @@ const SpotWiseServiceHub = (function() {
 window.viewRequestDetails = SpotWiseServiceHub.viewRequestDetails;
 window.acceptRequest = SpotWiseServiceHub.acceptRequest;
 window.cancelRequest = SpotWiseServiceHub.cancelRequest;
+window.loadMoreAvailableRequests = SpotWiseServiceHub.loadMoreAvailableRequests;
 window.showPin = SpotWiseServiceHub.showPin;
+window.regeneratePin = SpotWiseServiceHub.regeneratePin;
+window.sendQuote = SpotWiseServiceHub.sendQuote;
+window.bookRequest = SpotWiseServiceHub.bookRequest;
+window.resendVerificationEmail = SpotWiseServiceHub.resendVerificationEmail;
+window.startScheduledJob = SpotWiseServiceHub.startScheduledJob;
+window.advanceActiveJob = SpotWiseServiceHub.advanceActiveJob;
+window.disputeRequest = SpotWiseServiceHub.disputeRequest;
+window.withdrawFromRequest = SpotWiseServiceHub.withdrawFromRequest;
+window.acceptQuote = SpotWiseServiceHub.acceptQuote;
+window.rejectQuote = SpotWiseServiceHub.rejectQuote;
 window.useCurrentLocation = SpotWiseServiceHub.useCurrentLocation;
 window.toggleLocationTracking = SpotWiseServiceHub.toggleLocationTracking;
\ No newline at end of file
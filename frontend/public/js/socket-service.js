@@ -9,7 +9,10 @@ class SocketService {
         this.currentReconnectDelay = this.initialReconnectDelay;
         this.maxReconnectDelay = 30000; // Max 30 seconds between attempts
         this.reconnectTimerId = null;
-        this.serverUrl = 'http://localhost:5000'; // Store server URL for reconnection
+        // Socket.IO shares the Express server of the REST API; stored for reconnection
+        this.serverUrl = window.location.hostname === 'localhost'
+            ? 'http://localhost:3000'
+            : 'https://backend-green-zeta-69.vercel.app';
         this.listeners = new Map(); // Store event listeners for reconnection
         this.pendingMessages = []; // Store messages that couldn't be sent while disconnected
         this.connectionErrorShown = false;
@@ -23,12 +26,9 @@ class SocketService {
                 this.reconnectTimerId = null;
             }
 
-            // Get authentication token if available
-            const token = localStorage.getItem('token');
-
-            // Create socket connection with auth token if available
+            // Read the access token on every handshake so reconnects pick up refreshed tokens
             this.socket = io(this.serverUrl, {
-                auth: token ? { token } : undefined,
+                auth: (cb) => cb({ token: localStorage.getItem('token') }),
                 reconnection: false, // We'll handle reconnection ourselves
                 timeout: 10000, // 10 second connection timeout
             });
@@ -56,6 +56,17 @@ class SocketService {
         });
 
         this.socket.on('connect_error', (error) => {
+            // An expired access token is refreshed once before giving up on the session
+            if (error.message?.includes('auth') && typeof window.refreshAccessToken === 'function') {
+                window.refreshAccessToken().then(token => {
+                    if (token) {
+                        this.connect();
+                    } else {
+                        this.handleAuthError(error);
+                    }
+                });
+                return;
+            }
             this.handleConnectionError(error);
         });
 
@@ -123,9 +134,11 @@ class SocketService {
             // If error handler is not available, handle basic logout
             setTimeout(() => {
                 localStorage.removeItem('token');
+                localStorage.removeItem('refreshToken');
                 localStorage.removeItem('userId');
                 localStorage.removeItem('userName');
                 localStorage.removeItem('userRole');
+                localStorage.removeItem('userRoles');
                 window.location.href = 'login.html';
             }, 2000);
         }
@@ -197,7 +210,9 @@ class SocketService {
                             window.mapService.updateProviderMarker(provider._id, position, {
                                 name: provider.name || 'Service Provider',
                                 service: provider.skills ? provider.skills.join(', ') : 'General Service',
-                                rating: provider.rating || '4.5',
+                                verified: provider.verified,
+                                verifiedSkills: provider.verifiedSkills || [],
+                                rating: provider.rating,
                                 distance: provider.distance ? `${(provider.distance / 1000).toFixed(1)} km away` : 'Nearby'
                             });
                         }
@@ -265,11 +280,15 @@ class SocketService {
         this.socket.on(event, callback);
     }
 
-    // Send location update with error handling
-    updateLocation(location) {
+    // Send location update with error handling; `fix` carries the device's accuracy,
+    // heading and speed so the server can judge the update
+    updateLocation(location, fix = {}) {
         this.emitWithErrorHandling('updateLocation', {
             providerId: getCurrentUserId(),
-            location: location
+            location: location,
+            accuracy: fix.accuracy,
+            heading: fix.heading,
+            speed: fix.speed
         });
     }
 